@@ -179,11 +179,11 @@ function initMobileMenu() {
 // ========================================
 
 function openRequestForm(serviceType = 'standard', itemName = '', itemUrl = '') {
-    // Navigate to request form page. Path works from index and from category/*.
+    // Navigate to request form page. Path works from index, category/* and article/*.
     const cfg = window.CONFIG || {};
     const formPath = cfg.REQUEST_FORM_PATH || 'request.html';
-    const isCategory = window.location.pathname.indexOf('/category/') !== -1;
-    const requestPath = isCategory ? '../' + formPath : formPath;
+    const isSubpage = /\/(category|article)\//.test(window.location.pathname);
+    const requestPath = isSubpage ? '../' + formPath : formPath;
     const params = new URLSearchParams();
     if (serviceType) params.set('service_type', serviceType);
     if (itemName) params.set('item_name', itemName);
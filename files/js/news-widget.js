@@ -2,6 +2,7 @@
 // Anime News Widget - Self-contained
 // Fetches /data/news.json and renders cards
 // Supports "compact" (3 items) and "full" (6 + load more) modes
+// Titles and summaries in English or Japanese (EN / 日本語 toggle)
 // ========================================
 
 (function () {
@@ -12,9 +13,18 @@
   // ------------------------------------
   var CONF = {
     dataUrl: '/data/news.json',
+    articleBase: '/article/',
     compactCount: 3,
     fullInitialCount: 6,
-    fullLoadMoreCount: 6
+    fullLoadMoreCount: 6,
+    // USD estimates use the quote calculator's rate (files/tools/quote-calculator.html):
+    // the rate saved there, or its default of 150 JPY per USD
+    exchangeRateKey: 'jc_exchange_rate',
+    defaultJpyPerUsd: 150,
+    // EN / 日本語 toggle for item titles and summaries, shared with the
+    // event calendar (files/tools/event-calendar.html)
+    languageKey: 'jc_news_language',
+    defaultLanguage: 'en'
   };
 
   // Preferred order for store groups in full mode
@@ -35,6 +45,24 @@
     'Tokyo Events'
   ];
 
+  // Readable names for the updatedFields markers in news.json
+  var CHANGE_LABELS = {
+    title: 'title',
+    period: 'event dates',
+    image: 'image',
+    store: 'store',
+    link: 'link',
+    price: 'price'
+  };
+
+  // Chip labels for the salesMethod values in news.json
+  var SALES_METHOD_LABELS = {
+    'first-come': 'First-come',
+    lottery: 'Lottery',
+    'numbered-ticket': 'Numbered tickets',
+    'pre-order': 'Pre-order'
+  };
+
   // Source badge color map - store-exclusive event sources
   var SOURCE_COLORS = {
     'Collab Cafes & Events': '#e91e63',
@@ -146,6 +174,38 @@
       '  -webkit-backdrop-filter: blur(4px);',
       '}',
 
+      /* Source count badge (item reported by several sources) */
+      '.nw-source-count {',
+      '  position: absolute;',
+      '  top: 0.5rem;',
+      '  right: 0.5rem;',
+      '  padding: 0.2rem 0.6rem;',
+      '  border-radius: 50px;',
+      '  font-size: 0.6875rem;',
+      '  font-weight: 700;',
+      '  color: #fff;',
+      '  background: rgba(0,0,0,0.6);',
+      '  backdrop-filter: blur(4px);',
+      '  -webkit-backdrop-filter: blur(4px);',
+      '}',
+
+      /* NEW / UPDATED badge (changed since the previous update) */
+      '.nw-change {',
+      '  position: absolute;',
+      '  top: 0.5rem;',
+      '  left: 0.5rem;',
+      '  padding: 0.2rem 0.6rem;',
+      '  border-radius: 50px;',
+      '  font-size: 0.6875rem;',
+      '  font-weight: 800;',
+      '  color: #fff;',
+      '  letter-spacing: 0.04em;',
+      '  text-transform: uppercase;',
+      '  box-shadow: 0 2px 8px rgba(0,0,0,0.3);',
+      '}',
+      '.nw-change-new { background: #10b981; }',
+      '.nw-change-updated { background: #3b82f6; }',
+
       /* Store tag badge */
       '.nw-store-tag {',
       '  display: inline-flex;',
@@ -167,6 +227,21 @@
       '  background: rgba(0,0,0,0.03);',
       '}',
 
+      /* Off-route badge (venue outside our regular shopping route) */
+      '.nw-off-route {',
+      '  display: inline-flex;',
+      '  align-items: center;',
+      '  padding: 0.15rem 0.5rem;',
+      '  border-radius: 50px;',
+      '  font-size: 0.625rem;',
+      '  font-weight: 600;',
+      '  color: #f87171;',
+      '  border: 1px solid rgba(248,113,113,0.3);',
+      '  background: rgba(248,113,113,0.1);',
+      '  margin: 0 0 0.5rem 0.375rem;',
+      '  white-space: nowrap;',
+      '}',
+
       /* Event period badge */
       '.nw-event-period {',
       '  display: inline-flex;',
@@ -204,6 +279,31 @@
       '  background: rgba(239,68,68,0.08);',
       '}',
 
+      /* Sales chips (sales method, bonus threshold, purchase limit) */
+      '.nw-sales {',
+      '  display: flex;',
+      '  flex-wrap: wrap;',
+      '  gap: 0.375rem;',
+      '  margin: 0 0 0.75rem;',
+      '}',
+      '.nw-chip {',
+      '  display: inline-flex;',
+      '  align-items: center;',
+      '  padding: 0.15rem 0.5rem;',
+      '  border-radius: 50px;',
+      '  font-size: 0.625rem;',
+      '  font-weight: 600;',
+      '  color: #a5b4fc;',
+      '  border: 1px solid rgba(165,180,252,0.3);',
+      '  background: rgba(165,180,252,0.1);',
+      '  white-space: nowrap;',
+      '}',
+      '.section-light .nw-chip {',
+      '  color: #4f46e5;',
+      '  border-color: rgba(79,70,229,0.25);',
+      '  background: rgba(79,70,229,0.06);',
+      '}',
+
       /* Card body */
       '.nw-card-body {',
       '  padding: 1rem 1.25rem 1.25rem;',
@@ -275,6 +375,31 @@
       '  box-shadow: 0 6px 16px rgba(239,68,68,0.3);',
       '}',
 
+      /* Language toggle */
+      '.nw-lang {',
+      '  display: flex;',
+      '  justify-content: flex-end;',
+      '  gap: 0.25rem;',
+      '  margin-bottom: 1rem;',
+      '}',
+      '.nw-lang-btn {',
+      '  padding: 0.25rem 0.75rem;',
+      '  border-radius: 50px;',
+      '  font-size: 0.75rem;',
+      '  font-weight: 600;',
+      '  color: #9ca3af;',
+      '  background: transparent;',
+      '  border: 1px solid rgba(255,255,255,0.15);',
+      '  cursor: pointer;',
+      '}',
+      '.nw-lang-btn.nw-lang-active {',
+      '  color: #fff;',
+      '  background: #ef4444;',
+      '  border-color: #ef4444;',
+      '}',
+      '.section-light .nw-lang-btn { color: #6b7280; border-color: rgba(0,0,0,0.15); }',
+      '.section-light .nw-lang-btn.nw-lang-active { color: #fff; }',
+
       /* Updated text */
       '.nw-updated {',
       '  text-align: center;',
@@ -420,7 +545,8 @@
     try {
       var s = new Date(startStr);
       if (isNaN(s.getTime())) return '';
-      var opts = { month: 'short', day: 'numeric' };
+      // Event periods are shown in Japan time, where the event takes place
+      var opts = { month: 'short', day: 'numeric', timeZone: 'Asia/Tokyo' };
       var text = s.toLocaleDateString('en-US', opts);
       if (endStr) {
         var e = new Date(endStr);
@@ -434,6 +560,75 @@
     }
   }
 
+  function getExchangeRate() {
+    var saved = null;
+    try {
+      saved = parseFloat(window.localStorage.getItem(CONF.exchangeRateKey));
+    } catch (e) {
+      // localStorage unavailable (privacy mode)
+    }
+    return saved > 0 ? saved : CONF.defaultJpyPerUsd;
+  }
+
+  // "¥550 (~$3.67)" or "¥550–1,650 (~$3.67–11.00)" from news.json prices
+  function formatPrice(prices) {
+    if (!prices || !prices.min) return '';
+    var rate = getExchangeRate();
+    var yen = '\u00a5' + prices.min.toLocaleString('en-US');
+    var usd = '~$' + (prices.min / rate).toFixed(2);
+    if (prices.max && prices.max !== prices.min) {
+      yen += '\u2013' + prices.max.toLocaleString('en-US');
+      usd += '\u2013' + (prices.max / rate).toFixed(2);
+    }
+    return yen + ' (' + usd + ')';
+  }
+
+  // [label, tooltip] pairs for the sales details of an item
+  function salesChips(item) {
+    var chips = (item.salesMethod || []).map(function (method) {
+      return [SALES_METHOD_LABELS[method] || method, 'How the item is sold'];
+    });
+    if (item.bonusThresholdJpy) {
+      chips.push(['Bonus per \u00a5' + item.bonusThresholdJpy.toLocaleString('en-US'), 'Purchase amount that earns a bonus item']);
+    }
+    if (item.perPersonLimit) {
+      chips.push(['Limit ' + item.perPersonLimit + ' per person', 'Purchase limit per person or checkout']);
+    }
+    if (item.requiresReservation === true) {
+      chips.push(['Reservation required', 'Entry or purchase needs a reservation']);
+    }
+    return chips;
+  }
+
+  function getLanguage() {
+    var saved = null;
+    try {
+      saved = window.localStorage.getItem(CONF.languageKey);
+    } catch (e) {
+      // localStorage unavailable (privacy mode)
+    }
+    return saved === 'ja' || saved === 'en' ? saved : CONF.defaultLanguage;
+  }
+
+  // Title or summary in the chosen language, falling back to the other one.
+  // news.json keeps both as { ja, en }; older files have plain strings.
+  // Returns { text, lang } with the language actually shown.
+  function pickText(value, lang) {
+    if (!value) return { text: '', lang: lang };
+    if (typeof value === 'string') return { text: value, lang: lang };
+    if (value[lang]) return { text: value[lang], lang: lang };
+    var other = lang === 'ja' ? 'en' : 'ja';
+    return { text: value[other] || '', lang: other };
+  }
+
+  function hasBothLanguages(items) {
+    for (var i = 0; i < items.length; i++) {
+      var title = items[i].title;
+      if (title && typeof title === 'object' && title.ja && title.en) return true;
+    }
+    return false;
+  }
+
   // ------------------------------------
   // Render helpers
   // ------------------------------------
@@ -457,11 +652,37 @@
     );
   }
 
-  function renderCard(item) {
+  function renderLanguageToggle(lang) {
+    var options = [['en', 'EN'], ['ja', '\u65e5\u672c\u8a9e']];
+    return (
+      '<div class="nw-lang" role="group" aria-label="Language">' +
+        options.map(function (option) {
+          var active = option[0] === lang;
+          return '<button type="button" class="nw-lang-btn' + (active ? ' nw-lang-active' : '') + '" aria-pressed="' + active + '" ' +
+            'lang="' + option[0] + '" onclick="window.__newsWidget.setLanguage(\'' + option[0] + '\')">' + option[1] + '</button>';
+        }).join('') +
+      '</div>'
+    );
+  }
+
+  // Mirrored image paths in news.json are relative to the site root, the
+  // parent of the directory news.json is served from
+  function imageUrl(src) {
+    try {
+      return new URL(src, new URL('../', new URL(CONF.dataUrl, window.location.href))).href;
+    } catch (e) {
+      return src;
+    }
+  }
+
+  function renderCard(item, lang) {
+    var title = pickText(item.title, lang);
+    var summary = pickText(item.summary, lang);
     var imgHtml;
     if (item.image) {
+      // Mirrored images come with a smaller thumbnail
       imgHtml =
-        '<img src="' + escapeHtml(item.image) + '" alt="' + escapeHtml(item.title || '') + '" loading="lazy" ' +
+        '<img src="' + escapeHtml(imageUrl(item.thumbnail || item.image)) + '" alt="' + escapeHtml(title.text) + '" loading="lazy" ' +
         'onerror="this.parentNode.innerHTML=\'' + PLACEHOLDER_SVG.replace(/'/g, "\\'") + '\';this.parentNode.classList.add(\'nw-placeholder\')">';
     } else {
       imgHtml = '<div class="nw-placeholder">' + PLACEHOLDER_SVG + '</div>';
@@ -472,15 +693,34 @@
       ? '<span class="nw-badge" style="background:' + badgeColor + ';">' + escapeHtml(item.source) + '</span>'
       : '';
 
-    // Use link field (new format) with url fallback (old format)
-    var linkUrl = item.link || item.url || '#';
-    var target = linkUrl !== '#' ? ' target="_blank" rel="noopener noreferrer"' : '';
+    // Same event reported by several sites
+    var sourceCount = item.sources ? item.sources.length : 0;
+    if (sourceCount > 1) {
+      var sourceNames = item.sources.map(function (src) { return src.name; }).join(', ');
+      badgeHtml += '<span class="nw-source-count" title="' + escapeHtml(sourceNames) + '">' + sourceCount + ' sources</span>';
+    }
+
+    // Added or changed since the previous update
+    if (item.isNew) {
+      badgeHtml += '<span class="nw-change nw-change-new">New</span>';
+    } else if (item.updatedFields && item.updatedFields.length > 0) {
+      var changed = item.updatedFields.map(function (field) { return CHANGE_LABELS[field] || field; }).join(', ');
+      badgeHtml += '<span class="nw-change nw-change-updated" title="Updated: ' + escapeHtml(changed) + '">Updated</span>';
+    }
+
+    // Items with an id have a generated article page on our site;
+    // older items fall back to the source link (or url in the old format)
+    var linkUrl = item.id ? CONF.articleBase + item.id + '.html' : (item.link || item.url || '#');
+    var target = !item.id && linkUrl !== '#' ? ' target="_blank" rel="noopener noreferrer"' : '';
 
     // Store tag badge
     var storeTagHtml = '';
     if (item.storeTag) {
       storeTagHtml = '<span class="nw-store-tag">\ud83d\udccd ' + escapeHtml(item.storeTag) + '</span>';
     }
+    if (item.offRoute) {
+      storeTagHtml += '<span class="nw-off-route" title="Not on our regular Tokyo shopping route; ask us before requesting">Outside our route</span>';
+    }
 
     // Event period badge
     var eventPeriodHtml = '';
@@ -489,9 +729,27 @@
       eventPeriodHtml = '<span class="nw-event-period">\ud83d\udcc5 ' + escapeHtml(periodText) + '</span>';
     }
 
+    // How the item can be obtained
+    var salesHtml = '';
+    var chips = salesChips(item);
+    if (chips.length > 0) {
+      salesHtml = '<div class="nw-sales">' + chips.map(function (chip) {
+        return '<span class="nw-chip" title="' + escapeHtml(chip[1]) + '">' + escapeHtml(chip[0]) + '</span>';
+      }).join('') + '</div>';
+    }
+
     // Date: support publishedAt (new), date, published_date (legacy)
     var dateStr = item.publishedAt || item.date || item.published_date || '';
 
+    // Price in yen with an approximate USD figure
+    var priceHtml = '';
+    var priceText = formatPrice(item.prices);
+    if (priceText) {
+      var taxNote = item.prices.taxIncluded === true ? 'Tax included'
+        : item.prices.taxIncluded === false ? 'Before Japanese consumption tax' : 'Price as listed';
+      priceHtml = '<span class="nw-price" title="' + escapeHtml(taxNote + '; USD is approximate') + '">' + escapeHtml(priceText) + '</span>';
+    }
+
     return (
       '<article class="nw-card">' +
         '<div class="nw-card-image">' +
@@ -500,9 +758,10 @@
         '</div>' +
         '<div class="nw-card-body">' +
           storeTagHtml +
-          '<h3 class="nw-card-title"><a href="' + escapeHtml(linkUrl) + '"' + target + '>' + escapeHtml(item.title || 'Untitled') + '</a>' + eventPeriodHtml + '</h3>' +
-          '<p class="nw-card-summary">' + escapeHtml(item.summary || '') + '</p>' +
-          '<p class="nw-card-date">' + formatDate(dateStr) + '</p>' +
+          '<h3 class="nw-card-title" lang="' + title.lang + '"><a href="' + escapeHtml(linkUrl) + '"' + target + '>' + escapeHtml(title.text || 'Untitled') + '</a>' + eventPeriodHtml + '</h3>' +
+          '<p class="nw-card-summary" lang="' + summary.lang + '">' + escapeHtml(summary.text) + '</p>' +
+          salesHtml +
+          '<p class="nw-card-date">' + formatDate(dateStr) + priceHtml + '</p>' +
         '</div>' +
       '</article>'
     );
@@ -533,9 +792,11 @@
       }
     }
 
-    // Sort items within each group by date (newest first)
+    // Sort items within each group by relevance score, then date (newest first)
     for (var k = 0; k < orderedKeys.length; k++) {
       groups[orderedKeys[k]].sort(function (a, b) {
+        var scoreDiff = (b.score || 0) - (a.score || 0);
+        if (scoreDiff !== 0) return scoreDiff;
         var da = new Date(a.publishedAt || 0).getTime();
         var db = new Date(b.publishedAt || 0).getTime();
         return db - da;
@@ -609,6 +870,12 @@
 
     var html = '';
     var visibleItems = this.items.slice(0, this.visibleCount);
+    var lang = getLanguage();
+
+    // EN / 日本語 toggle once the data carries both languages
+    if (hasBothLanguages(this.items)) {
+      html += renderLanguageToggle(lang);
+    }
 
     if (this.mode === 'full') {
       // Full mode: group events by storeTag with section headings
@@ -620,7 +887,7 @@
         html += '<h3 class="nw-store-heading">\ud83d\udccd ' + escapeHtml(storeKey) + '</h3>';
         html += '<div class="nw-grid">';
         for (var s = 0; s < storeItems.length; s++) {
-          html += renderCard(storeItems[s]);
+          html += renderCard(storeItems[s], lang);
         }
         html += '</div>';
         html += '</div>';
@@ -629,7 +896,7 @@
       // Compact mode: flat grid (no grouping, just show the most recent items)
       html += '<div class="nw-grid">';
       for (var i = 0; i < visibleItems.length; i++) {
-        html += renderCard(visibleItems[i]);
+        html += renderCard(visibleItems[i], lang);
       }
       html += '</div>';
     }
@@ -678,6 +945,18 @@
       }
     },
 
+    // Remember the language and re-render every widget on the page
+    setLanguage: function (lang) {
+      try {
+        window.localStorage.setItem(CONF.languageKey, lang);
+      } catch (e) {
+        // localStorage unavailable (privacy mode)
+      }
+      for (var i = 0; i < this.instances.length; i++) {
+        if (this.instances[i].items.length) this.instances[i].render();
+      }
+    },
+
     retry: function (btn) {
       var container = btn.closest('.nw-container');
       for (var i = 0; i < this.instances.length; i++) {
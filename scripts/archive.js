@@ -0,0 +1,174 @@
+/**
+ * Persistent item archive.
+ *
+ * Every run is merged into a history stored under files/data/archive/,
+ * partitioned by the month an item was first seen (e.g. archive/2026-10.json).
+ * Each archived item carries:
+ *   - firstSeenAt: when the collector first saw it (never changes)
+ *   - lastSeenAt:  the last run in which a source still returned it
+ *   - updatedAt:   the last run in which its content changed (the fields
+ *                  changes.js tracks), used as the feeds' modified time
+ *
+ * news.json is derived from the archive as the current "live" view, so a
+ * long-running collab cafe stays visible after newer posts push it out of
+ * the source feeds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./output');
+const { isPublishedSince } = require('./dates');
+const { rankItems } = require('./score');
+const { upgradeItem } = require('./bilingual');
+const { compareItems } = require('./changes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the archive partition key (YYYY-MM) for an ISO timestamp.
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string} Month key, e.g. "2026-10"
+ */
+function monthKey(iso) {
+  return iso.slice(0, 7);
+}
+
+/**
+ * Load every archive partition into a single map.
+ * Unreadable partitions are logged and skipped; items from before the
+ * bilingual output are upgraded (bilingual.upgradeItem()).
+ * @param {string} dir - Archive directory
+ * @returns {Map<string, Object>} Archived items keyed by id
+ */
+function loadArchive(dir) {
+  const archive = new Map();
+  if (!fs.existsSync(dir)) return archive;
+
+  const files = fs.readdirSync(dir)
+    .filter((file) => /^\d{4}-\d{2}\.json$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+      for (const item of data.items || []) {
+        archive.set(item.id, upgradeItem(item));
+      }
+    } catch (err) {
+      console.error(`  [ERROR] Could not read archive partition ${file}: ${err.message}`);
+    }
+  }
+
+  return archive;
+}
+
+/**
+ * Merge this run's items into the archive.
+ * New items get firstSeenAt = lastSeenAt = updatedAt = now; known items keep
+ * their firstSeenAt, take the latest field values and move updatedAt only
+ * when a tracked field changed (changes.compareItems()).
+ * @param {Map<string, Object>} archive - Archive map (mutated)
+ * @param {Array} items - Items collected in this run
+ * @param {string} now - ISO timestamp of this run
+ * @returns {{added: number, updated: number}} Merge counts
+ */
+function mergeIntoArchive(archive, items, now) {
+  let added = 0;
+  let updated = 0;
+
+  for (const item of items) {
+    const existing = archive.get(item.id);
+    if (existing) {
+      const changed = Object.keys(compareItems(existing, item)).length > 0;
+      archive.set(item.id, {
+        ...existing,
+        ...item,
+        firstSeenAt: existing.firstSeenAt,
+        lastSeenAt: now,
+        updatedAt: changed ? now : existing.updatedAt || existing.firstSeenAt,
+      });
+      updated++;
+    } else {
+      archive.set(item.id, {
+        ...item, firstSeenAt: now, lastSeenAt: now, updatedAt: now,
+      });
+      added++;
+    }
+  }
+
+  return { added, updated };
+}
+
+/**
+ * Write the archive back to disk, one file per firstSeenAt month.
+ * @param {Map<string, Object>} archive - Archive map
+ * @param {string} dir - Archive directory
+ * @returns {string[]} Partition keys written
+ */
+function saveArchive(archive, dir) {
+  const partitions = new Map();
+  for (const item of archive.values()) {
+    const key = monthKey(item.firstSeenAt);
+    if (!partitions.has(key)) partitions.set(key, []);
+    partitions.get(key).push(item);
+  }
+
+  const keys = Array.from(partitions.keys()).sort();
+  for (const key of keys) {
+    const items = partitions.get(key).sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt));
+    const data = { month: key, count: items.length, items };
+    writeFileAtomic(path.join(dir, `${key}.json`), JSON.stringify(data, null, 2));
+  }
+
+  return keys;
+}
+
+/**
+ * Check whether an archived item still belongs in the live view.
+ * - Events with a known end date stay live until that date has passed.
+ * - Everything else stays live while sources keep returning it, plus
+ *   staleDays of grace after it was last seen.
+ * @param {Object} item - Archived item
+ * @param {Date} now - Current time
+ * @param {number} staleDays - Grace period after lastSeenAt
+ * @returns {boolean} True if the item is live
+ */
+function isLive(item, now, staleDays) {
+  if (item.eventEnd) {
+    const end = new Date(item.eventEnd);
+    if (!isNaN(end.getTime())) return end >= now;
+  }
+  const lastSeen = new Date(item.lastSeenAt).getTime();
+  return now.getTime() - lastSeen <= staleDays * DAY_MS;
+}
+
+/**
+ * Derive the live view from the archive: live items, newest first or by score.
+ * @param {Map<string, Object>} archive - Archive map
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {number} options.staleDays - Grace period after lastSeenAt
+ * @param {number} options.maxItems - Maximum number of items to return
+ * @param {string|null} [options.since] - Also drop items published before this ISO date
+ * @param {Object} [options.scoring] - config.SCORING: rank by relevance score
+ *   (items get score / scoreFactors) instead of newest first
+ * @returns {Array} Live items
+ */
+function selectLiveItems(archive, {
+  now, staleDays, maxItems, since = null, scoring = null,
+}) {
+  const live = Array.from(archive.values())
+    .filter((item) => isLive(item, now, staleDays) && isPublishedSince(item, since));
+
+  if (scoring) return rankItems(live, { now, scoring }).slice(0, maxItems);
+
+  live.sort((a, b) => {
+    const dateA = new Date(a.publishedAt).getTime();
+    const dateB = new Date(b.publishedAt).getTime();
+    return dateB - dateA;
+  });
+
+  return live.slice(0, maxItems);
+}
+
+module.exports = { loadArchive, mergeIntoArchive, saveArchive, selectLiveItems, isLive };
@@ -0,0 +1,199 @@
+/**
+ * Static article pages for collected items.
+ *
+ * Every live item gets files/article/<id>.html rendered from
+ * templates/article.html, and templates/article-index.html lists them all
+ * on files/article/index.html. Visitors stay on our site and get a
+ * prefilled "Request this item" button (openRequestForm in js/main.js).
+ *
+ * Templates use {{name}} placeholders. Values are HTML-escaped unless the
+ * name ends in "Html", which marks markup built here.
+ *
+ * Generated pages are named <16 hex id>.html; pages for items that left
+ * the live view are removed, hand-written pages in the directory are not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatEventPeriod } = require('./fetch-products');
+const { TZ } = require('./dates');
+const { writeFileAtomic } = require('./output');
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+const GENERATED_RE = /^[0-9a-f]{16}\.html$/;
+
+/**
+ * Escape text for HTML content and attribute values.
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fill {{name}} placeholders in a template.
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values ("...Html" keys are inserted raw)
+ * @returns {string} Rendered text
+ * @throws {Error} If the template uses a placeholder with no value
+ */
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, name) => {
+    if (!(name in values)) throw new Error(`Template placeholder {{${name}}} has no value`);
+    return name.endsWith('Html') ? values[name] : escapeHtml(values[name]);
+  });
+}
+
+/**
+ * Format a timestamp as a JST calendar date, e.g. "Oct 12, 2026".
+ * @param {string|null} iso - ISO timestamp
+ * @returns {string} Formatted date or empty string
+ */
+function formatDate(iso) {
+  if (!iso) return '';
+  return new Date(iso).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: TZ,
+  });
+}
+
+/**
+ * Page file name for an item.
+ * @param {Object} item - Output item
+ * @returns {string} File name, e.g. "0123456789abcdef.html"
+ */
+function articleFileName(item) {
+  return `${item.id}.html`;
+}
+
+/**
+ * Short plain-text description for meta tags.
+ * @param {Object} item - Output item
+ * @returns {string} Description (max 160 chars)
+ */
+function describe(item) {
+  const text = item.summary || item.title;
+  return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+}
+
+/**
+ * Resolve an image path from news.json for a page in the article directory.
+ * Mirrored images are stored relative to the site root; absolute URLs and
+ * root-absolute paths are kept.
+ * @param {string} ref - item.image or item.thumbnail
+ * @returns {string} URL relative to the article page
+ */
+function pageImageUrl(ref) {
+  return /^(?:[a-z][a-z0-9+.-]*:|\/)/i.test(ref) ? ref : `../${ref}`;
+}
+
+/**
+ * Render the article page for one item.
+ * @param {Object} item - Output item
+ * @param {string} template - templates/article.html
+ * @param {string} baseUrl - Public URL of the article directory
+ * @returns {string} HTML
+ */
+function renderArticle(item, template, baseUrl) {
+  const period = formatEventPeriod(item.eventStart, item.eventEnd);
+  const meta = [
+    period ? `📅 ${period}${item.eventEnd ? '' : ' (end date TBA)'}` : null,
+    item.storeTag ? `📍 ${item.storeTag}` : null,
+    item.category,
+  ].filter(Boolean);
+
+  const hasOriginal = item.originalTitle && item.originalTitle !== item.title;
+  const imageHtml = item.image
+    ? `                        <img src="${escapeHtml(pageImageUrl(item.image))}" alt="${escapeHtml(item.title)}">\n`
+    : '                        <img src="../images/placeholder.svg" alt="">\n';
+
+  return fillTemplate(template, {
+    pageTitle: item.title,
+    description: describe(item),
+    canonicalUrl: new URL(articleFileName(item), baseUrl).href,
+    ogImageHtml: item.image ? `    <meta property="og:image" content="${escapeHtml(new URL(pageImageUrl(item.image), baseUrl).href)}">\n` : '',
+    title: item.title,
+    originalTitleHtml: hasOriginal
+      ? `                <p class="original-title" lang="ja">${escapeHtml(item.originalTitle)}</p>\n`
+      : '',
+    metaHtml: meta.map((text) => `                    <span>${escapeHtml(text)}</span>\n`).join(''),
+    imageHtml,
+    summary: item.summary,
+    requestName: hasOriginal ? `${item.title} (${item.originalTitle})` : item.title,
+    link: item.link,
+    source: item.source,
+    published: formatDate(item.publishedAt),
+  });
+}
+
+/**
+ * Render the index page listing every item.
+ * @param {Array} items - Output items (newest first)
+ * @param {string} template - templates/article-index.html
+ * @param {string} baseUrl - Public URL of the article directory
+ * @returns {string} HTML
+ */
+function renderIndex(items, template, baseUrl) {
+  const cardsHtml = items.map((item) => {
+    const period = formatEventPeriod(item.eventStart, item.eventEnd);
+    const details = [period, item.storeTag].filter(Boolean).join(' · ');
+    const image = item.image
+      ? `<img src="${escapeHtml(pageImageUrl(item.thumbnail || item.image))}" alt="" loading="lazy">`
+      : '<img src="../images/placeholder.svg" alt="">';
+    return [
+      `                    <a class="item-card" href="${escapeHtml(articleFileName(item))}">`,
+      `                        <div class="item-card__image">${image}</div>`,
+      '                        <div class="item-card__body">',
+      `                            <h3 class="item-card__title">${escapeHtml(item.title)}</h3>`,
+      `                            <p class="item-card__desc">${escapeHtml(details || formatDate(item.publishedAt))}</p>`,
+      '                        </div>',
+      '                    </a>',
+      '',
+    ].join('\n');
+  }).join('');
+
+  return fillTemplate(template, {
+    pageTitle: 'Store-Exclusive Events in Japan',
+    description: 'Collab cafes, pop-up shops and store-exclusive goods in Japan that we can buy for you in person.',
+    canonicalUrl: new URL('index.html', baseUrl).href,
+    cardsHtml,
+  });
+}
+
+/**
+ * Write one page per item plus the index, and remove generated pages for
+ * items that are no longer listed.
+ * @param {Array} items - Output items (newest first)
+ * @param {string} dir - Article directory (e.g. files/article)
+ * @param {string} baseUrl - Public URL of the article directory
+ * @returns {{written: number, removed: number}} Page counts
+ */
+function writeArticles(items, dir, baseUrl) {
+  const articleTemplate = fs.readFileSync(path.join(TEMPLATE_DIR, 'article.html'), 'utf-8');
+  const indexTemplate = fs.readFileSync(path.join(TEMPLATE_DIR, 'article-index.html'), 'utf-8');
+
+  const keep = new Set(items.map(articleFileName));
+  for (const item of items) {
+    writeFileAtomic(path.join(dir, articleFileName(item)), renderArticle(item, articleTemplate, baseUrl));
+  }
+  writeFileAtomic(path.join(dir, 'index.html'), renderIndex(items, indexTemplate, baseUrl));
+
+  let removed = 0;
+  for (const file of fs.readdirSync(dir)) {
+    if (GENERATED_RE.test(file) && !keep.has(file)) {
+      fs.rmSync(path.join(dir, file));
+      removed++;
+    }
+  }
+
+  return { written: items.length, removed };
+}
+
+module.exports = {
+  renderArticle, renderIndex, writeArticles, fillTemplate, escapeHtml, articleFileName,
+};
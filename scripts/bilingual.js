@@ -0,0 +1,127 @@
+/**
+ * Bilingual title and summary of news.json items.
+ *
+ * news.json keeps both languages of the text fields:
+ *
+ *   "title":   { "ja": "呪術廻戦 コラボカフェ", "en": "Jujutsu Kaisen Collab Cafe" },
+ *   "summary": { "ja": "渋谷で開催...",         "en": "Held in Shibuya..." }
+ *
+ * A language is null when the item has no text in it (not translated, or
+ * an English source). Inside the pipeline items stay single-language
+ * strings: translate.js puts the English into title/summary and keeps the
+ * Japanese as originalTitle/originalSummary; toBilingual() combines them
+ * for the output.
+ *
+ * Archives and news.json files written before the output was bilingual
+ * (a translated title plus originalTitle, a 100-character English summary)
+ * are converted by upgradeItem() when they are read.
+ */
+
+const LANGUAGES = ['ja', 'en'];
+
+/**
+ * Build the bilingual title and summary of a pipeline item.
+ * @param {Object} item - Pipeline item (possibly translated)
+ * @returns {{title: {ja: ?string, en: ?string}, summary: {ja: ?string, en: ?string}}}
+ */
+function toBilingual(item) {
+  if (item.translated) {
+    return {
+      title: { ja: item.originalTitle || null, en: item.title },
+      summary: {
+        ja: typeof item.originalSummary === 'string' ? item.originalSummary : null,
+        // A Japanese summary whose translation failed has no English yet
+        en: item.summary || (item.originalSummary ? null : ''),
+      },
+    };
+  }
+  if (item.language === 'en') {
+    return { title: { ja: null, en: item.title }, summary: { ja: null, en: item.summary || '' } };
+  }
+  return { title: { ja: item.title, en: null }, summary: { ja: item.summary || '', en: null } };
+}
+
+/**
+ * Read a text field in one language, falling back to the other one.
+ * Plain strings (single-language items) are returned as they are.
+ * @param {string|Object|null} value - { ja, en } or a string
+ * @param {string} [lang] - 'en' or 'ja'
+ * @returns {string} Text ('' when there is none)
+ */
+function textIn(value, lang = 'en') {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  return value[lang] || LANGUAGES.map((other) => value[other]).find(Boolean) || '';
+}
+
+/**
+ * Every language of a text field, for keyword matching.
+ * @param {string|Object|null} value - { ja, en } or a string
+ * @returns {string[]} Non-empty texts
+ */
+function allTexts(value) {
+  if (!value) return [];
+  if (typeof value === 'string') return [value];
+  return LANGUAGES.map((lang) => value[lang]).filter(Boolean);
+}
+
+/**
+ * Title and summary of an item in every language it has, for keyword and
+ * place matching. Takes pipeline items (strings plus originalTitle and
+ * originalSummary after translation) and output items ({ ja, en }) alike.
+ * @param {Object} item - Pipeline or output item
+ * @returns {string[]} Non-empty texts
+ */
+function itemTexts(item) {
+  return [
+    ...allTexts(item.title), item.originalTitle,
+    ...allTexts(item.summary), item.originalSummary,
+  ].filter(Boolean);
+}
+
+/**
+ * Single-language view of an output item, for pages and feeds written in
+ * one language (articles, Atom/JSON feeds, calendar, digests). In English
+ * the Japanese title is kept as originalTitle when it differs.
+ * @param {Object} item - Output item
+ * @param {string} [lang] - 'en' or 'ja'
+ * @returns {Object} Item with string title/summary
+ */
+function localizeItem(item, lang = 'en') {
+  const title = textIn(item.title, lang);
+  const japanese = textIn(item.title, 'ja');
+  return {
+    ...item,
+    title,
+    summary: textIn(item.summary, lang),
+    ...(lang === 'en' && japanese && japanese !== title ? { originalTitle: japanese } : {}),
+  };
+}
+
+/**
+ * Convert an archived or previous news.json item from the single-language
+ * format. Items that are already bilingual are returned unchanged.
+ * @param {Object} item - Output item in either format
+ * @returns {Object} Bilingual item (language is the source language again)
+ */
+function upgradeItem(item) {
+  if (typeof item.title !== 'string') return item;
+  const { originalTitle, ...rest } = item;
+
+  if (item.translated) {
+    return {
+      ...rest,
+      title: { ja: originalTitle || null, en: item.title },
+      summary: { ja: null, en: item.summary || '' },
+      language: 'ja',
+    };
+  }
+  return {
+    ...rest,
+    ...toBilingual(item),
+  };
+}
+
+module.exports = {
+  toBilingual, textIn, allTexts, itemTexts, localizeItem, upgradeItem,
+};
@@ -0,0 +1,114 @@
+/**
+ * Run-to-run changes of the live view.
+ *
+ * Every run is compared with the previous news.json:
+ *   - items that were not in it get isNew: true
+ *   - items whose tracked fields differ get updatedFields, e.g.
+ *     ['period', 'image'] (see TRACKED_FIELDS)
+ *   - items that dropped out are listed as removed
+ *
+ * Every live item carries isNew and updatedFields (false / [] when nothing
+ * changed) so the widget can show NEW and UPDATED badges. changes.json,
+ * written next to news.json, lists what was added, updated and removed in
+ * the run. Without a previous news.json there is nothing to compare with,
+ * so nothing is marked.
+ */
+
+const { textIn } = require('./bilingual');
+
+// Tracked fields: name -> value to compare (null when the item has none).
+// The title is compared in Japanese (the source language) so a different
+// translation does not count as an update.
+const TRACKED_FIELDS = {
+  title: (item) => textIn(item.title, 'ja'),
+  period: (item) => (item.eventStart || item.eventEnd
+    ? { start: item.eventStart || null, end: item.eventEnd || null }
+    : null),
+  image: (item) => item.imageSource || item.image || null,
+  store: (item) => item.storeTag || null,
+  price: (item) => (item.prices ? { min: item.prices.min, max: item.prices.max } : null),
+  link: (item) => item.link || null,
+};
+
+/**
+ * Compare the tracked fields of two versions of an item.
+ * @param {Object} before - Item in the previous news.json
+ * @param {Object} after - Item in this run
+ * @returns {Object<string, {change: string, from: *, to: *}>} Changed fields;
+ *   change is 'added', 'removed' or 'changed'
+ */
+function compareItems(before, after) {
+  const changes = {};
+  for (const [field, value] of Object.entries(TRACKED_FIELDS)) {
+    const from = value(before);
+    const to = value(after);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    let change = 'changed';
+    if (from === null) change = 'added';
+    else if (to === null) change = 'removed';
+    changes[field] = { change, from, to };
+  }
+  return changes;
+}
+
+/**
+ * Short description of an item for changes.json.
+ * @param {Object} item - News item
+ * @returns {Object} { id, title, link, storeTag }
+ */
+function describe(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    link: item.link,
+    storeTag: item.storeTag || null,
+  };
+}
+
+/**
+ * Mark the live items against the previous news.json and list the changes.
+ * @param {Array} items - Live items of this run
+ * @param {Object|null} previous - Previous news.json (output.readPrevious())
+ * @returns {{items: Array, changes: Object}} New item objects with isNew and
+ *   updatedFields, and { previousUpdated, added, updated, removed } for changes.json
+ */
+function markChanges(items, previous) {
+  if (!previous) {
+    return {
+      items: items.map((item) => ({ ...item, isNew: false, updatedFields: [] })),
+      changes: {
+        previousUpdated: null, added: [], updated: [], removed: [],
+      },
+    };
+  }
+
+  const before = new Map((previous.items || []).map((item) => [item.id, item]));
+  const current = new Set(items.map((item) => item.id));
+  const added = [];
+  const updated = [];
+
+  const marked = items.map((item) => {
+    const old = before.get(item.id);
+    if (!old) {
+      added.push(describe(item));
+      return { ...item, isNew: true, updatedFields: [] };
+    }
+    const fields = compareItems(old, item);
+    const updatedFields = Object.keys(fields);
+    if (updatedFields.length > 0) updated.push({ ...describe(item), fields });
+    return { ...item, isNew: false, updatedFields };
+  });
+
+  const removed = (previous.items || [])
+    .filter((item) => !current.has(item.id))
+    .map(describe);
+
+  return {
+    items: marked,
+    changes: {
+      previousUpdated: previous.lastUpdated || null, added, updated, removed,
+    },
+  };
+}
+
+module.exports = { markChanges, compareItems, TRACKED_FIELDS };
@@ -0,0 +1,120 @@
+/**
+ * Command-line options for fetch-news.js.
+ *
+ * Parsing is done with node's util.parseArgs; this module adds the
+ * collector-specific validation (known source names, dates, formats) and
+ * the --help text. Invalid options throw an Error with a message meant for
+ * the user.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { parseSourceDate } = require('./dates');
+
+const FORMATS = ['table', 'json', 'ndjson'];
+
+const USAGE = `Usage: node scripts/fetch-news.js [options]
+
+Options:
+  --source <name>    Only fetch this source (repeatable; names from config.js)
+  --since <date>     Drop items published before this date (JST), e.g. 2026-10-01
+  --limit <n>        Maximum number of items in news.json (default: MAX_ITEMS)
+  --no-translate     Skip translation; items stay in their source language
+  --no-notify        Do not send Discord/email notifications for new items
+  --output <path>    Write news.json to this path instead of files/data/news.json
+  --dry-run          Print a preview instead of writing files
+  --format <fmt>     Dry-run preview format: table (default), json or ndjson
+  --force            Write even if validation fails
+  --record <dir>     Also save every HTTP response to <dir>
+  --replay <dir>     Rerun from a recording in <dir>, no network access
+  -h, --help         Show this help`;
+
+/**
+ * Parse and validate fetch-news.js arguments.
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {Array} sources - Configured sources, to validate --source names
+ * @returns {Object} Options: { help, dryRun, force, translate, notify, sources, since,
+ *   limit, output, format, recordDir, replayDir }
+ * @throws {Error} On unknown options or invalid values
+ */
+function parseCliArgs(argv, sources) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      source: { type: 'string', multiple: true },
+      since: { type: 'string' },
+      limit: { type: 'string' },
+      'no-translate': { type: 'boolean' },
+      'no-notify': { type: 'boolean' },
+      output: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+      format: { type: 'string' },
+      force: { type: 'boolean' },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const options = {
+    help: values.help || false,
+    dryRun: values['dry-run'] || false,
+    force: values.force || false,
+    translate: !values['no-translate'],
+    notify: !values['no-notify'],
+    sources: selectSources(sources, values.source || []),
+    since: null,
+    limit: null,
+    output: values.output ? path.resolve(values.output) : null,
+    format: values.format || 'table',
+    recordDir: values.record ? path.resolve(values.record) : null,
+    replayDir: values.replay ? path.resolve(values.replay) : null,
+  };
+
+  if (values.since !== undefined) {
+    const { iso } = parseSourceDate(values.since);
+    if (!iso) throw new Error(`--since: cannot parse date "${values.since}"`);
+    options.since = iso;
+  }
+
+  if (values.limit !== undefined) {
+    const limit = Number(values.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`--limit must be a positive integer (got "${values.limit}")`);
+    }
+    options.limit = limit;
+  }
+
+  if (!FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')} (got "${options.format}")`);
+  }
+  if (values.format && !options.dryRun) {
+    throw new Error('--format only applies to --dry-run');
+  }
+  if (options.recordDir && options.replayDir) {
+    throw new Error('--record and --replay cannot be combined');
+  }
+
+  return options;
+}
+
+/**
+ * Pick the sources named on the command line (case-insensitive).
+ * @param {Array} sources - Configured sources
+ * @param {string[]} names - Requested names (empty for all sources)
+ * @returns {Array} Selected sources, in config order
+ * @throws {Error} If a name matches no source
+ */
+function selectSources(sources, names) {
+  if (names.length === 0) return sources;
+
+  const wanted = names.map((name) => name.toLowerCase());
+  for (const name of names) {
+    if (!sources.some((source) => source.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error(`--source: unknown source "${name}" (known: ${sources.map((s) => s.name).join(', ')})`);
+    }
+  }
+  return sources.filter((source) => wanted.includes(source.name.toLowerCase()));
+}
+
+module.exports = { parseCliArgs, selectSources, USAGE, FORMATS };
@@ -0,0 +1,214 @@
+/**
+ * Cross-source near-duplicate clustering.
+ *
+ * The same collab cafe is often reported by collabo-cafe.com, nijimen and
+ * Animate Cafe with slightly different titles. filterAnimeGoods() only drops
+ * exact title matches, so this module groups items that are probably the
+ * same event and merges each group into one item.
+ *
+ * Two items are considered the same event when their original Japanese
+ * titles are similar (character-bigram Dice coefficient), their event
+ * periods do not contradict each other and their venues do not differ.
+ * Venues are compared by the gazetteer areas found in the text (venues.js),
+ * not by storeTag: source defaults such as 'Animate Cafe' or 'Various' say
+ * nothing about where the event is. An item only joins a cluster when it
+ * is the same event as every member, so an undated, unplaced item cannot
+ * link two different events.
+ *
+ * A merged item keeps the id of a member the archive already knows, so a
+ * cluster that gains a better-ranked member in a later run stays the same
+ * item (and is not notified again).
+ * Runs before translation, so `title` is still the Japanese original.
+ */
+
+const { detectVenues, loadGazetteer } = require('./venues');
+
+// Event-type words every other title contains; they carry no identity
+const NOISE_WORDS = [
+  'ポップアップストア', 'ポップアップショップ', 'オンリーショップ', 'コラボカフェ',
+  '期間限定', 'イベント', '開催決定', 'コラボ', 'カフェ', '開催', '決定', 'in',
+];
+
+const SAME_TITLE_THRESHOLD = 0.6;
+const SAME_PERIOD_THRESHOLD = 0.4;
+const MAX_START_DIFF_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce a title to the characters that identify the event.
+ * @param {string} title - Original (Japanese) title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  let text = (title || '').normalize('NFKC').toLowerCase();
+  for (const word of NOISE_WORDS) {
+    text = text.split(word).join('');
+  }
+  return text.replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+/**
+ * Build the set of character bigrams of a string.
+ * @param {string} text - Normalized text
+ * @returns {Set<string>} Bigrams
+ */
+function bigrams(text) {
+  const set = new Set();
+  for (let i = 0; i < text.length - 1; i++) {
+    set.add(text.slice(i, i + 2));
+  }
+  return set;
+}
+
+/**
+ * Dice coefficient between two bigram sets.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} Similarity in [0, 1]
+ */
+function dice(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Compare the event periods of two items.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {'same'|'different'|'unknown'} Period relation
+ */
+function comparePeriods(a, b) {
+  if (!a.eventStart || !b.eventStart) return 'unknown';
+  const diff = Math.abs(new Date(a.eventStart) - new Date(b.eventStart));
+  return diff <= MAX_START_DIFF_DAYS * DAY_MS ? 'same' : 'different';
+}
+
+/**
+ * Check whether two items are placed in different areas.
+ * @param {Object} a - Item with precomputed `_areas`
+ * @param {Object} b - Item with precomputed `_areas`
+ * @returns {boolean} True if both are placed and share no area
+ */
+function venuesDiffer(a, b) {
+  if (a._areas.size === 0 || b._areas.size === 0) return false;
+  return ![...a._areas].some((area) => b._areas.has(area));
+}
+
+/**
+ * Decide whether two items describe the same event.
+ * Items from the same source are never merged (the source already
+ * distinguishes them).
+ * @param {Object} a - Item with precomputed `_grams` and `_areas`
+ * @param {Object} b - Item with precomputed `_grams` and `_areas`
+ * @returns {boolean} True if they should be merged
+ */
+function isSameEvent(a, b) {
+  if (a.source === b.source) return false;
+
+  const period = comparePeriods(a, b);
+  if (period === 'different' || venuesDiffer(a, b)) return false;
+
+  const similarity = dice(a._grams, b._grams);
+  if (similarity >= SAME_TITLE_THRESHOLD) return true;
+  return period === 'same' && similarity >= SAME_PERIOD_THRESHOLD;
+}
+
+/**
+ * Rank an image URL: real image > resized/thumbnail variant > none.
+ * @param {string|null} url
+ * @returns {number} Rank (higher is better)
+ */
+function imageRank(url) {
+  if (!url) return -1;
+  if (/-\d+x\d+\.\w+$/.test(url) || /thumb/i.test(url)) return 0;
+  return 1;
+}
+
+/**
+ * Merge a cluster of items into one.
+ * The primary item (structured event dates first, then earliest published)
+ * provides the title and link; the merged item takes the best image, the
+ * earliest announcement date and lists every source. The id is that of the
+ * first ranked member already known from earlier runs, else the primary's.
+ * @param {Array} members - Items in the cluster
+ * @param {Set<string>} knownIds - Ids in the archive / previous news.json
+ * @returns {Object} Merged item
+ */
+function mergeCluster(members, knownIds) {
+  const byDate = (a, b) => new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0);
+  const ranked = [...members].sort((a, b) =>
+    (Number(b.eventConfidence === 'source') - Number(a.eventConfidence === 'source')) || byDate(a, b));
+  const primary = ranked[0];
+
+  const bestImage = [...members].sort((a, b) => imageRank(b.image) - imageRank(a.image))[0].image;
+  const earliest = [...members].filter((m) => m.publishedAt).sort(byDate)[0];
+  const withPeriod = ranked.find((m) => m.eventStart);
+  const known = ranked.find((m) => knownIds.has(m.id));
+
+  const sources = [];
+  for (const member of ranked) {
+    if (!sources.some((s) => s.link === member.link)) {
+      sources.push({ name: member.source, link: member.link });
+    }
+  }
+
+  const merged = {
+    ...primary,
+    id: known ? known.id : primary.id,
+    image: bestImage || null,
+    publishedAt: earliest ? earliest.publishedAt : primary.publishedAt,
+    sources,
+  };
+  if (withPeriod && !primary.eventStart) {
+    merged.eventStart = withPeriod.eventStart;
+    merged.eventEnd = withPeriod.eventEnd;
+    merged.eventConfidence = withPeriod.eventConfidence;
+  }
+  return merged;
+}
+
+/**
+ * Cluster near-duplicate items across sources and merge each cluster.
+ * Items are taken in order; each joins the first cluster whose members are
+ * all the same event as the item, or starts a new one.
+ * Every returned item carries `sources: [{name, link}]`.
+ * @param {Array} items - Filtered items (untranslated)
+ * @param {Object} [options]
+ * @param {Set<string>} [options.knownIds] - Ids of items from earlier runs
+ * @param {Object} [options.gazetteer] - Output of venues.loadGazetteer()
+ * @returns {Array} Merged items, in the order of each cluster's first member
+ */
+function clusterItems(items, { knownIds = new Set(), gazetteer = loadGazetteer() } = {}) {
+  const clusters = [];
+  for (const item of items) {
+    const text = [item.title, item.summary, item.content].filter(Boolean).join(' ');
+    const entry = {
+      ...item,
+      _grams: bigrams(normalizeTitle(item.title)),
+      _areas: new Set(detectVenues(text, gazetteer).map((venue) => venue.area).filter(Boolean)),
+    };
+    const cluster = clusters.find((members) => members.every((member) => isSameEvent(member, entry)));
+    if (cluster) cluster.push(entry);
+    else clusters.push([entry]);
+  }
+
+  const merged = [];
+  let mergedCount = 0;
+  for (const cluster of clusters) {
+    const members = cluster.map(({ _grams, _areas, ...item }) => item);
+    if (members.length > 1) {
+      mergedCount += members.length - 1;
+      console.log(`    [MERGED] ${members.map((m) => `${m.source}: ${m.title}`).join(' | ')}`);
+    }
+    merged.push(mergeCluster(members, knownIds));
+  }
+
+  console.log(`  Clustered: ${items.length} items -> ${merged.length} items (${mergedCount} merged)`);
+  return merged;
+}
+
+module.exports = { clusterItems, normalizeTitle };
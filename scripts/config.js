@@ -10,6 +10,10 @@
  *   - Store purchase bonuses
  *   - Exhibition exclusive merchandise
  *   - In-store-only events
+ *
+ * Every source has a `type` that selects its adapter in scripts/sources/.
+ * To add a new shop, add an adapter file there (if the type is new) and an
+ * entry below.
  */
 
 const path = require('path');
@@ -60,6 +64,7 @@ const API_SOURCES = [
 const RSS_SOURCES = [
   {
     name: 'nijimen',
+    type: 'rss',
     url: 'https://nijimen.kusuguru.co.jp/feed',
     language: 'ja',
     category: 'events',
@@ -77,6 +82,9 @@ const RSS_SOURCES = [
   },
 ];
 
+// Every source the collector runs, in fetch order
+const SOURCES = [...API_SOURCES, ...RSS_SOURCES];
+
 // No HTML scraping needed - all sources are JSON APIs or RSS
 const SCRAPE_SOURCES = [];
 
@@ -88,6 +96,179 @@ const OUTPUT = {
   file: path.join(__dirname, '..', 'files', 'data', 'news.json'),
 };
 
+// Subscription outputs written next to news.json (see feeds.js).
+// feedBaseUrl is where files/data/ is served on the site.
+const FEEDS = {
+  title: 'JapanCulture: Store-Exclusive Events in Japan',
+  description: 'Collab cafes, pop-up shops and store-exclusive goods you can only buy in Japan.',
+  homePageUrl: 'https://japanculture.com/category/news.html',
+  siteUrl: 'https://japanculture.com/',
+  feedBaseUrl: 'https://japanculture.com/data/',
+  calendarFile: 'events.ics',
+  atomFile: 'feed.atom',
+  jsonFeedFile: 'feed.json',
+};
+
+// Image mirroring (see images.js). publicPath is where dir is served, relative
+// to the site root like the site's own links (pages in subdirectories resolve
+// it themselves); IMAGES_PUBLIC_PATH overrides it, e.g. with a CDN URL.
+// Images under the size limits, at least bannerAspect times wider than tall,
+// or shared (within hashDistance bits of dHash) by maxSharedUses items are rejected.
+const IMAGES = {
+  dir: path.join(__dirname, '..', 'files', 'images', 'news'),
+  publicPath: process.env.IMAGES_PUBLIC_PATH || 'images/news/',
+  fullWidth: 1200,
+  thumbWidth: 400,
+  minWidth: 200,
+  minHeight: 120,
+  minBytes: 2048,
+  bannerAspect: 4,
+  hashDistance: 4,
+  maxSharedUses: 3,
+};
+
+// Static per-item article pages (see articles.js)
+const ARTICLES = {
+  dir: path.join(__dirname, '..', 'files', 'article'),
+  baseUrl: 'https://japanculture.com/article/',
+};
+
+// Regression guard for news.json: refuse to overwrite the previous file when
+// the new one has less than minCountRatio of its items, or when one of
+// `fields` is present on less than minFieldRatio of the share it used to be
+const OUTPUT_GUARD = {
+  minCountRatio: 0.5,
+  minFieldRatio: 0.5,
+  fields: ['publishedAt', 'image', 'summary'],
+};
+
+// Shared HTTP client (scripts/http.js)
+const HTTP = {
+  timeout: 15000,
+  // Retries on 5xx/timeouts/network errors, with exponential backoff
+  retries: 3,
+  backoffMs: 500,
+  // Politeness: one request at a time per host, this far apart
+  hostDelayMs: 500,
+  // How many sources are fetched in parallel
+  sourceConcurrency: 3,
+  // ETag/Last-Modified cache for conditional GETs
+  cacheDir: path.join(__dirname, '..', 'cache', 'http'),
+};
+
+// Persistent history of every collected item, one file per month first seen
+const ARCHIVE = {
+  dir: path.join(__dirname, '..', 'files', 'data', 'archive'),
+};
+
+// Pipeline reports for maintainers (not published with the site, git-ignored)
+const REPORTS = {
+  dir: path.join(__dirname, '..', 'reports'),
+};
+
+// On-disk translation cache, keyed by a hash of source text + language pair.
+// Kept outside files/ so it is not published with the site, and git-ignored;
+// keep it between runs (e.g. a CI cache) or every text is translated again.
+const TRANSLATION_CACHE = {
+  file: path.join(__dirname, '..', 'cache', 'translations.json'),
+};
+
+// Translation provider fallback chain (scripts/translators/). DeepL is
+// skipped automatically when DEEPL_API_KEY is not set. Override with
+// TRANSLATION_PROVIDERS=google,offline etc.
+const TRANSLATION_PROVIDERS = (process.env.TRANSLATION_PROVIDERS || 'deepl,google')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean);
+
 const MAX_ITEMS = 50;
 
-module.exports = { API_SOURCES, RSS_SOURCES, SCRAPE_SOURCES, GOODS_KEYWORDS, OUTPUT, MAX_ITEMS };
+// Relevance scoring (see score.js): news.json keeps the MAX_ITEMS
+// highest-scoring live items. Each weight is the most points a signal can
+// add; set one to 0 to switch the signal off.
+const SCORING = {
+  weights: {
+    limited: 3,     // 限定: limited / exclusive goods
+    bonus: 2,       // 特典: purchase bonuses
+    firstCome: 2,   // 先着: first-come, worth buying early
+    lottery: 1,     // 抽選: lottery sales
+    routeStore: 3,  // a venue is on the Friday route (data/venues.json)
+    endingSoon: 4,  // ends within endingSoonDays (more points the sooner)
+    running: 1,     // already started and not over yet
+    image: 1,       // has an image to show
+    recency: 2,     // published recently (fades out over recencyDays)
+  },
+  keywords: {
+    limited: ['限定', 'limited', 'exclusive'],
+    bonus: ['特典', 'bonus', 'novelty'],
+    firstCome: ['先着', 'first-come', 'first come'],
+    lottery: ['抽選', 'lottery', 'raffle'],
+  },
+  endingSoonDays: 7,
+  recencyDays: 30,
+};
+
+// Customer watchlists (see watchlists.js). Subscriber data is not kept in the
+// repository: WATCHLISTS_FILE points at the real file (same format as
+// data/watchlists.example.json); without it watchlists are skipped.
+const WATCHLISTS = {
+  file: process.env.WATCHLISTS_FILE || null,
+};
+
+// Digest notifications for newly collected items (see notify.js and
+// scripts/notifiers/). Targets without credentials are skipped; override the
+// list with NOTIFY_TARGETS=discord,email,file. At most maxItems items are
+// sent per run, the rest on the next one. stateFile is git-ignored and must
+// be kept between runs: without it every target starts over from the
+// current items.
+const NOTIFY = {
+  targets: (process.env.NOTIFY_TARGETS || 'discord,email')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean),
+  stateFile: path.join(__dirname, '..', 'cache', 'notified.json'),
+  maxItems: 20,
+  retentionDays: 180,
+};
+
+// Run-to-run diff written next to news.json (see changes.js)
+const CHANGES = {
+  fileName: 'changes.json',
+};
+
+// Per-run health report written next to news.json (see status.js). A source
+// that fetches nothing for zeroRunsWarning runs in a row gets a warning.
+const STATUS = {
+  fileName: 'status.json',
+  historySize: 30,
+  zeroRunsWarning: 2,
+};
+
+// Items without an end date drop out of news.json this many days after a
+// source last returned them
+const LIVE_STALE_DAYS = 14;
+
+module.exports = {
+  API_SOURCES,
+  RSS_SOURCES,
+  SOURCES,
+  SCRAPE_SOURCES,
+  GOODS_KEYWORDS,
+  OUTPUT,
+  FEEDS,
+  IMAGES,
+  ARTICLES,
+  OUTPUT_GUARD,
+  HTTP,
+  ARCHIVE,
+  REPORTS,
+  TRANSLATION_CACHE,
+  TRANSLATION_PROVIDERS,
+  MAX_ITEMS,
+  SCORING,
+  CHANGES,
+  WATCHLISTS,
+  NOTIFY,
+  STATUS,
+  LIVE_STALE_DAYS,
+};
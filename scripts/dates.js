@@ -0,0 +1,125 @@
+/**
+ * Date normalization for the collector pipeline.
+ *
+ * Sources report dates in several shapes:
+ *   - Animate Cafe: naive "2026-02-28 00:00:00" (Japan local time)
+ *   - WordPress date/modified and collabo-cafe start/end: naive ISO-like
+ *     strings or plain dates, also Japan local time
+ *   - RSS: RFC 822 / ISO strings with an explicit offset
+ *
+ * Anything without an offset is treated as Asia/Tokyo. Every date leaves the
+ * pipeline as a full ISO-8601 timestamp with offset, e.g.
+ * "2026-02-28T00:00:00+09:00", so browsers no longer parse it in the
+ * viewer's local timezone.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const TZ = 'Asia/Tokyo';
+
+// 2026-02-28, 2026/2/28, 2026-02-28 00:00, 2026-02-28T00:00:00 (no offset)
+const NAIVE_RE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/;
+// 20260228
+const COMPACT_RE = /^(\d{4})(\d{2})(\d{2})$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Parse a source date into a JST ISO-8601 timestamp.
+ * @param {*} value - Raw date value from a source
+ * @param {Object} [options]
+ * @param {boolean} [options.endOfDay] - For date-only values, use 23:59:59 instead of 00:00:00
+ * @returns {{iso: string|null, reason: string|null}} Timestamp, or null with the reason
+ */
+function parseSourceDate(value, { endOfDay = false } = {}) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { iso: null, reason: 'missing' };
+  }
+
+  const str = String(value).trim();
+  const match = str.match(NAIVE_RE) || str.match(COMPACT_RE);
+
+  if (match) {
+    const [, y, mo, d, h, mi, s] = match;
+    const time = h !== undefined
+      ? `${pad(h)}:${mi}:${s || '00'}`
+      : (endOfDay ? '23:59:59' : '00:00:00');
+    const local = `${y}-${pad(mo)}-${pad(d)} ${time}`;
+    const parsed = dayjs.tz(local, TZ);
+    // dayjs rolls impossible dates over (Feb 30 -> Mar 2); reject those
+    if (!parsed.isValid() || parsed.format('YYYY-MM-DD HH:mm:ss') !== local) {
+      return { iso: null, reason: 'invalid' };
+    }
+    return { iso: parsed.format(), reason: null };
+  }
+
+  // Explicit offset, RFC 822, etc.
+  const date = new Date(str);
+  if (isNaN(date.getTime())) {
+    return { iso: null, reason: 'unparseable' };
+  }
+  return { iso: dayjs(date).tz(TZ).format(), reason: null };
+}
+
+/**
+ * Convert a source date to a JST ISO-8601 timestamp, or null.
+ * @param {*} value - Raw date value
+ * @param {Object} [options] - See parseSourceDate
+ * @returns {string|null} e.g. "2026-02-28T00:00:00+09:00"
+ */
+function toJstIso(value, options) {
+  return parseSourceDate(value, options).iso;
+}
+
+/**
+ * Normalize publishedAt / eventStart / eventEnd on an item.
+ * publishedAt is required; missing event dates are fine. Invalid values are
+ * set to null and reported rather than replaced with the current time.
+ * @param {Object} item - Normalized item with raw date fields
+ * @returns {{item: Object, issues: Array<{field: string, value: *, reason: string}>}}
+ */
+function normalizeItemDates(item) {
+  const issues = [];
+  const result = { ...item };
+
+  const fields = [
+    { field: 'publishedAt', required: true },
+    { field: 'eventStart', required: false },
+    { field: 'eventEnd', required: false, endOfDay: true },
+  ];
+
+  for (const { field, required, endOfDay } of fields) {
+    const value = item[field];
+    const { iso, reason } = parseSourceDate(value, { endOfDay });
+    result[field] = iso;
+    if (reason && (required || reason !== 'missing')) {
+      issues.push({ field, value, reason });
+    }
+  }
+
+  if (result.eventStart && result.eventEnd && result.eventEnd < result.eventStart) {
+    issues.push({ field: 'eventEnd', value: item.eventEnd, reason: 'before eventStart' });
+    result.eventEnd = null;
+  }
+
+  return { item: result, issues };
+}
+
+/**
+ * Check whether an item was published at or after a cutoff.
+ * Items without a publish date are kept, since their age is unknown.
+ * @param {Object} item - Item with an ISO publishedAt (or null)
+ * @param {string|null} since - ISO cutoff (null matches everything)
+ * @returns {boolean} True if the item is not older than the cutoff
+ */
+function isPublishedSince(item, since) {
+  if (!since || !item.publishedAt) return true;
+  return new Date(item.publishedAt).getTime() >= new Date(since).getTime();
+}
+
+module.exports = { TZ, parseSourceDate, toJstIso, normalizeItemDates, isPublishedSince };
@@ -0,0 +1,207 @@
+/**
+ * Event period extraction from Japanese text.
+ *
+ * Only collabo-cafe and Animate Cafe report structured start/end dates.
+ * RSS posts and Animate WordPress posts mention the period in prose, e.g.
+ *   「2026年3月5日(木)～4月1日(水)」 「期間：3/5～」 「令和8年3月5日～10日」
+ *
+ * extractEventPeriod() scans the title, summary and full content for such
+ * ranges and returns naive Japan-local dates ("2026-03-05"), which the date
+ * normalization layer (dates.js) then turns into JST timestamps.
+ *
+ * Handles full-width digits, weekday annotations like (木・祝), times,
+ * missing years (inferred from the publish date in JST), 令和 years,
+ * open-ended ranges ("3/5～") and same-day time ranges ("3月5日10:00～18:00").
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { TZ, toJstIso } = require('./dates');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Words that introduce an event period
+const PERIOD_LABELS = ['開催期間', '販売期間', '実施期間', '期間', '会期', '開催日', '日程', '日時', '開催'];
+const LABEL_WINDOW = 12;
+
+const YEAR = '(令和\\d{1,2}|\\d{4})';
+const SUFFIX = '(?:[(（][^)）]{1,6}[)）])?(?:\\d{1,2}:\\d{2})?';
+const SEP = '[~～〜\\-－–—―]|から';
+
+// A time right after the separator: the period ends on the start day
+const END_TIME = /^\d{1,2}:\d{2}/;
+
+// 2026年3月5日(木)～4月1日(水) / 3月5日～10日 / 3月5日～
+const RANGE_JP = new RegExp(
+  `(?:${YEAR}年)?(\\d{1,2})月(\\d{1,2})日${SUFFIX}` +
+  `(?:(${SEP})(?:(?:${YEAR}年)?(?:(\\d{1,2})月)?(\\d{1,2})日${SUFFIX})?)?`,
+  'g'
+);
+
+// 2026/3/5(木)～2026/4/1 / 3/5～4/1 / 3/5～
+const RANGE_SLASH = new RegExp(
+  `(?<![\\d/.])(?:(\\d{4})[/.])?(\\d{1,2})/(\\d{1,2})(?![\\d/])${SUFFIX}` +
+  `(?:(${SEP})(?:(?:(\\d{4})[/.])?(\\d{1,2})/(\\d{1,2})(?![\\d/])${SUFFIX})?)?`,
+  'g'
+);
+
+/**
+ * Normalize full-width characters and spacing so the patterns stay simple.
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '')
+    .replace(/[０-９]/g, (c) => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/／/g, '/')
+    .replace(/：/g, ':')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Convert a year group ("2026" or "令和8") to a Gregorian year.
+ * @param {string|undefined} year - Matched year text
+ * @returns {number|null} Year or null if absent
+ */
+function parseYear(year) {
+  if (!year) return null;
+  if (year.startsWith('令和')) return 2018 + Number(year.slice(2));
+  return Number(year);
+}
+
+/**
+ * Pick a year for a month when the text gives none: the year that puts the
+ * date closest to the reference (publish) date, taken in Japan time.
+ * @param {number} month - 1-12
+ * @param {Date} ref - Reference date
+ * @returns {number} Year
+ */
+function inferYear(month, ref) {
+  const local = dayjs(ref).tz(TZ);
+  const refYear = local.year();
+  const diff = month - (local.month() + 1);
+  if (diff < -6) return refYear + 1;
+  if (diff > 6) return refYear - 1;
+  return refYear;
+}
+
+/**
+ * Check whether a period label appears just before a match.
+ * @param {string} text - Normalized text
+ * @param {number} index - Match index
+ * @returns {boolean} True if labeled
+ */
+function isLabeled(text, index) {
+  const before = text.slice(Math.max(0, index - LABEL_WINDOW), index);
+  return PERIOD_LABELS.some((label) => before.includes(label));
+}
+
+const toDateStr = (y, m, d) => `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+
+/**
+ * Turn one regex match into a candidate period.
+ * @param {Array} match - RegExp match (groups: y, m, d, sep, y2, m2, d2)
+ * @param {string} text - Normalized text the match came from
+ * @param {Date} ref - Reference date for year inference
+ * @returns {Object|null} Candidate { start, end, labeled, explicitYear } or null
+ */
+function toCandidate(match, text, ref) {
+  const [, y1, m1, d1, sep, y2, m2, d2] = match;
+  const labeled = isLabeled(text, match.index);
+  const hasEnd = d2 !== undefined;
+
+  // A lone date without a range or a label is usually a release/news date
+  if (!sep && !labeled) return null;
+
+  const month = Number(m1);
+  const year = parseYear(y1) || inferYear(month, ref);
+  const start = toDateStr(year, month, Number(d1));
+  if (!toJstIso(start)) return null;
+
+  let end = null;
+  if (sep && !hasEnd && END_TIME.test(text.slice(match.index + match[0].length))) {
+    end = start;
+  } else if (hasEnd) {
+    const endMonth = m2 !== undefined ? Number(m2) : month;
+    let endYear = parseYear(y2) || year;
+    if (!parseYear(y2) && (endMonth < month || (endMonth === month && Number(d2) < Number(d1)))) {
+      endYear++;
+    }
+    end = toDateStr(endYear, endMonth, Number(d2));
+    if (!toJstIso(end)) return null;
+  }
+
+  return { start, end, labeled, explicitYear: Boolean(y1) };
+}
+
+/**
+ * Extract an event period from item text.
+ * Fields are searched in order (title, summary, content); within a field a
+ * labeled match beats an unlabeled one.
+ * @param {Object} fields
+ * @param {string} [fields.title]
+ * @param {string} [fields.summary]
+ * @param {string} [fields.content] - Plain-text body (e.g. content:encoded)
+ * @param {string|null} [publishedAt] - Used to infer missing years
+ * @returns {{eventStart: string, eventEnd: string|null, confidence: string}|null}
+ *   Naive JST dates and 'high' | 'medium' | 'low' confidence, or null
+ */
+function extractEventPeriod({ title, summary, content }, publishedAt) {
+  const refIso = toJstIso(publishedAt);
+  const ref = refIso ? new Date(refIso) : new Date();
+
+  for (const raw of [title, summary, content]) {
+    const text = normalizeText(raw);
+    if (!text) continue;
+
+    const candidates = [];
+    for (const re of [RANGE_JP, RANGE_SLASH]) {
+      re.lastIndex = 0;
+      let match;
+      while ((match = re.exec(text)) !== null) {
+        const candidate = toCandidate(match, text, ref);
+        if (candidate) candidates.push({ ...candidate, index: match.index });
+      }
+    }
+    if (candidates.length === 0) continue;
+
+    candidates.sort((a, b) => (b.labeled - a.labeled) || (a.index - b.index));
+    const best = candidates[0];
+    const score = Number(best.labeled) + Number(best.explicitYear) + Number(Boolean(best.end));
+
+    return {
+      eventStart: best.start,
+      eventEnd: best.end,
+      confidence: score >= 2 ? 'high' : score === 1 ? 'medium' : 'low',
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Fill eventStart/eventEnd from text when the source did not provide them,
+ * and record how much to trust the period in `eventConfidence`:
+ * 'source' for structured source dates, otherwise high/medium/low.
+ * @param {Object} item - Normalized item (may carry a plain-text `content`)
+ * @returns {Object} Item with event period fields
+ */
+function fillEventPeriod(item) {
+  if (item.eventStart) {
+    return { ...item, eventConfidence: 'source' };
+  }
+
+  const period = extractEventPeriod(item, item.publishedAt);
+  if (!period) return item;
+
+  return {
+    ...item,
+    eventStart: period.eventStart,
+    eventEnd: period.eventEnd,
+    eventConfidence: period.confidence,
+  };
+}
+
+module.exports = { extractEventPeriod, fillEventPeriod };
@@ -0,0 +1,261 @@
+/**
+ * Subscription outputs built from the live items in news.json:
+ *   - events.ics: iCalendar with one VEVENT per item that has an eventStart.
+ *     Items whose times are midnight / end-of-day become all-day events;
+ *     anything else is a timed event in Asia/Tokyo.
+ *   - feed.atom: Atom 1.0 feed
+ *   - feed.json: JSON Feed 1.1, with event fields under `_japanculture`
+ *
+ * All builders are pure (items in, string out); fetch-news.js writes the
+ * files next to news.json.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { TZ } = require('./dates');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Asia/Tokyo has no DST, so a single STANDARD rule describes it
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZ}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0900',
+  'TZOFFSETTO:+0900',
+  'TZNAME:JST',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+/**
+ * Escape a text value for iCalendar (RFC 5545 3.3.11).
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar content line at 75 octets (RFC 5545 3.1).
+ * Splits on character boundaries so multi-byte text stays valid UTF-8.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF + space continuation)
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Check whether an event should be an all-day event: it starts at midnight
+ * JST and has no end, or ends at midnight / 23:59:59 JST.
+ * @param {dayjs.Dayjs} start - Event start in JST
+ * @param {dayjs.Dayjs|null} end - Event end in JST
+ * @returns {boolean} True for all-day events
+ */
+function isAllDay(start, end) {
+  if (start.format('HH:mm:ss') !== '00:00:00') return false;
+  if (!end) return true;
+  return ['00:00:00', '23:59:59'].includes(end.format('HH:mm:ss'));
+}
+
+/**
+ * Build the DTSTART/DTEND lines for an item.
+ * All-day DTEND is exclusive (the day after the last day); open-ended
+ * all-day events span their first day only.
+ * @param {Object} item - Item with eventStart (and optional eventEnd)
+ * @returns {string[]} Content lines
+ */
+function eventTimeLines(item) {
+  const start = dayjs(item.eventStart).tz(TZ);
+  const end = item.eventEnd ? dayjs(item.eventEnd).tz(TZ) : null;
+
+  if (isAllDay(start, end)) {
+    const last = end
+      ? (end.format('HH:mm:ss') === '00:00:00' ? end.subtract(1, 'day') : end)
+      : start;
+    return [
+      `DTSTART;VALUE=DATE:${start.format('YYYYMMDD')}`,
+      `DTEND;VALUE=DATE:${last.add(1, 'day').format('YYYYMMDD')}`,
+    ];
+  }
+
+  const lines = [`DTSTART;TZID=${TZ}:${start.format('YYYYMMDD[T]HHmmss')}`];
+  if (end) lines.push(`DTEND;TZID=${TZ}:${end.format('YYYYMMDD[T]HHmmss')}`);
+  return lines;
+}
+
+/**
+ * Build an iCalendar file with every item that has an event start date.
+ * @param {Array} items - Output items
+ * @param {Object} meta - Feed settings (config.FEEDS)
+ * @param {Date} now - Generation time (DTSTAMP)
+ * @returns {{ics: string, count: number}} Calendar text and number of events
+ */
+function buildCalendar(items, meta, now) {
+  const host = new URL(meta.siteUrl).host;
+  const stamp = dayjs(now).utc().format('YYYYMMDD[T]HHmmss[Z]');
+  const events = items.filter((item) => item.eventStart);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${host}//Store-Exclusive Events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(meta.title)}`,
+    `X-WR-TIMEZONE:${TZ}`,
+    ...VTIMEZONE,
+  ];
+
+  for (const item of events) {
+    const description = [item.summary, item.eventEnd ? '' : 'End date not announced.', item.link]
+      .filter(Boolean)
+      .join('\n\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${item.id}@${host}`,
+      `DTSTAMP:${stamp}`,
+      ...eventTimeLines(item),
+      `SUMMARY:${escapeIcsText(item.title)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${item.link}`,
+      `CATEGORIES:${[item.category, ...(item.franchises || [])].map(escapeIcsText).join(',')}`,
+    );
+    if (item.storeTag) lines.push(`LOCATION:${escapeIcsText(item.storeTag)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return { ics: `${lines.map(foldIcsLine).join('\r\n')}\r\n`, count: events.length };
+}
+
+/**
+ * Resolve an item's image to an absolute URL (mirrored images are stored
+ * as site paths like images/news/<key>.webp).
+ * @param {Object} item - Output item
+ * @param {Object} meta - Feed settings (config.FEEDS)
+ * @returns {string|null} Absolute image URL
+ */
+function absoluteImage(item, meta) {
+  return item.image ? new URL(item.image, meta.siteUrl).href : null;
+}
+
+/**
+ * Escape text for XML element content and attribute values.
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build an Atom 1.0 feed.
+ * @param {Array} items - Output items (newest first)
+ * @param {Object} meta - Feed settings (config.FEEDS)
+ * @param {string} updated - Feed update time (ISO)
+ * @returns {string} Atom XML
+ */
+function buildAtomFeed(items, meta, updated) {
+  const entries = items.map((item) => {
+    const categories = [item.category, ...(item.franchises || [])]
+      .map((term) => `    <category term="${escapeXml(term)}"/>`);
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(item.link)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(item.link)}"/>`,
+      ...(item.image ? [`    <link rel="enclosure" href="${escapeXml(absoluteImage(item, meta))}"/>`] : []),
+      `    <published>${item.publishedAt || updated}</published>`,
+      `    <updated>${item.updatedAt || item.publishedAt || updated}</updated>`,
+      `    <author><name>${escapeXml(item.source)}</name></author>`,
+      `    <summary>${escapeXml(item.summary)}</summary>`,
+      ...categories,
+      '  </entry>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(meta.homePageUrl)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    `  <subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `  <link rel="alternate" href="${escapeXml(meta.homePageUrl)}"/>`,
+    `  <link rel="self" href="${escapeXml(new URL(meta.atomFile, meta.feedBaseUrl).href)}"/>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build a JSON Feed 1.1 object. Event fields that JSON Feed has no slot
+ * for go into the `_japanculture` extension object.
+ * @param {Array} items - Output items (newest first)
+ * @param {Object} meta - Feed settings (config.FEEDS)
+ * @returns {Object} JSON Feed
+ */
+function buildJsonFeed(items, meta) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    description: meta.description,
+    home_page_url: meta.homePageUrl,
+    feed_url: new URL(meta.jsonFeedFile, meta.feedBaseUrl).href,
+    language: 'en',
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.link,
+      title: item.title,
+      summary: item.summary,
+      content_text: item.summary,
+      ...(item.image ? { image: absoluteImage(item, meta) } : {}),
+      ...(item.publishedAt ? { date_published: item.publishedAt } : {}),
+      ...(item.updatedAt ? { date_modified: item.updatedAt } : {}),
+      tags: [item.category, ...(item.franchises || [])],
+      authors: [{ name: item.source }],
+      language: item.translated ? 'en' : item.language,
+      _japanculture: {
+        storeTag: item.storeTag,
+        eventStart: item.eventStart,
+        eventEnd: item.eventEnd,
+        sources: item.sources,
+      },
+    })),
+  };
+}
+
+module.exports = {
+  buildCalendar, buildAtomFeed, buildJsonFeed, escapeIcsText, foldIcsLine,
+};
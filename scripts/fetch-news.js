@@ -4,31 +4,200 @@
  * Main orchestrator script for the store-exclusive event news collector.
  *
  * Flow:
- *   1. Fetch JSON APIs (collabo-cafe, Animate OnlyShop, Gratte, Animate Cafe)
- *   2. Fetch RSS feeds (nijimen, filtered by event/store tags)
- *   3. Combine all items
- *   4. Filter (remove invalid items and exact duplicates)
- *   5. Translate Japanese items to English (via Google Translate)
+ *   1. Fetch every source in config.SOURCES through its adapter
+ *      (collabo-cafe, Animate OnlyShop, Gratte, Animate Cafe, nijimen RSS)
+ *   2. Filter (remove invalid items, exact duplicates and items dropped by
+ *      data/filter-rules.json; decisions in reports/filter-report.json), then
+ *      merge near-duplicates reported by several sources into one item
+ *      (keeping the id the archive already has for it)
+ *   3. Mirror images into files/images/news/ with thumbnails, dropping
+ *      broken, tiny, banner and shared images (skipped on dry runs)
+ *   4. Translate Japanese items to English (DeepL -> Google fallback chain;
+ *      offline dictionary on dry runs); news.json keeps title and summary
+ *      in both languages as { ja, en } (bilingual.js)
+ *   5. Tag franchises (data/franchises.json); untagged items are listed in
+ *      reports/untagged-franchises.json. Place items at venues
+ *      (data/venues.json) and flag those outside the Friday route
  *   6. Deduplicate by ID
- *   7. Sort by publishedAt (newest first)
- *   8. Limit to MAX_ITEMS (50)
- *   9. Write JSON to files/data/news.json
+ *   7. Merge into the persistent archive (files/data/archive/YYYY-MM.json),
+ *      stamping firstSeenAt/lastSeenAt
+ *   8. Derive the live view from the archive: items not yet ended or seen
+ *      within LIVE_STALE_DAYS, ranked by relevance score (score.js,
+ *      config.SCORING), limited to MAX_ITEMS (50)
+ *      Mark items NEW / UPDATED against the previous news.json (changes.js)
+ *   9. Validate the live view against data/news.schema.json and the previous
+ *      news.json; refuse to overwrite on a likely regression (exit code 1)
+ *   10. Write the archive and the live view to files/data/news.json (atomically),
+ *      plus events.ics, feed.atom and feed.json built from the same items in English,
+ *      and one static page per item under files/article/ (with an index),
+ *      and changes.json listing the items added, updated and removed
+ *   11. Match this run's items against customer watchlists
+ *      (WATCHLISTS_FILE); new matches are kept per subscriber in
+ *      reports/watchlists/ and reported once (see watchlists.js)
+ *   12. Send Discord / email digests of items no target has been told about
+ *      yet (notify.js; live runs only, never twice for the same item)
+ *   13. Write the run's health report to files/data/status.json: per-source
+ *      fetched/kept/translated counts, errors and HTTP timings, with a
+ *      rolling history (see status.js; also written for blocked and failed runs)
  *
- * Usage:
+ * Usage (see --help, or cli.js, for every option):
  *   node scripts/fetch-news.js           # Normal run
- *   node scripts/fetch-news.js --dry-run # Log items without writing file
+ *   node scripts/fetch-news.js --dry-run # Log items without writing files
+ *   node scripts/fetch-news.js --force   # Write even if validation fails
+ *   node scripts/fetch-news.js --no-notify     # Update the site without Discord/email digests
+ *   node scripts/fetch-news.js --record <dir>  # Also save every HTTP response to <dir>
+ *   node scripts/fetch-news.js --replay <dir>  # Rerun from a recording, no network
+ *   node scripts/fetch-news.js --dry-run --source nijimen --format json
+ *   node scripts/fetch-news.js --since 2026-10-01 --limit 20 --no-translate --output /tmp/news.json
+ *
+ * A recording holds one file per HTTP request (source JSON, RSS XML and
+ * translation calls) plus a snapshot of the state the run started from:
+ * run.json (run time), archive/, news.previous.json and translations.json.
+ * A replay restores that state and writes everything it produces under
+ * <dir>/replay/, so the live files are never touched.
  */
 
 const fs = require('fs');
 const path = require('path');
 
-const { API_SOURCES, RSS_SOURCES, OUTPUT, MAX_ITEMS } = require('./config');
-const { fetchRSSFeeds } = require('./fetch-rss');
-const { fetchNewProducts } = require('./fetch-products');
+const {
+  SOURCES, OUTPUT, FEEDS, IMAGES, ARTICLES, OUTPUT_GUARD, ARCHIVE, REPORTS, TRANSLATION_CACHE, MAX_ITEMS, SCORING, CHANGES, NOTIFY, STATUS, LIVE_STALE_DAYS,
+} = require('./config');
+const { fetchSourcesWithStatus } = require('./sources');
+const { loadArchive, mergeIntoArchive, saveArchive, selectLiveItems } = require('./archive');
 const { translateTexts } = require('./translate');
 const { filterAnimeGoods } = require('./filter');
+const { clusterItems } = require('./cluster');
+const { tagFranchises } = require('./franchises');
+const { tagVenues } = require('./venues');
+const { normalizeItemDates, toJstIso, isPublishedSince } = require('./dates');
+const {
+  validateOutput, checkRegression, readPrevious, writeFileAtomic,
+} = require('./output');
+const http = require('./http');
+const { parseCliArgs, USAGE } = require('./cli');
+const { buildCalendar, buildAtomFeed, buildJsonFeed } = require('./feeds');
+const { writeArticles } = require('./articles');
+const { mirrorImages, pruneImages } = require('./images');
+const { markChanges } = require('./changes');
+const { notifyNewItems } = require('./notify');
+const { runWatchlists } = require('./watchlists');
+const { toBilingual, localizeItem, upgradeItem } = require('./bilingual');
+const {
+  createRunStatus, recordKept, recordTranslations, finishRun, writeStatus,
+} = require('./status');
+
+let options;
+try {
+  options = parseCliArgs(process.argv.slice(2), SOURCES);
+} catch (err) {
+  console.error(`[ERROR] ${err.message}`);
+  console.error('Run with --help to see the available options.');
+  process.exit(1);
+}
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+const isDryRun = options.dryRun;
+const isForce = options.force;
+const { recordDir, replayDir } = options;
+const maxItems = options.limit || MAX_ITEMS;
+
+// Health report of the current run, so a fatal error can still be recorded
+let runStatus = null;
+
+// JSON previews go to stdout on their own; progress logs move to stderr
+if (isDryRun && options.format !== 'table') {
+  console.log = console.error;
+}
+
+/**
+ * Work out where the run reads its starting state from and writes its
+ * results to. Normal and recording runs use the live paths; a replay reads
+ * the snapshot stored with the recording and writes under <dir>/replay/.
+ * --output moves news.json (and the previous file it is compared with)
+ * and puts the article pages and mirrored images in article/ and
+ * images/news/ directories next to it.
+ * status.json always goes next to news.json.
+ * @returns {Object} { archiveIn, archiveOut, previousFile, outputFile, statusFile, articleDir, imageDir, reportsDir, translationCache }
+ */
+function resolvePaths() {
+  if (replayDir) {
+    const outDir = path.join(replayDir, 'replay');
+    const outputFile = options.output || path.join(outDir, 'news.json');
+    return {
+      archiveIn: path.join(replayDir, 'archive'),
+      archiveOut: path.join(outDir, 'archive'),
+      previousFile: path.join(replayDir, 'news.previous.json'),
+      outputFile,
+      statusFile: path.join(path.dirname(outputFile), STATUS.fileName),
+      articleDir: path.join(path.dirname(outputFile), 'article'),
+      imageDir: path.join(path.dirname(outputFile), 'images', 'news'),
+      reportsDir: path.join(outDir, 'reports'),
+      translationCache: path.join(outDir, 'translations.json'),
+    };
+  }
+  return {
+    archiveIn: ARCHIVE.dir,
+    archiveOut: ARCHIVE.dir,
+    previousFile: options.output || OUTPUT.file,
+    outputFile: options.output || OUTPUT.file,
+    statusFile: path.join(path.dirname(options.output || OUTPUT.file), STATUS.fileName),
+    articleDir: options.output ? path.join(path.dirname(options.output), 'article') : ARTICLES.dir,
+    imageDir: options.output ? path.join(path.dirname(options.output), 'images', 'news') : IMAGES.dir,
+    reportsDir: REPORTS.dir,
+    translationCache: TRANSLATION_CACHE.file,
+  };
+}
+
+/**
+ * Copy a file or directory if it exists (used for recording snapshots).
+ * @param {string} from - Source path
+ * @param {string} to - Destination path
+ */
+function copyIfExists(from, to) {
+  if (!fs.existsSync(from)) return;
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.cpSync(from, to, { recursive: true });
+}
 
-const isDryRun = process.argv.includes('--dry-run');
+/**
+ * Prepare record or replay mode: point the HTTP client at the recording
+ * directory and snapshot (or restore) the state the run starts from.
+ * @param {Object} paths - Output of resolvePaths()
+ * @returns {Date} Run time (the recorded run time when replaying)
+ */
+function setUpRecording(paths) {
+  if (recordDir) {
+    const runAt = new Date();
+    fs.mkdirSync(recordDir, { recursive: true });
+    fs.writeFileSync(path.join(recordDir, 'run.json'), JSON.stringify({
+      recordedAt: runAt.toISOString(),
+      argv: process.argv.slice(2),
+    }, null, 2), 'utf-8');
+    copyIfExists(ARCHIVE.dir, path.join(recordDir, 'archive'));
+    copyIfExists(OUTPUT.file, path.join(recordDir, 'news.previous.json'));
+    copyIfExists(TRANSLATION_CACHE.file, path.join(recordDir, 'translations.json'));
+    http.configure({ recordDir });
+    return runAt;
+  }
+
+  if (replayDir) {
+    const runFile = path.join(replayDir, 'run.json');
+    if (!fs.existsSync(runFile)) {
+      throw new Error(`${replayDir} is not a recording (run.json missing)`);
+    }
+    const run = JSON.parse(fs.readFileSync(runFile, 'utf-8'));
+    fs.rmSync(path.join(replayDir, 'replay'), { recursive: true, force: true });
+    copyIfExists(path.join(replayDir, 'translations.json'), paths.translationCache);
+    http.configure({ replayDir });
+    return new Date(run.recordedAt);
+  }
+
+  return new Date();
+}
 
 /**
  * Deduplicate items by their ID field.
@@ -48,120 +217,317 @@ function deduplicateById(items) {
   return unique;
 }
 
+/**
+ * Reduce a pipeline item to the fields stored in the archive and news.json.
+ * @param {Object} item - Normalized (and possibly translated) item
+ * @returns {Object} Output item
+ */
+function toOutputItem(item) {
+  return {
+    id: item.id,
+    ...toBilingual(item),
+    link: item.link,
+    image: item.image || null,
+    ...(item.thumbnail ? { thumbnail: item.thumbnail } : {}),
+    ...(item.imageSource ? { imageSource: item.imageSource } : {}),
+    source: item.source,
+    sources: item.sources || [{ name: item.source, link: item.link }],
+    storeTag: item.storeTag || null,
+    publishedAt: item.publishedAt,
+    category: item.category,
+    language: item.language || 'ja',
+    translated: item.translated || false,
+    translatedBy: item.translatedBy || null,
+    eventStart: item.eventStart || null,
+    eventEnd: item.eventEnd || null,
+    eventConfidence: item.eventConfidence || null,
+    franchises: item.franchises || [],
+    venues: item.venues || [],
+    region: item.region || null,
+    offRoute: item.offRoute || false,
+    prices: item.prices || null,
+    salesMethod: item.salesMethod || [],
+    bonusThresholdJpy: item.bonusThresholdJpy || null,
+    perPersonLimit: item.perPersonLimit || null,
+    requiresReservation: typeof item.requiresReservation === 'boolean' ? item.requiresReservation : null,
+  };
+}
+
 /**
  * Main execution function.
  */
 async function main() {
   const startTime = Date.now();
+  const paths = resolvePaths();
+  const runAt = setUpRecording(paths);
   console.log('=== Store-Exclusive Event News Collector ===');
   console.log(`Started at: ${new Date().toISOString()}`);
   console.log(`Mode: ${isDryRun ? 'DRY RUN' : 'LIVE'}`);
+  if (recordDir) console.log(`Recording HTTP responses to ${recordDir}`);
+  if (replayDir) console.log(`Replaying ${replayDir} (recorded ${runAt.toISOString()}); output goes to ${path.join(replayDir, 'replay')}`);
   console.log('');
 
-  // Step 1: Fetch JSON API sources
-  console.log('[1/6] Fetching JSON API sources (collabo-cafe, Animate OnlyShop, Gratte, Animate Cafe)...');
-  let apiItems = [];
+  // Step 1: Fetch the configured sources (or the --source subset) through their adapters
+  const sources = options.sources;
+  console.log(`[1/7] Fetching ${sources.length} sources (${sources.map((s) => s.name).join(', ')})...`);
+  let allItems = [];
+  let fetchResults = [];
   try {
-    apiItems = await fetchNewProducts(API_SOURCES);
+    fetchResults = await fetchSourcesWithStatus(sources);
+    allItems = fetchResults.flatMap((result) => result.items);
   } catch (err) {
-    console.error(`[ERROR] API fetch failed entirely: ${err.message}`);
+    console.error(`[ERROR] Source fetch failed entirely: ${err.message}`);
+  }
+  if (!isDryRun) {
+    runStatus = {
+      file: paths.statusFile,
+      run: createRunStatus({
+        runAt: new Date(startTime),
+        mode: replayDir ? 'replay' : recordDir ? 'record' : 'live',
+        fetchResults,
+      }),
+    };
+  }
+  console.log(`  Total fetched: ${allItems.length}`);
+  if (options.since) {
+    const before = allItems.length;
+    allItems = allItems.filter((item) => isPublishedSince(item, options.since));
+    console.log(`  Published since ${options.since}: ${before} -> ${allItems.length}`);
   }
-  console.log(`  Total API items: ${apiItems.length}`);
   console.log('');
 
-  // Step 2: Fetch RSS feeds (nijimen)
-  console.log('[2/6] Fetching RSS feeds (nijimen)...');
-  let rssItems = [];
-  try {
-    rssItems = await fetchRSSFeeds(RSS_SOURCES);
-  } catch (err) {
-    console.error(`[ERROR] RSS fetch failed entirely: ${err.message}`);
+  // Step 2: Filter (invalid, title duplicates, filter rules), merge cross-source duplicates
+  console.log('[2/7] Filtering, deduplicating and merging cross-source duplicates...');
+  const filtering = filterAnimeGoods(allItems);
+
+  // Merged items keep the id the archive already has for them
+  const archive = loadArchive(paths.archiveIn);
+  if (archive.size === 0 && fs.existsSync(paths.previousFile)) {
+    // First run with an archive: seed it from the current live feed
+    const seed = JSON.parse(fs.readFileSync(paths.previousFile, 'utf-8'));
+    const seedItems = (seed.items || []).map((item) => normalizeItemDates(upgradeItem(item)).item);
+    mergeIntoArchive(archive, seedItems, toJstIso(seed.lastUpdated) || runAt.toISOString());
+    console.log(`  Seeded archive with ${archive.size} items from ${paths.previousFile}`);
+  }
+  allItems = clusterItems(filtering.items, { knownIds: new Set(archive.keys()) });
+  if (runStatus) recordKept(runStatus.run, filtering.items);
+  if (!isDryRun) {
+    fs.mkdirSync(paths.reportsDir, { recursive: true });
+    const reportFile = path.join(paths.reportsDir, 'filter-report.json');
+    fs.writeFileSync(reportFile, JSON.stringify({
+      generatedAt: runAt.toISOString(),
+      rulesFile: path.relative(path.join(__dirname, '..'), filtering.rulesFile),
+      count: filtering.excluded.length,
+      excluded: filtering.excluded,
+      keptByRule: filtering.keptByRule,
+    }, null, 2), 'utf-8');
+    console.log(`  Filter decisions listed in ${reportFile}`);
   }
-  console.log(`  Total RSS items: ${rssItems.length}`);
   console.log('');
 
-  // Step 3: Combine all items
-  console.log('[3/6] Combining items...');
-  let allItems = [...apiItems, ...rssItems];
-  console.log(`  Combined total: ${allItems.length}`);
+  // Step 3: Mirror images locally (thumbnails; reject broken/tiny/banner/shared images)
+  console.log('[3/7] Mirroring images...');
+  if (isDryRun) {
+    console.log('  Skipped (dry run)');
+  } else {
+    allItems = await mirrorImages(allItems, { dir: paths.imageDir, publicPath: IMAGES.publicPath, rules: IMAGES });
+  }
   console.log('');
 
-  // Step 4: Filter (remove invalid + title duplicates)
-  console.log('[4/6] Filtering and deduplicating...');
-  allItems = filterAnimeGoods(allItems);
+  // Step 4: Translate Japanese items to English (provider chain from config).
+  // Dry runs use the offline dictionary unless TRANSLATION_PROVIDERS is set.
+  console.log('[4/7] Translating Japanese items to English...');
+  if (options.translate) {
+    const useOffline = isDryRun && !process.env.TRANSLATION_PROVIDERS;
+    allItems = await translateTexts(allItems, {
+      cacheFile: paths.translationCache,
+      ...(useOffline ? { providers: ['offline'] } : {}),
+    });
+  } else {
+    console.log('  Skipped (--no-translate)');
+  }
+  if (runStatus) recordTranslations(runStatus.run, allItems);
   console.log('');
 
-  // Step 5: Translate Japanese items to English (Google Translate, no API key needed)
-  console.log('[5/6] Translating Japanese items to English...');
-  allItems = await translateTexts(allItems);
+  // Step 5: Tag franchises (listing items the dictionary does not cover yet) and venues
+  console.log('[5/7] Tagging franchises and venues...');
+  const tagging = tagFranchises(allItems);
+  allItems = tagging.items;
+  if (isDryRun) {
+    tagging.untagged.slice(0, 10).forEach((item) => {
+      console.log(`    [UNTAGGED] ${item.originalTitle || item.title}`);
+    });
+  } else {
+    fs.mkdirSync(paths.reportsDir, { recursive: true });
+    const reportFile = path.join(paths.reportsDir, 'untagged-franchises.json');
+    fs.writeFileSync(reportFile, JSON.stringify({
+      generatedAt: runAt.toISOString(),
+      count: tagging.untagged.length,
+      items: tagging.untagged,
+    }, null, 2), 'utf-8');
+    console.log(`  Untagged items listed in ${reportFile}`);
+  }
+  allItems = tagVenues(allItems);
   console.log('');
 
-  // Step 6: Deduplicate by ID, sort, and limit
-  console.log('[6/6] Finalizing...');
+  // Step 6: Deduplicate by ID and merge into the persistent archive
+  console.log('[6/7] Merging into archive...');
   allItems = deduplicateById(allItems);
   console.log(`  After ID deduplication: ${allItems.length}`);
 
-  // Sort by publishedAt descending (newest first)
-  allItems.sort((a, b) => {
-    const dateA = new Date(a.publishedAt).getTime();
-    const dateB = new Date(b.publishedAt).getTime();
-    return dateB - dateA;
+  const archivedBefore = archive.size;
+  const { added, updated } = mergeIntoArchive(archive, allItems.map(toOutputItem), runAt.toISOString());
+  console.log(`  Archive: ${archivedBefore} -> ${archive.size} items (${added} new, ${updated} seen again)`);
+  console.log('');
+
+  // Step 7: Derive the live view (not ended / recently seen, ranked by score, MAX_ITEMS or --limit)
+  console.log('[7/7] Finalizing...');
+  const liveItems = selectLiveItems(archive, {
+    now: runAt,
+    staleDays: LIVE_STALE_DAYS,
+    maxItems,
+    since: options.since,
+    scoring: SCORING,
   });
+  console.log(`  Live items: ${liveItems.length} (max ${maxItems})`);
 
-  // Limit to MAX_ITEMS
-  if (allItems.length > MAX_ITEMS) {
-    allItems = allItems.slice(0, MAX_ITEMS);
-    console.log(`  Trimmed to ${MAX_ITEMS} items`);
+  // NEW / UPDATED markers against the previous news.json
+  const previous = readPrevious(paths.previousFile);
+  const { items: markedItems, changes } = markChanges(liveItems, previous);
+  if (previous) {
+    console.log(`  Since ${previous.lastUpdated}: ${changes.added.length} new, ${changes.updated.length} updated, ${changes.removed.length} removed`);
+  } else {
+    console.log('  No previous news.json; items are not marked NEW / UPDATED');
   }
 
-  // Build output object with eventStart/eventEnd fields
   const output = {
-    lastUpdated: new Date().toISOString(),
-    count: allItems.length,
-    items: allItems.map((item) => ({
-      id: item.id,
-      title: item.title,
-      summary: item.summary,
-      link: item.link,
-      image: item.image || null,
-      source: item.source,
-      storeTag: item.storeTag || null,
-      publishedAt: item.publishedAt,
-      category: item.category,
-      language: item.language || 'ja',
-      translated: item.translated || false,
-      eventStart: item.eventStart || null,
-      eventEnd: item.eventEnd || null,
-      ...(item.originalTitle ? { originalTitle: item.originalTitle } : {}),
-    })),
+    lastUpdated: runAt.toISOString(),
+    count: markedItems.length,
+    items: markedItems,
   };
 
+  // Validate before anything is written, and refuse output that looks like
+  // a broken run unless --force is given
+  const schemaErrors = validateOutput(output);
+  const regressions = checkRegression(previous, output, OUTPUT_GUARD);
+  schemaErrors.slice(0, 20).forEach((msg) => console.error(`  [SCHEMA] ${msg}`));
+  if (schemaErrors.length > 20) console.error(`  [SCHEMA] ... and ${schemaErrors.length - 20} more`);
+  regressions.forEach((msg) => console.error(`  [REGRESSION] ${msg}`));
+  const isBlocked = (schemaErrors.length > 0 || regressions.length > 0) && !isForce;
+  if (!schemaErrors.length && !regressions.length) {
+    console.log('  Output validated against schema and previous run');
+  } else if (isForce) {
+    console.warn('  [WARN] Validation failed; writing anyway (--force)');
+  }
+
   console.log('');
 
-  if (isDryRun) {
+  if (isDryRun && options.format === 'json') {
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else if (isDryRun && options.format === 'ndjson') {
+    output.items.forEach((item) => process.stdout.write(`${JSON.stringify(item)}\n`));
+  } else if (isDryRun) {
     console.log('=== DRY RUN: Output Preview ===');
     console.log(`Items: ${output.count}`);
     console.log('');
     output.items.slice(0, 15).forEach((item, i) => {
-      console.log(`  ${i + 1}. [${item.source}] ${item.title}`);
+      const marker = item.isNew ? ' [NEW]' : item.updatedFields.length > 0 ? ` [UPDATED: ${item.updatedFields.join(', ')}]` : '';
+      console.log(`  ${i + 1}. [${item.source}] ${item.title.en || item.title.ja}${marker}`);
+      if (item.title.en && item.title.ja) console.log(`     ${item.title.ja}`);
       console.log(`     Store: ${item.storeTag || 'N/A'} | Category: ${item.category}`);
       console.log(`     ${item.link}`);
       console.log(`     ${item.publishedAt}${item.eventStart ? ' | Event: ' + item.eventStart + ' to ' + (item.eventEnd || '?') : ''}`);
       console.log(`     Image: ${item.image ? 'YES' : 'NO'}`);
+      if (item.prices) {
+        const { min, max, taxIncluded } = item.prices;
+        const tax = taxIncluded === true ? ' tax incl.' : taxIncluded === false ? ' + tax' : '';
+        console.log(`     Price: ¥${min}${max !== min ? `-¥${max}` : ''}${tax}`);
+      }
+      const sales = [
+        ...item.salesMethod,
+        item.bonusThresholdJpy ? `bonus per ¥${item.bonusThresholdJpy}` : null,
+        item.perPersonLimit ? `limit ${item.perPersonLimit} per person` : null,
+        item.requiresReservation === true ? 'reservation required' : null,
+        item.requiresReservation === false ? 'no reservation needed' : null,
+      ].filter(Boolean);
+      if (sales.length > 0) console.log(`     Sales: ${sales.join(', ')}`);
+      console.log(`     Score: ${item.score} (${Object.entries(item.scoreFactors).map(([k, v]) => `${k} ${v}`).join(', ') || 'no signals'})`);
       console.log('');
     });
     if (output.count > 15) {
       console.log(`  ... and ${output.count - 15} more items`);
     }
+  } else if (isBlocked) {
+    console.error(`[ERROR] Refusing to overwrite ${paths.outputFile} (re-run with --force to override)`);
+    process.exitCode = 1;
   } else {
-    // Ensure output directory exists
-    fs.mkdirSync(OUTPUT.dir, { recursive: true });
+    const partitions = saveArchive(archive, paths.archiveOut);
+    console.log(`Archive written to ${paths.archiveOut} (${partitions.join(', ')})`);
+
+    // Keep images for everything that can still be live, regardless of --limit/--since
+    const stillLive = selectLiveItems(archive, { now: runAt, staleDays: LIVE_STALE_DAYS, maxItems: Infinity });
+    const prunedImages = pruneImages(paths.imageDir, stillLive, IMAGES.publicPath);
+    if (prunedImages > 0) console.log(`Removed ${prunedImages} unused images from ${paths.imageDir}`);
 
-    // Write JSON file
+    // Write JSON file (temp file + rename)
     const jsonStr = JSON.stringify(output, null, 2);
-    fs.writeFileSync(OUTPUT.file, jsonStr, 'utf-8');
-    console.log(`Written ${output.count} items to ${OUTPUT.file}`);
+    writeFileAtomic(paths.outputFile, jsonStr);
+    console.log(`Written ${output.count} items to ${paths.outputFile}`);
     console.log(`File size: ${(Buffer.byteLength(jsonStr) / 1024).toFixed(1)} KB`);
+
+    // Calendar, feeds, article pages and digests are English, from the same live items
+    const englishItems = output.items.map((item) => localizeItem(item, 'en'));
+    const outDir = path.dirname(paths.outputFile);
+    const calendar = buildCalendar(englishItems, FEEDS, runAt);
+    writeFileAtomic(path.join(outDir, FEEDS.calendarFile), calendar.ics);
+    writeFileAtomic(path.join(outDir, FEEDS.atomFile), buildAtomFeed(englishItems, FEEDS, output.lastUpdated));
+    writeFileAtomic(path.join(outDir, FEEDS.jsonFeedFile), JSON.stringify(buildJsonFeed(englishItems, FEEDS), null, 2));
+    console.log(`Written ${FEEDS.calendarFile} (${calendar.count} events), ${FEEDS.atomFile} and ${FEEDS.jsonFeedFile} to ${outDir}`);
+
+    writeFileAtomic(path.join(outDir, CHANGES.fileName), JSON.stringify({
+      generatedAt: output.lastUpdated,
+      ...changes,
+    }, null, 2));
+    console.log(`Written ${CHANGES.fileName} to ${outDir}`);
+
+    const pages = writeArticles(englishItems, paths.articleDir, ARTICLES.baseUrl);
+    console.log(`Written ${pages.written} article pages to ${paths.articleDir} (${pages.removed} removed)`);
+
+    console.log('');
+    console.log('Matching watchlists...');
+    try {
+      runWatchlists(allItems, { dir: path.join(paths.reportsDir, 'watchlists'), now: runAt });
+    } catch (err) {
+      console.error(`[ERROR] Watchlists failed: ${err.message}`);
+    }
+
+    // Only runs that update the live news.json announce items
+    console.log('');
+    console.log('Sending notifications for new items...');
+    if (!options.notify) {
+      console.log('  Skipped (--no-notify)');
+    } else if (recordDir || replayDir || options.output) {
+      console.log('  Skipped (not the live news.json)');
+    } else {
+      try {
+        await notifyNewItems(englishItems, {
+          runAt: output.lastUpdated,
+          settings: NOTIFY,
+          meta: FEEDS,
+          articleBaseUrl: ARTICLES.baseUrl,
+        });
+      } catch (err) {
+        console.error(`[ERROR] Notifications failed: ${err.message}`);
+      }
+    }
+  }
+
+  if (runStatus) {
+    finishRun(runStatus.run, {
+      outcome: isBlocked ? 'blocked' : 'written',
+      itemCount: isBlocked ? null : output.count,
+    });
+    saveRunStatus();
   }
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -169,8 +535,26 @@ async function main() {
   console.log(`=== Done in ${elapsed}s ===`);
 }
 
+/**
+ * Write the current run to status.json and log its warnings. A failure here
+ * is logged but never fails the run.
+ */
+function saveRunStatus() {
+  try {
+    const warnings = writeStatus(runStatus.file, runStatus.run, STATUS);
+    warnings.forEach((msg) => console.warn(`  [WARN] ${msg}`));
+    console.log(`Run status written to ${runStatus.file}`);
+  } catch (err) {
+    console.error(`[ERROR] Could not write ${runStatus.file}: ${err.message}`);
+  }
+}
+
 // Run
 main().catch((err) => {
   console.error('Fatal error:', err);
+  if (runStatus && !runStatus.run.outcome) {
+    finishRun(runStatus.run, { outcome: 'failed', error: err.message });
+    saveRunStatus();
+  }
   process.exit(1);
 });
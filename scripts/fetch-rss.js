@@ -1,6 +1,9 @@
 /**
- * RSS feed fetcher module.
- * Fetches and normalizes items from Japanese event/store RSS sources.
+ * RSS feed helpers and shared text utilities.
+ *
+ * The RSS adapter itself lives in scripts/sources/rss.js. This module keeps
+ * the helpers it uses (image extraction, category filtering) plus the
+ * generic text utilities shared by every source adapter.
  *
  * Optimized for nijimen RSS feed with category-based filtering.
  * Only includes items whose categories match the configured filterTags
@@ -9,7 +12,6 @@
 
 const crypto = require('crypto');
 const cheerio = require('cheerio');
-const RSSParser = require('rss-parser');
 
 /**
  * Generate a deterministic ID from a URL string.
@@ -148,76 +150,22 @@ function matchesFilterTags(item, filterTags) {
 
 /**
  * Fetch and parse RSS feeds from the given sources.
- * Supports category-based filtering via source.filterTags.
+ * Each source goes through the 'rss' adapter in scripts/sources/rss.js,
+ * which applies category filtering via source.filterTags.
  * @param {Array} sources - Array of source config objects
  * @returns {Promise<Array>} Normalized items
  */
 async function fetchRSSFeeds(sources) {
-  const parser = new RSSParser({
-    timeout: 15000,
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; JapanCulture-Bot/1.0)',
-      'Accept': 'application/rss+xml, application/xml, text/xml',
-    },
-    customFields: {
-      item: [
-        ['media:content', 'media:content'],
-        ['media:thumbnail', 'media:thumbnail'],
-        ['content:encoded', 'content:encoded'],
-      ],
-    },
-  });
-
-  const allItems = [];
-
-  for (const source of sources) {
-    try {
-      console.log(`  Fetching RSS: ${source.name} (${source.url})`);
-      const feed = await parser.parseURL(source.url);
-      let feedItems = feed.items || [];
-
-      // Apply category filter if filterTags are configured
-      if (source.filterTags && source.filterTags.length > 0) {
-        const before = feedItems.length;
-        feedItems = feedItems.filter((item) => matchesFilterTags(item, source.filterTags));
-        console.log(`    Tag filter: ${before} -> ${feedItems.length} items (tags: ${source.filterTags.join(', ')})`);
-      }
-
-      const items = feedItems.map((item) => {
-        const link = item.link || item.guid || '';
-        const contentEncoded = item['content:encoded'] || '';
-        const rawContent = item.contentSnippet || item.content || item.description || '';
-        const summarySource = contentEncoded || rawContent;
-        const summary = truncate(stripHtml(summarySource), 200);
-        const title = stripHtml(item.title || '');
-        const pubDate = item.isoDate || item.pubDate || null;
-
-        const rawImage = extractImage(item);
-        const image = normalizeImageUrl(rawImage);
-
-        return {
-          id: generateId(link),
-          title,
-          summary,
-          link,
-          image,
-          source: source.name,
-          storeTag: source.storeTag || null,
-          publishedAt: pubDate ? new Date(pubDate).toISOString() : new Date().toISOString(),
-          language: source.language,
-          category: source.category || 'events',
-          translated: false,
-        };
-      });
-
-      console.log(`    Found ${items.length} items from ${source.name}`);
-      allItems.push(...items);
-    } catch (err) {
-      console.error(`  [ERROR] Failed to fetch ${source.name}: ${err.message}`);
-    }
-  }
-
-  return allItems;
+  const { fetchSources } = require('./sources');
+  return fetchSources(sources.map((source) => ({ type: 'rss', ...source })));
 }
 
-module.exports = { fetchRSSFeeds, generateId, stripHtml, truncate, normalizeImageUrl };
+module.exports = {
+  fetchRSSFeeds,
+  generateId,
+  stripHtml,
+  truncate,
+  normalizeImageUrl,
+  extractImage,
+  matchesFilterTags,
+};
@@ -4,130 +4,204 @@
  * Filters:
  *   - Removes items with no title or no link
  *   - Removes duplicate items (same title, case-insensitive)
- *   - Excludes mass-chain store collaborations (convenience stores, fast food,
- *     discount retailers, etc.) where anyone can buy without proxy
- *   - Keeps specialty/exclusive items (ichiban kuji, cafe collabs, popup shops,
- *     Animate, Pokemon Center, etc.)
+ *   - Applies the rules in data/filter-rules.json, which by default exclude
+ *     mass-chain store collaborations (convenience stores, fast food,
+ *     discount retailers, etc.) where anyone can buy without proxy, but keep
+ *     specialty items such as ichiban kuji
+ *
+ * The rules file has three rule lists plus per-source overrides:
+ *
+ *   {
+ *     "fields": ["title", "originalTitle", "summary"],
+ *     "include": [],          // if not empty, items must match one of these
+ *     "exclude": [            // items matching one of these are dropped...
+ *       { "id": "lawson", "group": "Convenience stores", "patterns": ["ローソン", "lawson"] }
+ *     ],
+ *     "keep": [               // ...unless they also match a keep rule
+ *       { "id": "ichiban-kuji", "patterns": ["一番くじ", "ichiban kuji"] }
+ *     ],
+ *     "sources": {            // keyed by source name from config.js
+ *       "nijimen": { "exclude": [...], "keep": [...], "include": [...], "disable": ["gu"] }
+ *     }
+ *   }
+ *
+ * Each rule may set "mode" and "fields":
+ *   - auto (default): Latin patterns match whole words, case-insensitive;
+ *     Japanese patterns match anywhere (no word boundaries in JP text)
+ *   - word:      whole words, case-insensitive (e.g. "avail" does not match "available")
+ *   - substring: anywhere, case-insensitive
+ *   - regex:     the pattern is a case-insensitive regular expression
+ * Text and patterns are NFKC-normalized (except regex patterns), so
+ * half-width katakana and full-width Latin match their usual forms.
+ *
+ * Every dropped item is recorded with the rule, field and text that caused
+ * it, so fetch-news.js can write reports/filter-report.json.
  */
 
+const fs = require('fs');
+const path = require('path');
+
+const RULES_FILE = path.join(__dirname, 'data', 'filter-rules.json');
+const MODES = ['auto', 'word', 'substring', 'regex'];
+const LISTS = ['include', 'exclude', 'keep'];
+
 /**
- * Mass-chain stores/brands whose collaborations should be EXCLUDED.
- * These are nationwide chains where anyone can buy -- no proxy value.
- *
- * Each entry is { pattern, isJapanese }.
- * - Japanese patterns: matched with simple includes() (no false-positive risk in JP text)
- * - English patterns: matched with word-boundary regex to avoid false positives
- *   (e.g. "avail" should not match "available", "seven" should not match "seventh")
+ * Compile one pattern into a case-insensitive regular expression.
+ * @param {string} pattern - Pattern text
+ * @param {string} mode - One of MODES
+ * @returns {RegExp} Matcher
  */
-const EXCLUDE_CHAINS_RAW = [
-  // Convenience stores
-  { pattern: 'セブン-イレブン', isJapanese: true },
-  { pattern: 'セブンイレブン', isJapanese: true },
-  { pattern: '7-eleven', isJapanese: false },
-  { pattern: 'seven-eleven', isJapanese: false },
-  { pattern: 'seven eleven', isJapanese: false },
-  { pattern: 'ファミマ', isJapanese: true },
-  { pattern: 'ファミリーマート', isJapanese: true },
-  { pattern: 'familymart', isJapanese: false },
-  { pattern: 'family mart', isJapanese: false },
-  { pattern: 'ローソン', isJapanese: true },
-  { pattern: 'lawson', isJapanese: false },
-  { pattern: 'ミニストップ', isJapanese: true },
-  { pattern: 'ministop', isJapanese: false },
-  // Fast food
-  { pattern: 'マクドナルド', isJapanese: true },
-  { pattern: 'マック', isJapanese: true },
-  { pattern: 'mcdonald', isJapanese: false },
-  { pattern: 'ケンタッキー', isJapanese: true },
-  { pattern: 'kfc', isJapanese: false },
-  { pattern: 'モスバーガー', isJapanese: true },
-  { pattern: 'mos burger', isJapanese: false },
-  { pattern: 'すき家', isJapanese: true },
-  { pattern: 'sukiya', isJapanese: false },
-  { pattern: 'くら寿司', isJapanese: true },
-  { pattern: 'kura sushi', isJapanese: false },
-  // Discount/variety stores
-  { pattern: 'ダイソー', isJapanese: true },
-  { pattern: 'daiso', isJapanese: false },
-  { pattern: 'セリア', isJapanese: true },
-  { pattern: 'seria', isJapanese: false },
-  { pattern: 'キャンドゥ', isJapanese: true },
-  { pattern: 'can do', isJapanese: false },
-  // Mass retail clothing
-  { pattern: 'アベイル', isJapanese: true },
-  { pattern: 'avail', isJapanese: false },
-  { pattern: 'しまむら', isJapanese: true },
-  { pattern: 'shimamura', isJapanese: false },
-  { pattern: 'ユニクロ', isJapanese: true },
-  { pattern: 'uniqlo', isJapanese: false },
-  { pattern: 'gu', isJapanese: false },
-  // Supermarkets/drugstores
-  { pattern: 'イオン', isJapanese: true },
-  { pattern: 'aeon', isJapanese: false },
-  { pattern: 'ドンキホーテ', isJapanese: true },
-  { pattern: 'ドン・キホーテ', isJapanese: true },
-  { pattern: 'don quijote', isJapanese: false },
-  // National restaurant chains
-  { pattern: 'コメダ珈琲', isJapanese: true },
-  { pattern: 'komeda', isJapanese: false },
-  { pattern: 'スターバックス', isJapanese: true },
-  { pattern: 'starbucks', isJapanese: false },
-  { pattern: 'ガスト', isJapanese: true },
-  { pattern: 'gusto', isJapanese: false },
-  { pattern: 'ハッピーセット', isJapanese: true },
-  { pattern: 'happy set', isJapanese: false },
-  { pattern: 'happy meal', isJapanese: false },
-];
+function compilePattern(pattern, mode) {
+  if (mode === 'regex') return new RegExp(pattern, 'i');
+
+  const normalized = pattern.normalize('NFKC');
+  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const wholeWord = mode === 'word' || (mode === 'auto' && /^[\x20-\x7e]+$/.test(normalized));
+  return new RegExp(wholeWord ? `\\b${escaped}\\b` : escaped, 'i');
+}
 
 /**
- * Pre-compiled matchers for each chain pattern.
- * Japanese patterns use includes(); English patterns use word-boundary regex.
+ * Validate and compile one rule.
+ * @param {Object} rule - Rule from the rules file
+ * @param {string} where - Location for error messages, e.g. "exclude[3]"
+ * @param {string[]} defaultFields - Fields to match when the rule has none
+ * @returns {Object} { id, group, fields, matchers: [{ pattern, re }] }
+ * @throws {Error} On a missing id/patterns, unknown mode or invalid regex
  */
-const CHAIN_MATCHERS = EXCLUDE_CHAINS_RAW.map(({ pattern, isJapanese }) => {
-  if (isJapanese) {
-    // Japanese: simple substring match (no word boundary issues)
-    return (text) => text.includes(pattern);
-  } else {
-    // English: word-boundary regex to avoid "avail" matching "available" etc.
-    const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const re = new RegExp(`\\b${escaped}\\b`, 'i');
-    return (text) => re.test(text);
+function compileRule(rule, where, defaultFields) {
+  if (!rule.id) throw new Error(`${where}: rule has no "id"`);
+  if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+    throw new Error(`${where} (${rule.id}): "patterns" must be a non-empty list`);
+  }
+  const mode = rule.mode || 'auto';
+  if (!MODES.includes(mode)) {
+    throw new Error(`${where} (${rule.id}): unknown mode "${mode}" (use ${MODES.join(', ')})`);
   }
-});
+
+  const matchers = rule.patterns.map((pattern) => {
+    try {
+      return { pattern, re: compilePattern(pattern, mode) };
+    } catch (err) {
+      throw new Error(`${where} (${rule.id}): invalid pattern "${pattern}": ${err.message}`);
+    }
+  });
+  return {
+    id: rule.id, group: rule.group || null, fields: rule.fields || defaultFields, matchers,
+  };
+}
 
 /**
- * Flat list of chain names for export (backward compat / inspection).
+ * Load the filter rules and pre-compile their patterns.
+ * @param {string} [file] - Rules path (defaults to data/filter-rules.json)
+ * @returns {Object} { file, include, exclude, keep, sources: { name: { include, exclude, keep, disable } } }
+ * @throws {Error} If the file is invalid (message names the offending rule)
  */
-const EXCLUDE_CHAINS = EXCLUDE_CHAINS_RAW.map(e => e.pattern);
+function loadFilterRules(file = RULES_FILE) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const fields = raw.fields || ['title', 'originalTitle', 'summary'];
+  const prefix = path.basename(file);
+
+  const compileList = (rules, where) => (rules || []).map((rule, i) => compileRule(rule, `${prefix}: ${where}[${i}]`, fields));
+
+  const rules = { file, sources: {} };
+  for (const list of LISTS) rules[list] = compileList(raw[list], list);
+
+  for (const [name, override] of Object.entries(raw.sources || {})) {
+    rules.sources[name] = { disable: override.disable || [] };
+    for (const list of LISTS) {
+      rules.sources[name][list] = compileList(override[list], `sources.${name}.${list}`);
+    }
+  }
+  return rules;
+}
 
 /**
- * Keywords that indicate a specialty/exclusive item that should be KEPT
- * even if a chain store name appears in the text.
+ * Rules of one list that apply to a source (global rules minus disabled
+ * ones, plus the source's own).
+ * @param {Object} rules - Output of loadFilterRules()
+ * @param {string} list - 'include', 'exclude' or 'keep'
+ * @param {string} source - Item source name
+ * @returns {Array} Compiled rules
  */
-const KEEP_KEYWORDS = [
-  '一番くじ', 'ichiban kuji',
-];
+function rulesFor(rules, list, source) {
+  const override = rules.sources[source];
+  if (!override) return rules[list];
+  return [
+    ...rules[list].filter((rule) => !override.disable.includes(rule.id)),
+    ...override[list],
+  ];
+}
 
 /**
- * Check if an item is a mass-chain store collaboration.
+ * Find the first rule that matches an item.
+ * @param {Object} item - News item
+ * @param {Array} rules - Compiled rules
+ * @returns {Object|null} { rule, group, field, pattern, match } or null
+ */
+function firstMatch(item, rules) {
+  for (const rule of rules) {
+    for (const field of rule.fields) {
+      if (!item[field]) continue;
+      const text = String(item[field]).normalize('NFKC');
+      for (const { pattern, re } of rule.matchers) {
+        const found = re.exec(text);
+        if (found) {
+          return {
+            rule: rule.id, group: rule.group, field, pattern, match: found[0],
+          };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether the rules drop an item.
+ * @param {Object} item - News item
+ * @param {Object} rules - Output of loadFilterRules()
+ * @returns {{excluded: boolean, reason: string|null, matched: Object|null, keptBy: Object|null}}
+ *   reason is 'exclude' or 'not-included'; keptBy is set when a keep rule
+ *   saved an item that would otherwise have been dropped
+ */
+function explainItem(item, rules) {
+  const exclude = firstMatch(item, rulesFor(rules, 'exclude', item.source));
+  const includeRules = rulesFor(rules, 'include', item.source);
+  const notIncluded = !exclude && includeRules.length > 0 && !firstMatch(item, includeRules);
+
+  if (!exclude && !notIncluded) {
+    return {
+      excluded: false, reason: null, matched: null, keptBy: null,
+    };
+  }
+
+  const reason = exclude ? 'exclude' : 'not-included';
+  const keptBy = firstMatch(item, rulesFor(rules, 'keep', item.source));
+  return {
+    excluded: !keptBy, reason, matched: exclude, keptBy,
+  };
+}
+
+/**
+ * Check if an item is a mass-chain store collaboration under the global rules.
  *
  * @param {string} title - English/translated title
  * @param {string} summary - English/translated summary
  * @param {string} [originalTitle] - Original Japanese title (if translated)
+ * @param {Object} [rules] - Output of loadFilterRules() (loaded from disk if omitted)
  * @returns {boolean} True if this is a chain collab that should be excluded
  */
-function isChainCollab(title, summary, originalTitle) {
-  const text = `${title || ''} ${summary || ''} ${originalTitle || ''}`;
-
-  const matchesChain = CHAIN_MATCHERS.some(matcher => matcher(text));
-  if (!matchesChain) return false;
-
-  // Even if it matches a chain, keep if it contains a specialty keyword
-  const textLower = text.toLowerCase();
-  const isSpecialty = KEEP_KEYWORDS.some(kw => textLower.includes(kw.toLowerCase()));
-  if (isSpecialty) return false;
+function isChainCollab(title, summary, originalTitle, rules = loadFilterRules()) {
+  return explainItem({ title, summary, originalTitle }, rules).excluded;
+}
 
-  return true;
+/**
+ * Short description of an item for the filter report.
+ * @param {Object} item - News item
+ * @returns {Object} { title, link, source }
+ */
+function describeItem(item) {
+  return { title: item.title || null, link: item.link || null, source: item.source };
 }
 
 /**
@@ -136,50 +210,66 @@ function isChainCollab(title, summary, originalTitle) {
  * Rules:
  * - Remove items with no title or no link
  * - Remove exact title duplicates (first occurrence wins, case-insensitive)
- * - Exclude mass-chain store collaborations (but keep ichiban kuji, etc.)
+ * - Apply the include/exclude/keep rules (see the header comment)
  *
  * @param {Array} items - Array of event/product items
- * @returns {Array} Filtered items
+ * @param {Object} [rules] - Output of loadFilterRules() (loaded from disk if omitted)
+ * @returns {{items: Array, excluded: Array, keptByRule: Array, rulesFile: string}}
+ *   Kept items, every dropped item with its reason ('invalid', 'duplicate',
+ *   'exclude' or 'not-included') and matching rule, items a keep rule saved,
+ *   and the rules file used
  */
-function filterAnimeGoods(items) {
-  const before = items.length;
-  let removedInvalid = 0;
-  let removedDuplicates = 0;
-  let removedChains = 0;
+function filterAnimeGoods(items, rules = loadFilterRules()) {
+  const excluded = [];
+  const keptByRule = [];
 
-  const seenTitles = new Set();
+  const seenTitles = new Map();
   const filtered = [];
 
   for (const item of items) {
     // Remove items with no title or no link
     if (!item.title || !item.title.trim() || !item.link || !item.link.trim()) {
-      removedInvalid++;
+      excluded.push({ ...describeItem(item), reason: 'invalid', field: item.title && item.title.trim() ? 'link' : 'title' });
       continue;
     }
 
     // Remove exact title duplicates (case-insensitive)
     const normalizedTitle = item.title.trim().toLowerCase();
     if (seenTitles.has(normalizedTitle)) {
-      removedDuplicates++;
+      excluded.push({
+        ...describeItem(item), reason: 'duplicate', field: 'title', duplicateOf: seenTitles.get(normalizedTitle),
+      });
       continue;
     }
-    seenTitles.add(normalizedTitle);
+    seenTitles.set(normalizedTitle, item.link);
 
-    // Exclude mass-chain store collaborations
-    if (isChainCollab(item.title, item.summary, item.originalTitle)) {
-      removedChains++;
-      console.log(`    [CHAIN EXCLUDED] ${item.title}`);
+    const decision = explainItem(item, rules);
+    if (decision.excluded) {
+      excluded.push({ ...describeItem(item), reason: decision.reason, ...decision.matched });
+      console.log(decision.matched
+        ? `    [EXCLUDED] ${item.title} (rule "${decision.matched.rule}" matched "${decision.matched.match}" in ${decision.matched.field})`
+        : `    [EXCLUDED] ${item.title} (matched no include rule)`);
       continue;
     }
+    if (decision.keptBy) {
+      keptByRule.push({
+        ...describeItem(item), reason: decision.reason, overrode: decision.matched, keep: decision.keptBy,
+      });
+      console.log(`    [KEPT] ${item.title} (keep rule "${decision.keptBy.rule}" matched "${decision.keptBy.match}" in ${decision.keptBy.field})`);
+    }
 
     filtered.push(item);
   }
 
-  const after = filtered.length;
-  console.log(`  Filtered: ${before} items -> ${after} items`);
-  console.log(`    Removed: ${removedInvalid} invalid, ${removedDuplicates} duplicates, ${removedChains} chain-store collabs`);
+  const count = (...reasons) => excluded.filter((entry) => reasons.includes(entry.reason)).length;
+  console.log(`  Filtered: ${items.length} items -> ${filtered.length} items`);
+  console.log(`    Removed: ${count('invalid')} invalid, ${count('duplicate')} duplicates, ${count('exclude', 'not-included')} by filter rules (${keptByRule.length} saved by keep rules)`);
 
-  return filtered;
+  return {
+    items: filtered, excluded, keptByRule, rulesFile: rules.file,
+  };
 }
 
-module.exports = { filterAnimeGoods, isChainCollab, EXCLUDE_CHAINS };
+module.exports = {
+  filterAnimeGoods, loadFilterRules, explainItem, isChainCollab,
+};
@@ -0,0 +1,112 @@
+/**
+ * Franchise/IP tagging.
+ *
+ * Tags each item with the series it belongs to (e.g. 'demon-slayer') using
+ * the alias dictionary in data/franchises.json. Each franchise lists its
+ * Japanese and English titles, abbreviations and character names:
+ *
+ *   "demon-slayer": {
+ *     "name": "Demon Slayer",
+ *     "page": "category/demon-slayer-items.html",
+ *     "titles": ["鬼滅の刃", "Demon Slayer"],
+ *     "abbreviations": ["鬼滅", "きめつ", "Kimetsu"],
+ *     "characters": ["炭治郎", "Tanjiro"]
+ *   }
+ *
+ * Matching mirrors filter.js: Japanese aliases use substring matching,
+ * Latin aliases use case-insensitive word-boundary regexes. Items that match
+ * nothing are reported so the dictionary can grow over time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { itemTexts } = require('./bilingual');
+
+const DICTIONARY_FILE = path.join(__dirname, 'data', 'franchises.json');
+
+/**
+ * Build a matcher for one alias.
+ * @param {string} alias - Alias text
+ * @returns {Function} (text) => boolean
+ */
+function aliasMatcher(alias) {
+  const normalized = alias.normalize('NFKC');
+  if (/^[\x20-\x7e]+$/.test(normalized)) {
+    const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const re = new RegExp(`\\b${escaped}\\b`, 'i');
+    return (text) => re.test(text);
+  }
+  const lower = normalized.toLowerCase();
+  return (text) => text.toLowerCase().includes(lower);
+}
+
+/**
+ * Load the franchise dictionary and pre-compile its matchers.
+ * @param {string} [file] - Dictionary path (defaults to data/franchises.json)
+ * @returns {Array<{id: string, name: string, matchers: Function[]}>} Franchises
+ */
+function loadFranchises(file = DICTIONARY_FILE) {
+  const dictionary = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return Object.entries(dictionary).map(([id, entry]) => {
+    const aliases = [
+      ...(entry.titles || []),
+      ...(entry.abbreviations || []),
+      ...(entry.characters || []),
+    ];
+    return { id, name: entry.name, matchers: aliases.map(aliasMatcher) };
+  });
+}
+
+/**
+ * Find the franchises an item belongs to.
+ * Looks at the title and summary in every language and the full plain-text
+ * content.
+ * @param {Object} item - News item
+ * @param {Array} franchises - Output of loadFranchises()
+ * @returns {string[]} Franchise ids, in dictionary order
+ */
+function detectFranchises(item, franchises) {
+  const text = [...itemTexts(item), item.content]
+    .filter(Boolean)
+    .join(' ')
+    .normalize('NFKC');
+
+  return franchises
+    .filter((franchise) => franchise.matchers.some((match) => match(text)))
+    .map((franchise) => franchise.id);
+}
+
+/**
+ * Tag every item with `franchises` and collect the untagged ones.
+ * @param {Array} items - News items
+ * @param {Array} [franchises] - Output of loadFranchises() (loaded from disk if omitted)
+ * @returns {{items: Array, untagged: Array<{id: string, title: string, originalTitle: string|null, source: string}>}}
+ */
+function tagFranchises(items, franchises = loadFranchises()) {
+  const untagged = [];
+  const counts = {};
+
+  const tagged = items.map((item) => {
+    const ids = detectFranchises(item, franchises);
+    if (ids.length === 0) {
+      untagged.push({
+        id: item.id,
+        title: item.title,
+        originalTitle: item.originalTitle || null,
+        source: item.source,
+      });
+    }
+    ids.forEach((id) => { counts[id] = (counts[id] || 0) + 1; });
+    return { ...item, franchises: ids };
+  });
+
+  const summary = Object.entries(counts).map(([id, n]) => `${id}: ${n}`).join(', ') || 'none';
+  console.log(`  Franchises: ${summary}`);
+  console.log(`  Untagged: ${untagged.length} of ${items.length} items`);
+
+  return { items: tagged, untagged };
+}
+
+module.exports = {
+  loadFranchises, detectFranchises, tagFranchises, aliasMatcher,
+};
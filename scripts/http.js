@@ -0,0 +1,347 @@
+/**
+ * Shared HTTP client for the collector.
+ *
+ * Every source adapter and translation provider goes through here instead of
+ * calling axios directly, which gives them all:
+ *   - retries with exponential backoff on 5xx responses, timeouts and
+ *     network errors
+ *   - conditional GETs (ETag / Last-Modified) backed by a small on-disk
+ *     cache, so unchanged feeds come back as 304 with no body
+ *   - per-host politeness: one request at a time per host, with a minimum
+ *     delay between request starts
+ *   - a timing log line for every request
+ *   - record/replay: with configure({ recordDir }) every response (or final
+ *     error) is saved to a file; with configure({ replayDir }) requests are
+ *     answered from those files and the network is never touched
+ *   - request logs: trackRequests(fn) collects every request made inside fn
+ *     (method, url, status, ms), e.g. per source for the run status report
+ *
+ * mapWithConcurrency() bounds how many sources are fetched in parallel.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const { HTTP } = require('./config');
+
+const UA = 'Mozilla/5.0 (compatible; JapanCulture-Bot/1.0)';
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// host -> { tail: Promise, lastStart: number }
+const hosts = new Map();
+
+// Record/replay directories (see configure())
+let recordDir = null;
+let replayDir = null;
+
+// Request log of the innermost trackRequests() call
+const requestLog = new AsyncLocalStorage();
+
+/**
+ * Switch the client into record or replay mode (or back to plain mode).
+ * @param {Object} [options]
+ * @param {string|null} [options.recordDir] - Save every response into this directory
+ * @param {string|null} [options.replayDir] - Answer requests from this directory only
+ */
+function configure(options = {}) {
+  recordDir = options.recordDir || null;
+  replayDir = options.replayDir || null;
+}
+
+/**
+ * Build the recording file path for a request. The name is readable
+ * (method, host, path) plus a hash of the full request so query
+ * parameters and POST bodies get their own file.
+ * @param {string} dir - Recording directory
+ * @param {string} method - HTTP method (upper case)
+ * @param {string} url - Request URL
+ * @param {Object} [params] - Query parameters
+ * @param {*} [data] - Request body
+ * @returns {string} Recording file path
+ */
+function recordingFile(dir, method, url, params, data) {
+  const key = `${method} ${url}?${JSON.stringify(params || {})} ${JSON.stringify(data || null)}`;
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+  const { host, pathname } = new URL(url);
+  const slug = `${method}-${host}${pathname}`.replace(/[^a-z0-9]+/gi, '-').replace(/-+$/, '').toLowerCase();
+  return path.join(dir, `${slug}-${hash}.json`);
+}
+
+/**
+ * Save one request/response pair (or final error) to the recording directory.
+ * Binary bodies (responseType 'arraybuffer') are stored as base64.
+ * @param {Object} config - axios request config
+ * @param {Object} recorded - { status, data } or { error: { message, code, status } }
+ */
+function saveRecording(config, recorded) {
+  const method = (config.method || 'get').toUpperCase();
+  const file = recordingFile(recordDir, method, config.url, config.params, config.data);
+  const binary = Buffer.isBuffer(recorded.data);
+  fs.mkdirSync(recordDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    method,
+    url: config.url,
+    params: config.params || {},
+    body: config.data || null,
+    ...recorded,
+    ...(binary ? { encoding: 'base64', data: recorded.data.toString('base64') } : {}),
+  }, null, 2), 'utf-8');
+}
+
+/**
+ * Run a function and collect every request it makes (including requests
+ * from concurrent work started inside it).
+ * @param {Function} fn - async () => result
+ * @returns {Promise<{result: *, requests: Array<{method: string, url: string,
+ *   status: number|string, ms: number, fromCache: boolean, ok: boolean}>}>}
+ */
+async function trackRequests(fn) {
+  const requests = [];
+  const result = await requestLog.run(requests, fn);
+  return { result, requests };
+}
+
+/**
+ * Add a finished request to the current trackRequests() log, if any.
+ * @param {Object} entry - { method, url, status, ms, fromCache, ok }
+ */
+function logRequest(entry) {
+  const log = requestLog.getStore();
+  if (log) log.push(entry);
+}
+
+/**
+ * Answer a request from the replay directory.
+ * Recorded errors are rethrown in axios shape (err.response.status / err.code).
+ * @param {Object} config - axios request config
+ * @returns {Object} See request()
+ * @throws {Error} If no recording exists (code ENORECORDING) or an error was recorded
+ */
+function replay(config) {
+  const method = (config.method || 'get').toUpperCase();
+  const file = recordingFile(replayDir, method, config.url, config.params, config.data);
+  if (!fs.existsSync(file)) {
+    const err = new Error(`No recording for ${method} ${config.url} (${path.basename(file)})`);
+    err.code = 'ENORECORDING';
+    throw err;
+  }
+
+  const recorded = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (recorded.error) {
+    console.error(`    ${method} ${config.url} ${recorded.error.status || recorded.error.code} (replayed)`);
+    logRequest({
+      method, url: config.url, status: recorded.error.status || recorded.error.code, ms: 0, fromCache: false, ok: false,
+    });
+    const err = new Error(recorded.error.message);
+    err.code = recorded.error.code;
+    if (recorded.error.status) err.response = { status: recorded.error.status, headers: {} };
+    throw err;
+  }
+
+  console.log(`    ${method} ${config.url} ${recorded.status} (replayed)`);
+  logRequest({
+    method, url: config.url, status: recorded.status, ms: 0, fromCache: false, ok: true,
+  });
+  const data = recorded.encoding === 'base64' ? Buffer.from(recorded.data, 'base64') : recorded.data;
+  return { data, status: recorded.status, headers: {}, fromCache: false, ms: 0 };
+}
+
+/**
+ * Run a task in the host's queue: one at a time, at least
+ * HTTP.hostDelayMs apart.
+ * @param {string} host - Hostname
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} Task result
+ */
+function scheduleForHost(host, task) {
+  const state = hosts.get(host) || { tail: Promise.resolve(), lastStart: 0 };
+  hosts.set(host, state);
+
+  const run = state.tail.then(async () => {
+    const wait = state.lastStart + HTTP.hostDelayMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    state.lastStart = Date.now();
+    return task();
+  });
+  state.tail = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Check whether a failed request is worth retrying.
+ * @param {Error} err - axios error
+ * @returns {boolean} True for 5xx, timeouts and network errors
+ */
+function isRetryable(err) {
+  if (err.response) return err.response.status >= 500;
+  return RETRYABLE_CODES.includes(err.code);
+}
+
+/**
+ * Build the conditional-GET cache file path for a request.
+ * @param {string} url - Request URL
+ * @param {Object} [params] - Query parameters
+ * @returns {string} Cache file path
+ */
+function cacheFileFor(url, params) {
+  const key = `${url}?${JSON.stringify(params || {})}`;
+  const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 24);
+  return path.join(HTTP.cacheDir, `${hash}.json`);
+}
+
+/**
+ * Read a cached response, if any.
+ * @param {string} file - Cache file path
+ * @returns {Object|null} { etag, lastModified, data } or null
+ */
+function readCached(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Make an HTTP request with retries, host politeness and timing logs.
+ * Errors are axios errors, so callers can inspect err.response.status.
+ * @param {Object} options - axios request config plus:
+ * @param {boolean} [options.cache] - Use conditional GETs with the on-disk cache
+ * @param {number} [options.retries] - Retry count (defaults to HTTP.retries)
+ * @param {string} [options.logUrl] - URL to show in logs instead of the real
+ *   one (e.g. a webhook URL without its secret token)
+ * @returns {Promise<{data: *, status: number, headers: Object, fromCache: boolean, ms: number}>}
+ */
+async function request(options) {
+  const {
+    cache = false, retries = HTTP.retries, logUrl = null, ...config
+  } = options;
+  if (replayDir) return replay(config);
+  const shownUrl = logUrl || config.url;
+
+  const method = (config.method || 'get').toUpperCase();
+  const host = new URL(config.url).host;
+
+  const cacheFile = cache && method === 'GET' ? cacheFileFor(config.url, config.params) : null;
+  const cached = cacheFile ? readCached(cacheFile) : null;
+
+  const headers = { 'User-Agent': UA, ...(config.headers || {}) };
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  return scheduleForHost(host, async () => {
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      try {
+        const res = await axios.request({
+          timeout: HTTP.timeout,
+          ...config,
+          headers,
+          validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && cached !== null),
+        });
+        const ms = Date.now() - started;
+
+        if (res.status === 304) {
+          console.log(`    ${method} ${shownUrl} 304 not modified (${ms} ms)`);
+          logRequest({
+            method, url: shownUrl, status: 304, ms, fromCache: true, ok: true,
+          });
+          if (recordDir) saveRecording(config, { status: 200, data: cached.data });
+          return { data: cached.data, status: 304, headers: res.headers, fromCache: true, ms };
+        }
+
+        console.log(`    ${method} ${shownUrl} ${res.status} (${ms} ms)`);
+        logRequest({
+          method, url: shownUrl, status: res.status, ms, fromCache: false, ok: true,
+        });
+        if (cacheFile && (res.headers.etag || res.headers['last-modified'])) {
+          fs.mkdirSync(HTTP.cacheDir, { recursive: true });
+          fs.writeFileSync(cacheFile, JSON.stringify({
+            url: config.url,
+            params: config.params || {},
+            etag: res.headers.etag || null,
+            lastModified: res.headers['last-modified'] || null,
+            savedAt: new Date().toISOString(),
+            data: res.data,
+          }), 'utf-8');
+        }
+        if (recordDir) saveRecording(config, { status: res.status, data: res.data });
+        return { data: res.data, status: res.status, headers: res.headers, fromCache: false, ms };
+      } catch (err) {
+        const ms = Date.now() - started;
+        const status = err.response ? err.response.status : err.code || 'error';
+        if (attempt < retries && isRetryable(err)) {
+          const backoff = HTTP.backoffMs * 2 ** attempt + Math.floor(Math.random() * HTTP.backoffMs);
+          console.warn(`    ${method} ${shownUrl} ${status} (${ms} ms); retry ${attempt + 1}/${retries} in ${backoff} ms`);
+          await sleep(backoff);
+          continue;
+        }
+        console.error(`    ${method} ${shownUrl} ${status} (${ms} ms)`);
+        logRequest({
+          method, url: shownUrl, status, ms, fromCache: false, ok: false,
+        });
+        if (recordDir) {
+          saveRecording(config, {
+            error: { message: err.message, code: err.code || null, status: err.response ? err.response.status : null },
+          });
+        }
+        throw err;
+      }
+    }
+  });
+}
+
+/**
+ * GET a URL. Conditional GETs with the on-disk cache are on by default.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - axios config plus `cache` / `retries`
+ * @returns {Promise<Object>} See request()
+ */
+function get(url, options = {}) {
+  return request({ cache: true, ...options, method: 'get', url });
+}
+
+/**
+ * POST to a URL. Never cached.
+ * @param {string} url - Request URL
+ * @param {*} data - Request body
+ * @param {Object} [options] - axios config plus `retries`
+ * @returns {Promise<Object>} See request()
+ */
+function post(url, data, options = {}) {
+  return request({ ...options, cache: false, method: 'post', url, data });
+}
+
+/**
+ * Map over a list with at most `limit` calls in flight.
+ * Results keep the input order.
+ * @param {Array} list - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results
+ */
+async function mapWithConcurrency(list, limit, fn) {
+  const results = new Array(list.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < list.length) {
+      const index = next++;
+      results[index] = await fn(list[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, list.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  configure, request, get, post, mapWithConcurrency, trackRequests, recordingFile, UA,
+};
@@ -0,0 +1,288 @@
+/**
+ * Image mirroring.
+ *
+ * Source sites are slow and their images break, so every item's image is
+ * downloaded once into files/images/news/ as:
+ *   <key>.webp        - full image, at most IMAGES.fullWidth wide
+ *   <key>-thumb.webp  - thumbnail for the widget and calendar
+ * where <key> is a hash of the source URL. item.image is rewritten to the
+ * local path, item.thumbnail points at the thumbnail and the original URL
+ * is kept as item.imageSource. Relative image URLs from the sources are
+ * resolved against item.link; images that do not resolve to an http(s)
+ * URL are dropped as broken.
+ *
+ * Images are rejected (item.image = null) when they are:
+ *   - broken:    download failed or the data is not a decodable image
+ *   - tiny:      too few pixels or bytes to be a real photo
+ *   - banner:    much wider than tall (site headers, ad strips)
+ *   - duplicate: the same picture (by perceptual hash) on IMAGES.maxSharedUses
+ *                or more different items, i.e. a generic site banner
+ *
+ * images/news/index.json remembers every source URL seen, so unchanged
+ * images are not downloaded again. Broken results are not remembered and
+ * are retried on the next run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const http = require('./http');
+const { HTTP } = require('./config');
+const { writeFileAtomic } = require('./output');
+
+/**
+ * Compute a 64-bit difference hash (dHash) of an image.
+ * The image is reduced to 9x8 grayscale and each bit records whether a
+ * pixel is brighter than its right-hand neighbour.
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<string>} 16-char hex hash
+ */
+async function differenceHash(buffer) {
+  const pixels = await sharp(buffer)
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits += pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hex hashes.
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Classify downloaded image data against the size rules.
+ * @param {Object} info - { width, height, bytes }
+ * @param {Object} rules - config.IMAGES
+ * @returns {string|null} 'tiny', 'banner' or null if acceptable
+ */
+function classifyImage({ width, height, bytes }, rules) {
+  if (width < rules.minWidth || height < rules.minHeight || bytes < rules.minBytes) return 'tiny';
+  if (width / height >= rules.bannerAspect) return 'banner';
+  return null;
+}
+
+/**
+ * Build the local file key for a source URL.
+ * @param {string} url - Source image URL
+ * @returns {string} 16-char hex key
+ */
+function imageKey(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+}
+
+/**
+ * Load the mirror index (source URL -> entry).
+ * @param {string} file - index.json path
+ * @returns {Object} Index
+ */
+function loadIndex(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Resolve an item's image to the absolute URL to download.
+ * @param {Object} item - Pipeline item with `image` and `link`
+ * @returns {string|null} http(s) URL, or null when the image cannot be fetched
+ */
+function sourceImageUrl(item) {
+  try {
+    const url = new URL(item.image, item.link);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Download one image and write the full-size and thumbnail files.
+ * @param {string} url - Source image URL
+ * @param {string} dir - Mirror directory
+ * @param {Object} rules - config.IMAGES
+ * @returns {Promise<Object>} Index entry: { status: 'ok'|'broken'|'tiny'|'banner',
+ *   file, thumb, hash, width, height, bytes, reason }
+ */
+async function mirrorImage(url, dir, rules) {
+  let buffer;
+  try {
+    const res = await http.get(url, { responseType: 'arraybuffer', cache: false });
+    buffer = Buffer.from(res.data);
+  } catch (err) {
+    return { status: 'broken', reason: err.message };
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    return { status: 'broken', reason: `not an image (${err.message})` };
+  }
+
+  const info = { width: meta.width, height: meta.height, bytes: buffer.length };
+  const rejected = classifyImage(info, rules);
+  if (rejected) return { status: rejected, ...info };
+
+  const key = imageKey(url);
+  const file = `${key}.webp`;
+  const thumb = `${key}-thumb.webp`;
+  fs.mkdirSync(dir, { recursive: true });
+  await sharp(buffer)
+    .resize({ width: rules.fullWidth, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(path.join(dir, file));
+  await sharp(buffer)
+    .resize({ width: rules.thumbWidth, height: Math.round(rules.thumbWidth * 9 / 16), fit: 'cover' })
+    .webp({ quality: 75 })
+    .toFile(path.join(dir, thumb));
+
+  return {
+    status: 'ok', file, thumb, hash: await differenceHash(buffer), ...info,
+  };
+}
+
+/**
+ * Find source URLs whose picture is shared by too many different items.
+ * @param {Array<{url: string, entry: Object}>} results - Mirrored images, one per item
+ * @param {Object} rules - config.IMAGES
+ * @returns {Set<string>} Source URLs to reject as duplicates
+ */
+function findSharedImages(results, rules) {
+  const ok = results.filter(({ entry }) => entry.status === 'ok');
+  const shared = new Set();
+
+  for (const { url, entry } of ok) {
+    const uses = ok.filter((other) => hammingDistance(entry.hash, other.entry.hash) <= rules.hashDistance);
+    if (uses.length >= rules.maxSharedUses) shared.add(url);
+  }
+  return shared;
+}
+
+/**
+ * Mirror every item's image and rewrite the image fields.
+ * @param {Array} items - Pipeline items
+ * @param {Object} options
+ * @param {string} options.dir - Mirror directory (files/images/news)
+ * @param {string} options.publicPath - URL path of the mirror directory (e.g. "images/news/")
+ * @param {Object} options.rules - config.IMAGES
+ * @returns {Promise<Array>} Items with image / thumbnail / imageSource set
+ */
+async function mirrorImages(items, { dir, publicPath, rules }) {
+  const indexFile = path.join(dir, 'index.json');
+  const index = loadIndex(indexFile);
+  const stats = { downloaded: 0, cached: 0 };
+
+  // Items that already carry imageSource were mirrored before
+  const toMirror = items.filter((item) => item.image && !item.imageSource);
+  const withImages = toMirror.filter(sourceImageUrl);
+  const results = await http.mapWithConcurrency(withImages, HTTP.sourceConcurrency, async (item) => {
+    const url = sourceImageUrl(item);
+    const known = index[url];
+    if (known && (known.status !== 'ok' || fs.existsSync(path.join(dir, known.file)))) {
+      stats.cached++;
+      return { url, entry: known };
+    }
+    const entry = await mirrorImage(url, dir, rules);
+    stats.downloaded++;
+    if (entry.status !== 'broken') index[url] = { ...entry, checkedAt: new Date().toISOString() };
+    return { url, entry };
+  });
+
+  const shared = findSharedImages(results, rules);
+  const counts = { ok: 0, broken: 0, tiny: 0, banner: 0, duplicate: 0 };
+  const entries = new Map(results.map(({ url, entry }) => [url, entry]));
+
+  const mirrored = items.map((item) => {
+    if (!toMirror.includes(item)) return item;
+    const url = sourceImageUrl(item);
+    if (!url) {
+      counts.broken++;
+      console.log(`    [IMAGE] broken (not an http(s) URL): ${item.image}`);
+      return { ...item, image: null, thumbnail: null };
+    }
+    const entry = entries.get(url);
+    const status = shared.has(url) ? 'duplicate' : entry.status;
+    counts[status]++;
+
+    if (status !== 'ok') {
+      console.log(`    [IMAGE] ${status}${entry.reason ? ` (${entry.reason})` : ''}: ${url}`);
+      return { ...item, image: null, thumbnail: null, imageSource: url };
+    }
+    return {
+      ...item,
+      image: publicPath + entry.file,
+      thumbnail: publicPath + entry.thumb,
+      imageSource: url,
+    };
+  });
+
+  writeFileAtomic(indexFile, JSON.stringify(index, null, 2));
+
+  console.log(`  Images: ${stats.downloaded} downloaded, ${stats.cached} already mirrored`);
+  console.log(`  Kept ${counts.ok} | Rejected: ${counts.broken} broken, ${counts.tiny} tiny, ${counts.banner} banner, ${counts.duplicate} duplicate`);
+  return mirrored;
+}
+
+/**
+ * Delete mirrored files and index entries no longer used by any item.
+ * @param {string} dir - Mirror directory
+ * @param {Array} items - Every item still referenced (e.g. the whole archive)
+ * @param {string} publicPath - URL path of the mirror directory
+ * @returns {number} Files removed
+ */
+function pruneImages(dir, items, publicPath) {
+  if (!fs.existsSync(dir)) return 0;
+
+  const used = new Set();
+  for (const item of items) {
+    for (const ref of [item.image, item.thumbnail]) {
+      if (ref && ref.startsWith(publicPath)) used.add(ref.slice(publicPath.length));
+    }
+  }
+
+  let removed = 0;
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith('.webp') && !used.has(file)) {
+      fs.rmSync(path.join(dir, file));
+      removed++;
+    }
+  }
+
+  const sources = new Set(items.map((item) => item.imageSource).filter(Boolean));
+  const indexFile = path.join(dir, 'index.json');
+  const index = loadIndex(indexFile);
+  for (const url of Object.keys(index)) {
+    if (!sources.has(url)) delete index[url];
+  }
+  writeFileAtomic(indexFile, JSON.stringify(index, null, 2));
+
+  return removed;
+}
+
+module.exports = {
+  mirrorImages, pruneImages, differenceHash, hammingDistance, classifyImage,
+};
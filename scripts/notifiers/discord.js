@@ -0,0 +1,42 @@
+/**
+ * Notification target: Discord webhook.
+ * Requires DISCORD_WEBHOOK_URL (Server Settings -> Integrations -> Webhooks).
+ * The URL may point at a mock server for testing.
+ */
+
+const http = require('../http');
+
+/**
+ * Webhook URL with the secret token hidden, for logs.
+ * @param {string} url - Webhook URL
+ * @returns {string} e.g. "https://discord.com/api/webhooks/123/***"
+ */
+function redact(url) {
+  return url.replace(/\/webhooks\/(\d+)\/[^/?]+/, '/webhooks/$1/***');
+}
+
+/**
+ * Post the digest's webhook payload (one message, up to 10 embeds).
+ * @param {Object} digest - See notify.buildDigest()
+ * @throws {Error} If Discord does not accept the message
+ */
+async function send(digest) {
+  const url = process.env.DISCORD_WEBHOOK_URL;
+  // ?wait=true makes Discord confirm the message was created
+  const target = `${url}${url.includes('?') ? '&' : '?'}wait=true`;
+  await http.post(target, digest.discord, {
+    timeout: 15000,
+    retries: 0,
+    logUrl: redact(target),
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+module.exports = {
+  name: 'discord',
+  // Discord allows 10 embeds per message
+  maxBatchSize: 10,
+  isAvailable: () => Boolean(process.env.DISCORD_WEBHOOK_URL),
+  send,
+  redact,
+};
@@ -0,0 +1,51 @@
+/**
+ * Notification target: email digest through an HTTP email API.
+ * Requires EMAIL_API_KEY, EMAIL_FROM and EMAIL_TO (comma-separated). The
+ * request is Resend-compatible (POST { from, to, subject, text, html } with
+ * a Bearer key); EMAIL_API_URL points it at another compatible endpoint or
+ * a mock server for testing.
+ */
+
+const http = require('../http');
+
+const DEFAULT_API_URL = 'https://api.resend.com/emails';
+
+/**
+ * Recipients from EMAIL_TO.
+ * @returns {string[]} Email addresses
+ */
+function recipients() {
+  return (process.env.EMAIL_TO || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Send the digest as one multipart (plain text + HTML) email.
+ * @param {Object} digest - See notify.buildDigest()
+ * @throws {Error} If the API does not accept the email
+ */
+async function send(digest) {
+  await http.post(process.env.EMAIL_API_URL || DEFAULT_API_URL, {
+    from: process.env.EMAIL_FROM,
+    to: recipients(),
+    subject: digest.subject,
+    text: digest.text,
+    html: digest.html,
+  }, {
+    timeout: 15000,
+    retries: 0,
+    headers: {
+      Authorization: `Bearer ${process.env.EMAIL_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+  });
+}
+
+module.exports = {
+  name: 'email',
+  maxBatchSize: Infinity,
+  isAvailable: () => Boolean(process.env.EMAIL_API_KEY && process.env.EMAIL_FROM && recipients().length > 0),
+  send,
+};
@@ -0,0 +1,31 @@
+/**
+ * Notification target: local files, for testing and previews.
+ * Requires NOTIFY_FILE_DIR. Every digest is written there as
+ * <timestamp>-<n>.json (subject, item ids, text, html, Discord payload)
+ * plus the HTML body as <timestamp>-<n>.html to open in a browser.
+ */
+
+const path = require('path');
+const { writeFileAtomic } = require('../output');
+
+let sent = 0;
+
+/**
+ * Write the digest to NOTIFY_FILE_DIR.
+ * @param {Object} digest - See notify.buildDigest()
+ */
+async function send(digest) {
+  const dir = process.env.NOTIFY_FILE_DIR;
+  sent++;
+  const base = `${digest.runAt.replace(/[:.]/g, '-')}-${sent}`;
+  writeFileAtomic(path.join(dir, `${base}.json`), JSON.stringify(digest, null, 2));
+  writeFileAtomic(path.join(dir, `${base}.html`), digest.html);
+  console.log(`    Digest written to ${path.join(dir, `${base}.json`)}`);
+}
+
+module.exports = {
+  name: 'file',
+  maxBatchSize: Infinity,
+  isAvailable: () => Boolean(process.env.NOTIFY_FILE_DIR),
+  send,
+};
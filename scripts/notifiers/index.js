@@ -0,0 +1,81 @@
+/**
+ * Notification target registry.
+ *
+ * Every other file in this directory is a delivery target for digests of
+ * newly collected items (see notify.js). A target module exports:
+ *
+ *   {
+ *     name: 'discord',
+ *     maxBatchSize: 10,             // max items per digest (Infinity for no limit)
+ *     isAvailable: () => boolean,   // e.g. false when the webhook URL is missing
+ *     send: async (digest) => void, // throws when the digest was not delivered
+ *   }
+ *
+ * A digest is the output of notify.buildDigest(): subject, plain-text and
+ * HTML bodies and a Discord webhook payload for one batch of items. Targets
+ * read their settings (URLs, keys, addresses) from the environment, so a
+ * target can be pointed at a local file or a mock HTTP server for testing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let targets = null;
+
+/**
+ * Load all target modules in this directory (once).
+ * @returns {Map<string, Object>} Targets keyed by name
+ */
+function loadTargets() {
+  if (targets) return targets;
+  targets = new Map();
+
+  const files = fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    const target = require(path.join(__dirname, file));
+    if (!target.name || typeof target.send !== 'function') {
+      throw new Error(`Invalid notification target ${file}: must export name and send`);
+    }
+    targets.set(target.name, target);
+  }
+
+  return targets;
+}
+
+/**
+ * Look up a target by name.
+ * @param {string} name - Target name (e.g. 'discord', 'email', 'file')
+ * @returns {Object|null} Target module or null if unknown
+ */
+function getTarget(name) {
+  return loadTargets().get(name) || null;
+}
+
+/**
+ * Resolve a list of target names into the targets that can be used.
+ * Unknown names are an error; unavailable targets (e.g. Discord without a
+ * webhook URL) are skipped with a note.
+ * @param {string[]} names - Target names
+ * @returns {Object[]} Available targets
+ * @throws {Error} If a name is unknown
+ */
+function resolveTargets(names) {
+  const resolved = [];
+  for (const name of names) {
+    const target = getTarget(name);
+    if (!target) {
+      throw new Error(`Unknown notification target "${name}" (known: ${Array.from(loadTargets().keys()).join(', ')})`);
+    }
+    if (target.isAvailable && !target.isAvailable()) {
+      console.log(`  Notification target ${name} not configured, skipping`);
+      continue;
+    }
+    resolved.push(target);
+  }
+  return resolved;
+}
+
+module.exports = { getTarget, resolveTargets };
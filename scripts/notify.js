@@ -0,0 +1,231 @@
+/**
+ * Digest notifications for newly collected items.
+ *
+ * After a run has written news.json, live items that a target has not been
+ * told about yet are sent to every configured target (config.NOTIFY.targets,
+ * see scripts/notifiers/): a Discord webhook message with one embed per item
+ * and a plain-text + HTML email digest (templates/digest-email.html).
+ *
+ * Notifications are never sent twice: NOTIFY.stateFile records, per target,
+ * every item id already delivered, and ids are only recorded once the
+ * target accepted the digest (a failed send is retried on the next run).
+ * The first run with a new target records the current items without
+ * sending them, so enabling a target does not post the whole live view.
+ * Ids are forgotten NOTIFY.retentionDays after they were sent, unless the
+ * item is still live.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveTargets } = require('./notifiers');
+const { fillTemplate, escapeHtml, articleFileName } = require('./articles');
+const { formatEventPeriod } = require('./fetch-products');
+const { writeFileAtomic } = require('./output');
+
+const TEMPLATE_FILE = path.join(__dirname, 'templates', 'digest-email.html');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Discord embed limits
+const EMBED_TITLE_MAX = 256;
+const EMBED_DESCRIPTION_MAX = 300;
+const EMBED_COLOR = 0xef4444;
+
+/**
+ * Shorten text to a maximum length with an ellipsis.
+ * @param {string} text
+ * @param {number} max - Maximum length
+ * @returns {string} Text of at most max characters
+ */
+function truncate(text, max) {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+/**
+ * Read the notification state, if any.
+ * @param {string} file - State file path
+ * @returns {Object} { targets: { <name>: { since, sent: { <id>: sentAt } } } }
+ */
+function loadNotifyState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return { targets: {} };
+  }
+}
+
+/**
+ * Build the digest for a batch of items in every format the targets use.
+ * @param {Array} items - Output items to announce
+ * @param {Object} options
+ * @param {string} options.runAt - ISO run time
+ * @param {Object} options.meta - config.FEEDS (site URLs)
+ * @param {string} options.articleBaseUrl - config.ARTICLES.baseUrl
+ * @returns {Object} { runAt, itemIds, subject, text, html, discord }
+ */
+function buildDigest(items, { runAt, meta, articleBaseUrl }) {
+  const heading = items.length === 1
+    ? '1 new store-exclusive event in Japan'
+    : `${items.length} new store-exclusive events in Japan`;
+
+  const entries = items.map((item) => ({
+    item,
+    url: new URL(articleFileName(item), articleBaseUrl).href,
+    period: formatEventPeriod(item.eventStart, item.eventEnd),
+    image: item.image ? new URL(item.thumbnail || item.image, meta.siteUrl).href : null,
+  }));
+
+  const text = [
+    heading,
+    '',
+    ...entries.flatMap(({ item, url, period }, i) => [
+      `${i + 1}. ${item.title}`,
+      ...[item.storeTag ? `   Where: ${item.storeTag}` : null, period ? `   When: ${period}` : null].filter(Boolean),
+      `   ${url}`,
+      '',
+    ]),
+    `See every current event: ${meta.homePageUrl}`,
+  ].join('\n');
+
+  const itemsHtml = entries.map(({
+    item, url, period, image,
+  }) => {
+    const details = [item.storeTag ? `📍 ${item.storeTag}` : null, period ? `📅 ${period}` : null]
+      .filter(Boolean)
+      .map(escapeHtml)
+      .join(' &nbsp; ');
+    return [
+      '                    <tr>',
+      '                        <td style="padding:16px 24px;border-top:1px solid #e5e7eb;">',
+      image ? `                            <a href="${escapeHtml(url)}"><img src="${escapeHtml(image)}" alt="" width="552" style="display:block;width:100%;max-width:552px;border-radius:8px;margin-bottom:12px;"></a>` : null,
+      `                            <a href="${escapeHtml(url)}" style="font-size:16px;font-weight:600;color:#111827;text-decoration:none;">${escapeHtml(item.title)}</a>`,
+      details ? `                            <p style="margin:6px 0 0;font-size:13px;color:#6b7280;">${details}</p>` : null,
+      item.summary ? `                            <p style="margin:6px 0 0;font-size:14px;">${escapeHtml(truncate(item.summary, 200))}</p>` : null,
+      '                        </td>',
+      '                    </tr>',
+    ].filter((line) => line !== null).join('\n');
+  }).join('\n');
+
+  const html = fillTemplate(fs.readFileSync(TEMPLATE_FILE, 'utf-8'), {
+    subject: heading,
+    heading,
+    itemsHtml,
+    homePageUrl: meta.homePageUrl,
+  });
+
+  const discord = {
+    username: 'JapanCulture',
+    content: `**${heading}**`,
+    allowed_mentions: { parse: [] },
+    embeds: entries.map(({
+      item, url, period, image,
+    }) => ({
+      title: truncate(item.title, EMBED_TITLE_MAX),
+      url,
+      description: truncate(item.summary, EMBED_DESCRIPTION_MAX),
+      color: EMBED_COLOR,
+      fields: [
+        ...(item.storeTag ? [{ name: 'Where', value: item.storeTag, inline: true }] : []),
+        ...(period ? [{ name: 'When', value: period, inline: true }] : []),
+      ],
+      ...(image ? { thumbnail: { url: image } } : {}),
+      footer: { text: item.source },
+      ...(item.publishedAt ? { timestamp: new Date(item.publishedAt).toISOString() } : {}),
+    })),
+  };
+
+  return {
+    runAt,
+    itemIds: items.map((item) => item.id),
+    subject: heading,
+    text,
+    html,
+    discord,
+  };
+}
+
+/**
+ * Split a list into batches.
+ * @param {Array} list
+ * @param {number} size - Batch size (Infinity for one batch)
+ * @returns {Array<Array>} Batches
+ */
+function batches(list, size) {
+  if (list.length === 0) return [];
+  if (!Number.isFinite(size)) return [list];
+  const result = [];
+  for (let i = 0; i < list.length; i += size) result.push(list.slice(i, i + size));
+  return result;
+}
+
+/**
+ * Send the items each target has not seen yet and record what was sent.
+ * @param {Array} items - Live items of this run (news.json order)
+ * @param {Object} options
+ * @param {string} options.runAt - ISO run time
+ * @param {Object} options.settings - config.NOTIFY: { targets, stateFile, maxItems, retentionDays }
+ * @param {Object} options.meta - config.FEEDS
+ * @param {string} options.articleBaseUrl - config.ARTICLES.baseUrl
+ * @returns {Promise<Object<string, number>>} Items sent per target
+ */
+async function notifyNewItems(items, {
+  runAt, settings, meta, articleBaseUrl,
+}) {
+  const targets = resolveTargets(settings.targets);
+  if (targets.length === 0) {
+    console.log('  No notification target configured');
+    return {};
+  }
+  const hasState = fs.existsSync(settings.stateFile);
+  const state = loadNotifyState(settings.stateFile);
+  state.targets = state.targets || {};
+  if (!hasState) {
+    console.warn(`  [WARN] No notification state in ${settings.stateFile}; current items are recorded as already sent`);
+  }
+  const live = new Set(items.map((item) => item.id));
+  const sentCounts = {};
+
+  for (const target of targets) {
+    sentCounts[target.name] = 0;
+
+    if (!state.targets[target.name]) {
+      state.targets[target.name] = {
+        since: runAt,
+        sent: Object.fromEntries(items.map((item) => [item.id, runAt])),
+      };
+      writeFileAtomic(settings.stateFile, JSON.stringify(state, null, 2));
+      console.log(`  ${target.name}: first run, ${items.length} current items marked as already notified`);
+      continue;
+    }
+
+    const record = state.targets[target.name];
+    const cutoff = new Date(runAt).getTime() - settings.retentionDays * DAY_MS;
+    for (const [id, sentAt] of Object.entries(record.sent)) {
+      if (!live.has(id) && new Date(sentAt).getTime() < cutoff) delete record.sent[id];
+    }
+
+    const pending = items.filter((item) => !record.sent[item.id]);
+    const toSend = pending.slice(0, settings.maxItems);
+    if (pending.length > toSend.length) {
+      console.log(`  ${target.name}: ${pending.length - toSend.length} more items held for the next run`);
+    }
+
+    for (const batch of batches(toSend, target.maxBatchSize)) {
+      try {
+        await target.send(buildDigest(batch, { runAt, meta, articleBaseUrl }));
+      } catch (err) {
+        console.error(`  [ERROR] ${target.name}: digest not delivered (${err.message}); will retry next run`);
+        break;
+      }
+      for (const item of batch) record.sent[item.id] = runAt;
+      sentCounts[target.name] += batch.length;
+      writeFileAtomic(settings.stateFile, JSON.stringify(state, null, 2));
+    }
+    console.log(`  ${target.name}: ${sentCounts[target.name]} new items sent`);
+  }
+
+  writeFileAtomic(settings.stateFile, JSON.stringify(state, null, 2));
+  return sentCounts;
+}
+
+module.exports = { buildDigest, notifyNewItems, loadNotifyState };
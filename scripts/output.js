@@ -0,0 +1,135 @@
+/**
+ * Output validation, regression guard and atomic writes for news.json.
+ *
+ * Before news.json is replaced, the new output must:
+ *   1. Match the JSON Schema in data/news.schema.json
+ *   2. Not look like a broken run compared to the previous file:
+ *      - item count dropped sharply (e.g. every source failed)
+ *      - a field most items used to have is now mostly missing
+ *      - most images disappeared
+ *
+ * Files are written to a temp file and renamed into place, so the widget
+ * never reads a half-written file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const schema = require('./data/news.schema.json');
+const { upgradeItem } = require('./bilingual');
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Validate an output object against the news.json schema.
+ * @param {Object} output - { lastUpdated, count, items }
+ * @returns {string[]} Error messages (empty if valid)
+ */
+function validateOutput(output) {
+  const errors = [];
+  if (!validateSchema(output)) {
+    for (const err of validateSchema.errors) {
+      errors.push(`${err.instancePath || '/'} ${err.message}`);
+    }
+  }
+  if (output && Array.isArray(output.items) && output.count !== output.items.length) {
+    errors.push(`/count is ${output.count} but there are ${output.items.length} items`);
+  }
+  return errors;
+}
+
+/**
+ * Check whether a field value is set: non-null, non-empty, and for a
+ * bilingual { ja, en } value, text in at least one language.
+ * @param {*} value
+ * @returns {boolean} True if set
+ */
+function isPresent(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (typeof value === 'object' && !Array.isArray(value)) return Object.values(value).some(isPresent);
+  return true;
+}
+
+/**
+ * Share of items where a field is set (see isPresent()).
+ * @param {Array} items
+ * @param {string} field
+ * @returns {number} Ratio in [0, 1] (0 for an empty list)
+ */
+function presentRatio(items, field) {
+  if (items.length === 0) return 0;
+  const present = items.filter((item) => isPresent(item[field]));
+  return present.length / items.length;
+}
+
+/**
+ * Compare new output with the previous news.json and flag likely regressions.
+ * @param {Object|null} previous - Previous output (null if none)
+ * @param {Object} next - New output
+ * @param {Object} guard - Thresholds (config.OUTPUT_GUARD)
+ * @param {number} guard.minCountRatio - New count must be at least this share of the old count
+ * @param {number} guard.minFieldRatio - A field's presence must not fall below this share of its old presence
+ * @param {string[]} guard.fields - Fields whose presence is compared (e.g. publishedAt, image)
+ * @returns {string[]} Problems found (empty if the new output looks healthy)
+ */
+function checkRegression(previous, next, guard) {
+  if (!previous || !Array.isArray(previous.items) || previous.items.length === 0) return [];
+
+  const problems = [];
+  const prevCount = previous.items.length;
+  const nextCount = next.items.length;
+
+  if (nextCount < prevCount * guard.minCountRatio) {
+    problems.push(`item count dropped from ${prevCount} to ${nextCount}`);
+  }
+
+  if (nextCount > 0) {
+    for (const field of guard.fields) {
+      const before = presentRatio(previous.items, field);
+      const after = presentRatio(next.items, field);
+      if (before > 0 && after < before * guard.minFieldRatio) {
+        problems.push(`"${field}" present on ${Math.round(after * 100)}% of items (was ${Math.round(before * 100)}%)`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read the previous output file, if any. Items written before the output
+ * was bilingual are upgraded (bilingual.upgradeItem()).
+ * @param {string} file - news.json path
+ * @returns {Object|null} Parsed output or null if missing/unreadable
+ */
+function readPrevious(file) {
+  let previous;
+  try {
+    previous = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return null;
+  }
+  if (Array.isArray(previous.items)) previous.items = previous.items.map(upgradeItem);
+  return previous;
+}
+
+/**
+ * Write a file atomically: write to a temp file next to it, then rename.
+ * @param {string} file - Destination path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, content, 'utf-8');
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { validateOutput, checkRegression, readPrevious, writeFileAtomic };
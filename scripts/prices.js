@@ -0,0 +1,129 @@
+/**
+ * JPY price extraction from Japanese text.
+ *
+ * Goods and cafe posts quote prices in prose, e.g.
+ *   「各550円(税込)」 「1,500円+税」 「税込価格：1,650円」 「￥１，１００」
+ *   「500～1,000円」 「1万2,000円(税抜)」
+ *
+ * extractPrices() collects every amount in the title, summary and content
+ * and returns { currency: 'JPY', min, max, taxIncluded }. taxIncluded is
+ * true for 税込, false for 税抜/税別/+税/本体価格 and null when the text
+ * does not say. When a post gives both ("1,500円+税(税込1,650円)") only the
+ * tax-inclusive amounts are used. Amounts that are purchase thresholds
+ * ("3,000円以上お買い上げで") or shipping are not prices and are skipped.
+ *
+ * Runs in the source enrichment step (sources/index.js), before
+ * translation, so it always sees the original Japanese.
+ */
+
+const { THRESHOLD_SUFFIX } = require('./sales');
+
+const NUM = '\\d{1,3}(?:,\\d{3})+|\\d+';
+
+// 550円 / 1万2,000円 / ¥550, optionally preceded by the low end of a range (500~)
+const AMOUNT_RE = new RegExp(
+  `(?:(${NUM})\\s*[~〜\\-–－]\\s*)?(?:¥\\s*(${NUM})|(?:(${NUM})万(${NUM})?|(${NUM}))円)`,
+  'g'
+);
+
+const CONTEXT = 8;
+const TAX_INCLUDED_BEFORE = /税込(?:み)?(?:価格)?[:\s]*$/;
+const TAX_EXCLUDED_BEFORE = /(?:税抜(?:き)?|税別|本体)(?:価格)?[:\s]*$/;
+const TAX_INCLUDED_AFTER = /^\s*[(\[]?\s*税込/;
+const TAX_EXCLUDED_AFTER = /^\s*(?:[(\[]\s*(?:税抜|税別)|\+\s*税|\(\s*\+\s*税)/;
+// Purchase thresholds as sales.js reads them, plus "3,000円分" (worth of)
+const THRESHOLD_AFTER = new RegExp(`^(?:${THRESHOLD_SUFFIX}|\\s*(?:\\([^)]*\\))?\\s*分)`);
+const NOT_PRICE_BEFORE = /送料[^。]*$/;
+
+const MIN_PRICE = 10;
+const MAX_PRICE = 1000000;
+
+/**
+ * Parse "1,650" into 1650.
+ * @param {string} text - Digits with optional thousands separators
+ * @returns {number} Value
+ */
+function toNumber(text) {
+  return Number(text.replace(/,/g, ''));
+}
+
+/**
+ * Find every price in one text.
+ * @param {string} raw - Text (full-width characters are normalized)
+ * @returns {Array<{value: number, taxIncluded: boolean|null}>} Amounts in order
+ */
+function findAmounts(raw) {
+  const text = String(raw || '').normalize('NFKC');
+  const amounts = [];
+
+  AMOUNT_RE.lastIndex = 0;
+  let match;
+  while ((match = AMOUNT_RE.exec(text)) !== null) {
+    const [whole, low, yenSign, man, manRest, plain] = match;
+    const before = text.slice(Math.max(0, match.index - CONTEXT), match.index);
+    const end = match.index + whole.length;
+    const after = text.slice(end, end + CONTEXT);
+    if (THRESHOLD_AFTER.test(text.slice(end)) || NOT_PRICE_BEFORE.test(before)) continue;
+
+    let taxIncluded = null;
+    if (TAX_INCLUDED_BEFORE.test(before) || TAX_INCLUDED_AFTER.test(after)) taxIncluded = true;
+    else if (TAX_EXCLUDED_BEFORE.test(before) || TAX_EXCLUDED_AFTER.test(after)) taxIncluded = false;
+
+    let value;
+    if (yenSign) value = toNumber(yenSign);
+    else if (man) value = toNumber(man) * 10000 + (manRest ? toNumber(manRest) : 0);
+    else value = toNumber(plain);
+
+    for (const amount of low ? [toNumber(low), value] : [value]) {
+      if (amount >= MIN_PRICE && amount <= MAX_PRICE) amounts.push({ value: amount, taxIncluded });
+    }
+  }
+
+  return amounts;
+}
+
+/**
+ * Extract the price range quoted in an item's text.
+ * @param {Object} fields
+ * @param {string} [fields.title]
+ * @param {string} [fields.summary]
+ * @param {string} [fields.content] - Plain-text body
+ * @returns {{currency: string, min: number, max: number, taxIncluded: boolean|null}|null}
+ *   Price range, or null when the text quotes no price
+ */
+function extractPrices({ title, summary, content }) {
+  const amounts = [title, summary, content].flatMap(findAmounts);
+  if (amounts.length === 0) return null;
+
+  const included = amounts.filter((amount) => amount.taxIncluded === true);
+  const excluded = amounts.filter((amount) => amount.taxIncluded === false);
+  let used = amounts;
+  let taxIncluded = null;
+  if (included.length > 0) {
+    used = included;
+    taxIncluded = true;
+  } else if (excluded.length > 0 && excluded.length === amounts.length) {
+    used = excluded;
+    taxIncluded = false;
+  }
+
+  const values = used.map((amount) => amount.value);
+  return {
+    currency: 'JPY',
+    min: Math.min(...values),
+    max: Math.max(...values),
+    taxIncluded,
+  };
+}
+
+/**
+ * Set `prices` from the item text when the source did not provide them.
+ * @param {Object} item - Normalized item (may carry a plain-text `content`)
+ * @returns {Object} Item with prices (null when none was found)
+ */
+function fillPrices(item) {
+  if (item.prices) return item;
+  return { ...item, prices: extractPrices(item) };
+}
+
+module.exports = { extractPrices, fillPrices };
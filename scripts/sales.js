@@ -0,0 +1,131 @@
+/**
+ * How an item can be obtained, from Japanese text.
+ *
+ * Goods and bonus posts explain the sales rules in prose, e.g.
+ *   「先着順での販売となります」 「抽選販売」 「整理券を配布いたします」
+ *   「税込3,000円ごとに1枚プレゼント」 「お一人様各2点まで」 「完全予約制」
+ *
+ * extractSalesDetails() turns them into:
+ *   - salesMethod:         methods mentioned, in order of appearance:
+ *                          'first-come', 'lottery', 'numbered-ticket',
+ *                          'pre-order' ([] when the text says nothing)
+ *   - bonusThresholdJpy:   lowest purchase amount that earns a bonus
+ *                          ("3,000円ごとに", "5,000円以上お買い上げで")
+ *   - perPersonLimit:      lowest per-person (or per-checkout) purchase limit
+ *   - requiresReservation: true for 予約制/要予約, false for 予約不要,
+ *                          null when the text does not say
+ *
+ * Runs in the source enrichment step (sources/index.js), before
+ * translation, so it always sees the original Japanese.
+ */
+
+const NUM = '\\d{1,3}(?:,\\d{3})+|\\d+';
+
+// Method id -> patterns, checked against the NFKC-normalized text
+const SALES_METHODS = {
+  'first-come': /先着|first[- ]come/i,
+  lottery: /抽選|lottery|raffle/i,
+  'numbered-ticket': /整理券|numbered ticket/i,
+  'pre-order': /受注生産|受注販売|予約販売|made[- ]to[- ]order|pre-?order/i,
+};
+
+// What follows an amount that is a purchase threshold: 以上 / ごと / 毎,
+// optionally through お買い上げ. Shared with prices.js, which skips these amounts.
+const THRESHOLD_SUFFIX = '\\s*(?:\\([^)]*\\))?\\s*'
+  + '(?:以上|ごと|毎|(?:お買い?上げ|お買い?求め|ご購入|購入|お会計)\\s*(?:ごと|毎|で))';
+
+// 「税込3,000円ごとに」 「3,000円(税込)以上お買い上げで」 「1,100円お買い上げ毎に」
+const THRESHOLD_RE = new RegExp(`(?:(${NUM})万(${NUM})?|(${NUM}))円${THRESHOLD_SUFFIX}`, 'g');
+
+// 「お一人様2点まで」 「1人につき各1個限り」 「1会計あたり3点まで」 「おひとり様一回限り」
+const LIMIT_RE = new RegExp(
+  '(?:お?(?:(?:1|一)(?:人|名)|ひとり)様?|1会計)\\s*(?:につき|あたり|当たり)?\\s*(?:各)?\\s*'
+  + '([0-9]+|[一二三四五六七八九十])\\s*(?:点|個|枚|つ|セット|口|回|冊|本|種)\\s*(?:まで|限り|迄)',
+  'g'
+);
+const LIMIT_EN_RE = /limit(?:ed to)?\s+(\d+)\s+(?:\w+\s+)?per (?:person|customer)/gi;
+
+const RESERVATION_REQUIRED = /予約制|要予約|予約が必要|予約必須|事前予約が必要|reservations? required/i;
+const RESERVATION_NOT_REQUIRED = /予約不要|予約なしで|予約無しで|no reservations? (?:required|needed)/i;
+
+const KANJI_DIGITS = '一二三四五六七八九十';
+
+/**
+ * Parse "3,000" or a single kanji numeral ("二") into a number.
+ * @param {string} text - Digits with optional thousands separators, or 一..十
+ * @returns {number} Value
+ */
+function toNumber(text) {
+  const kanji = KANJI_DIGITS.indexOf(text);
+  if (kanji !== -1) return kanji + 1;
+  return Number(text.replace(/,/g, ''));
+}
+
+/**
+ * Collect every numeric capture of a global regex.
+ * @param {RegExp} re - Global pattern
+ * @param {string} text - Normalized text
+ * @param {Function} value - (match) => number
+ * @returns {number[]} Values in order
+ */
+function collect(re, text, value) {
+  const values = [];
+  re.lastIndex = 0;
+  let match;
+  while ((match = re.exec(text)) !== null) values.push(value(match));
+  return values;
+}
+
+/**
+ * Extract the sales rules stated in an item's text.
+ * @param {Object} fields
+ * @param {string} [fields.title]
+ * @param {string} [fields.summary]
+ * @param {string} [fields.content] - Plain-text body
+ * @returns {{salesMethod: string[], bonusThresholdJpy: number|null,
+ *   perPersonLimit: number|null, requiresReservation: boolean|null}} Sales details
+ */
+function extractSalesDetails({ title, summary, content }) {
+  const text = [title, summary, content].filter(Boolean).join('\n').normalize('NFKC');
+
+  const salesMethod = Object.entries(SALES_METHODS)
+    .map(([method, pattern]) => ({ method, index: text.search(pattern) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)
+    .map(({ method }) => method);
+
+  const thresholds = collect(THRESHOLD_RE, text, ([, man, manRest, plain]) => (man
+    ? toNumber(man) * 10000 + (manRest ? toNumber(manRest) : 0)
+    : toNumber(plain))).filter((amount) => amount > 0);
+
+  const limits = [
+    ...collect(LIMIT_RE, text, (match) => toNumber(match[1])),
+    ...collect(LIMIT_EN_RE, text, (match) => toNumber(match[1])),
+  ].filter((limit) => limit > 0);
+
+  let requiresReservation = null;
+  if (RESERVATION_NOT_REQUIRED.test(text)) requiresReservation = false;
+  else if (RESERVATION_REQUIRED.test(text)) requiresReservation = true;
+
+  return {
+    salesMethod,
+    bonusThresholdJpy: thresholds.length > 0 ? Math.min(...thresholds) : null,
+    perPersonLimit: limits.length > 0 ? Math.min(...limits) : null,
+    requiresReservation,
+  };
+}
+
+/**
+ * Set the sales details from the item text when the source did not provide them.
+ * @param {Object} item - Normalized item (may carry a plain-text `content`)
+ * @returns {Object} Item with salesMethod, bonusThresholdJpy, perPersonLimit
+ *   and requiresReservation
+ */
+function fillSalesDetails(item) {
+  if (item.salesMethod) return item;
+  return { ...item, ...extractSalesDetails(item) };
+}
+
+module.exports = {
+  extractSalesDetails, fillSalesDetails, SALES_METHODS, THRESHOLD_SUFFIX,
+};
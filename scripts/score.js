@@ -0,0 +1,94 @@
+/**
+ * Relevance scoring for the live view.
+ *
+ * news.json holds MAX_ITEMS items, and sorting by publishedAt alone lets a
+ * fresh generic article push out a still-running store exclusive. Instead
+ * each live item gets a score from proxy-relevant signals:
+ *   - keywords: 限定 (limited), 特典 (bonus), 先着 (first-come), 抽選 (lottery),
+ *     in either language of the title and summary
+ *   - routeStore: one of the item's venues is on our Friday route (venues.js)
+ *   - endingSoon: the event ends within SCORING.endingSoonDays (scaled)
+ *   - running: the event has started and is not over
+ *   - image: the item has an image
+ *   - recency: published within SCORING.recencyDays (scaled)
+ *
+ * Weights and keywords live in config.SCORING. Every item in news.json
+ * carries `score` and `scoreFactors` (signal -> points, non-zero only) so
+ * a ranking can be explained.
+ */
+
+const { allTexts } = require('./bilingual');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round points to two decimals so scores stay readable in news.json.
+ * @param {number} value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute an item's score and the points each signal contributed.
+ * @param {Object} item - Archived/output item
+ * @param {Object} options
+ * @param {Date} options.now - Run time
+ * @param {Object} options.scoring - config.SCORING
+ * @returns {{score: number, scoreFactors: Object<string, number>}} Score and non-zero factors
+ */
+function scoreItem(item, { now, scoring }) {
+  const { weights, keywords } = scoring;
+  const text = [...allTexts(item.title), ...allTexts(item.summary)]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const nowMs = now.getTime();
+  const factors = {};
+
+  for (const [signal, words] of Object.entries(keywords)) {
+    if (words.some((word) => text.includes(word.toLowerCase()))) factors[signal] = weights[signal] || 0;
+  }
+
+  if ((item.venues || []).some((venue) => venue.onRoute)) factors.routeStore = weights.routeStore;
+
+  const start = item.eventStart ? new Date(item.eventStart).getTime() : null;
+  const end = item.eventEnd ? new Date(item.eventEnd).getTime() : null;
+  if (end !== null && end >= nowMs) {
+    const daysLeft = (end - nowMs) / DAY_MS;
+    if (daysLeft <= scoring.endingSoonDays) {
+      factors.endingSoon = weights.endingSoon * (1 - daysLeft / scoring.endingSoonDays);
+    }
+    if (start !== null && start <= nowMs) factors.running = weights.running;
+  }
+
+  if (item.image) factors.image = weights.image;
+
+  if (item.publishedAt) {
+    const ageDays = Math.max(0, (nowMs - new Date(item.publishedAt).getTime()) / DAY_MS);
+    factors.recency = weights.recency * Math.max(0, 1 - ageDays / scoring.recencyDays);
+  }
+
+  const scoreFactors = {};
+  for (const [signal, points] of Object.entries(factors)) {
+    if (points > 0) scoreFactors[signal] = round(points);
+  }
+  const score = round(Object.values(scoreFactors).reduce((sum, points) => sum + points, 0));
+  return { score, scoreFactors };
+}
+
+/**
+ * Score items and sort them by score (highest first), newest first on ties.
+ * @param {Array} items - Live items
+ * @param {Object} options - See scoreItem()
+ * @returns {Array} New item objects with score and scoreFactors
+ */
+function rankItems(items, options) {
+  return items
+    .map((item) => ({ ...item, ...scoreItem(item, options) }))
+    .sort((a, b) => (b.score - a.score)
+      || (new Date(b.publishedAt || 0).getTime() - new Date(a.publishedAt || 0).getTime()));
+}
+
+module.exports = { scoreItem, rankItems };
@@ -0,0 +1,72 @@
+/**
+ * Source adapter: Animate Cafe JSON API.
+ * Response may be a plain array or wrapped in a data object.
+ * Only events with status === "PUBLISHED" are kept.
+ */
+
+const http = require('../http');
+const { formatEventPeriod } = require('../fetch-products');
+const { generateId, stripHtml, truncate } = require('../fetch-rss');
+
+/**
+ * Fetch raw event objects from the Animate Cafe API.
+ * @param {Object} source - Resolved source configuration
+ * @returns {Promise<Array>} Raw cafe event objects
+ */
+async function fetchAnimateCafe(source) {
+  const res = await http.get(source.url);
+
+  // Handle both array and wrapped responses
+  return Array.isArray(res.data) ? res.data : (res.data?.data || res.data?.events || []);
+}
+
+/**
+ * Normalize an Animate Cafe event into a news item.
+ * @param {Object} event - Raw cafe event object
+ * @param {Object} source - Resolved source configuration
+ * @returns {Object|null} Normalized item, or null for unpublished/incomplete events
+ */
+function normalizeAnimateCafe(event, source) {
+  // Only include published events
+  if (event.status && event.status !== 'PUBLISHED') return null;
+
+  const title = event.name || '';
+  const slug = event.slug || '';
+  const link = slug ? `https://animatecafe.jp/events/${slug}` : '';
+  if (!title || !link) return null;
+
+  const image = event.image?.url || null;
+  const period = formatEventPeriod(event.eventStartsAt, event.eventEndsAt);
+  const descText = stripHtml(event.description || '');
+  const summary = period
+    ? `${period} | ${descText.slice(0, 150)}`
+    : truncate(descText, 200);
+
+  return {
+    id: generateId(link),
+    title,
+    summary,
+    link,
+    image,
+    source: source.name,
+    storeTag: source.storeTag,
+    publishedAt: event.eventStartsAt || event.displayStartsAt || null,
+    category: source.category,
+    language: source.language,
+    translated: false,
+    eventStart: event.eventStartsAt || null,
+    eventEnd: event.eventEndsAt || null,
+    content: descText,
+  };
+}
+
+module.exports = {
+  type: 'animate-cafe',
+  defaultCategory: 'cafe',
+  schema: {
+    url: { type: 'string', required: true },
+    storeTag: { type: 'string', default: 'Animate Cafe' },
+  },
+  fetch: fetchAnimateCafe,
+  normalize: normalizeAnimateCafe,
+};
@@ -0,0 +1,74 @@
+/**
+ * Source adapter: Animate WordPress REST API (onlyshop, gratte).
+ * These endpoints return standard WP post objects in JSON.
+ */
+
+const http = require('../http');
+const { isBannerImage, decodeEntities, extractImageFromHtml } = require('../fetch-products');
+const { generateId, stripHtml, truncate } = require('../fetch-rss');
+
+/**
+ * Fetch raw post objects from an Animate WordPress endpoint.
+ * @param {Object} source - Resolved source configuration
+ * @returns {Promise<Array>} Raw WordPress post objects
+ */
+async function fetchAnimateWP(source) {
+  const params = { ...source.params, _embed: true };
+  const res = await http.get(source.url, { params });
+  return Array.isArray(res.data) ? res.data : [];
+}
+
+/**
+ * Normalize an Animate WordPress post into a news item.
+ * @param {Object} post - Raw WordPress post object
+ * @param {Object} source - Resolved source configuration
+ * @returns {Object} Normalized item
+ */
+function normalizeAnimateWP(post, source) {
+  const title = decodeEntities(post.title?.rendered || '');
+  const link = post.link || '';
+
+  // Get featured image from _embedded first, fall back to content HTML
+  const featuredMedia = post._embedded?.['wp:featuredmedia']?.[0];
+  let image = featuredMedia?.source_url
+    || featuredMedia?.media_details?.sizes?.medium?.source_url
+    || extractImageFromHtml(post.content?.rendered)
+    || null;
+
+  // Filter out known banner/ad images
+  if (image && isBannerImage(image)) {
+    image = null;
+  }
+
+  const summary = truncate(
+    stripHtml(post.excerpt?.rendered || post.content?.rendered || ''),
+    200
+  );
+
+  return {
+    id: generateId(link),
+    title,
+    summary,
+    link,
+    image,
+    source: source.name,
+    storeTag: source.storeTag,
+    publishedAt: post.date || post.modified || null,
+    category: source.category,
+    language: source.language,
+    translated: false,
+    content: stripHtml(post.content?.rendered || ''),
+  };
+}
+
+module.exports = {
+  type: 'animate-wp',
+  defaultCategory: 'store-exclusive',
+  schema: {
+    url: { type: 'string', required: true },
+    params: { type: 'object', default: {} },
+    storeTag: { type: 'string', default: 'Animate' },
+  },
+  fetch: fetchAnimateWP,
+  normalize: normalizeAnimateWP,
+};
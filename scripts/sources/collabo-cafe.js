@@ -0,0 +1,97 @@
+/**
+ * Source adapter: collabo-cafe.com WordPress REST API.
+ * Collaboration cafes and events, with start/end dates. Supports
+ * multi-page fetching via source.pages.
+ */
+
+const http = require('../http');
+const {
+  isBannerImage, detectStoreTag, decodeEntities, extractImageFromHtml, formatEventPeriod,
+} = require('../fetch-products');
+const { generateId, stripHtml, truncate } = require('../fetch-rss');
+
+/**
+ * Fetch raw event objects from collabo-cafe.com, all pages at once
+ * (the HTTP client still spaces requests to the host).
+ * A failed page is logged and skipped; the other pages still count.
+ * @param {Object} source - Resolved source configuration
+ * @returns {Promise<Array>} Raw WordPress event objects
+ */
+async function fetchCollaboCafe(source) {
+  const pages = Array.from({ length: source.pages }, (_, i) => i + 1);
+
+  const results = await Promise.all(pages.map(async (page) => {
+    try {
+      const params = { ...source.params, page, _embed: true };
+      const res = await http.get(source.url, { params });
+      console.log(`    Page ${page}: ${res.data.length} events`);
+      return res.data;
+    } catch (err) {
+      console.error(`  [ERROR] ${source.name} page ${page}: ${err.message}`);
+      return [];
+    }
+  }));
+
+  return results.flat();
+}
+
+/**
+ * Normalize a collabo-cafe event into a news item.
+ * @param {Object} event - Raw WordPress event object
+ * @param {Object} source - Resolved source configuration
+ * @returns {Object} Normalized item
+ */
+function normalizeCollaboCafe(event, source) {
+  const title = decodeEntities(event.title?.rendered || '');
+  const link = event.link || '';
+
+  // Get featured image from _embedded (much more reliable than content HTML)
+  const featuredMedia = event._embedded?.['wp:featuredmedia']?.[0];
+  let image = featuredMedia?.source_url
+    || featuredMedia?.media_details?.sizes?.medium?.source_url
+    || extractImageFromHtml(event.content?.rendered)
+    || null;
+
+  // Filter out known banner/ad images
+  if (image && isBannerImage(image)) {
+    image = null;
+  }
+
+  const summary = truncate(
+    stripHtml(event.excerpt?.rendered || event.content?.rendered || ''),
+    200
+  );
+  const period = formatEventPeriod(event.start, event.end);
+
+  // Detect store tag from event content
+  const storeTag = detectStoreTag(title, summary, event.content?.rendered || '');
+
+  return {
+    id: generateId(link),
+    title,
+    summary: period ? `${period} | ${summary}` : summary,
+    link,
+    image,
+    source: source.name,
+    storeTag,
+    publishedAt: event.modified || event.start || null,
+    category: source.category,
+    language: source.language,
+    translated: false,
+    eventStart: event.start || null,
+    eventEnd: event.end || null,
+    content: stripHtml(event.content?.rendered || ''),
+  };
+}
+
+module.exports = {
+  type: 'collabo-cafe',
+  defaultCategory: 'events',
+  schema: {
+    url: { type: 'string', required: true },
+    params: { type: 'object', default: {} },
+    pages: { type: 'number', default: 1 },
+  },
+  fetch: fetchCollaboCafe,
+  normalize: normalizeCollaboCafe,
+};
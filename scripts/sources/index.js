@@ -0,0 +1,227 @@
+/**
+ * Source adapter registry for the collector pipeline.
+ *
+ * Every other file in this directory is a self-contained adapter for one
+ * source type. An adapter module exports:
+ *
+ *   {
+ *     type: 'collabo-cafe',          // matches source.type in config.js
+ *     defaultCategory: 'events',     // used when source.category is omitted
+ *     schema: { url: { type: 'string', required: true }, ... },
+ *     fetch: async (source) => rawRecords[],
+ *     normalize: (raw, source) => item | null,
+ *   }
+ *
+ * normalize() may attach the full plain-text body as `content`; later
+ * pipeline stages read it, but it is not written to news.json. Dates are
+ * returned as the source gives them; fetchSources() normalizes them to JST.
+ *
+ * Adapters are discovered from the filesystem, so adding a new shop means
+ * adding one file here plus an entry in config.js -- no dispatcher edits.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeItemDates } = require('../dates');
+const { fillEventPeriod } = require('../event-period');
+const { fillPrices } = require('../prices');
+const { fillSalesDetails } = require('../sales');
+const { mapWithConcurrency, trackRequests } = require('../http');
+const { HTTP } = require('../config');
+
+/**
+ * Fields every source accepts regardless of its type.
+ * Adapter schemas are merged on top of these.
+ */
+const BASE_SCHEMA = {
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  language: { type: 'string', default: 'ja' },
+  category: { type: 'string' },
+  storeTag: { type: 'string' },
+};
+
+let adapters = null;
+
+/**
+ * Load all adapter modules in this directory (once).
+ * @returns {Map<string, Object>} Adapters keyed by type
+ */
+function loadAdapters() {
+  if (adapters) return adapters;
+  adapters = new Map();
+
+  const files = fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    const adapter = require(path.join(__dirname, file));
+    if (!adapter.type || typeof adapter.fetch !== 'function' || typeof adapter.normalize !== 'function') {
+      throw new Error(`Invalid source adapter ${file}: must export type, fetch and normalize`);
+    }
+    if (adapters.has(adapter.type)) {
+      throw new Error(`Duplicate source adapter type "${adapter.type}" in ${file}`);
+    }
+    adapters.set(adapter.type, adapter);
+  }
+
+  return adapters;
+}
+
+/**
+ * Look up the adapter for a source type.
+ * @param {string} type - Source type (e.g. 'collabo-cafe', 'rss')
+ * @returns {Object|null} Adapter module or null if unknown
+ */
+function getAdapter(type) {
+  return loadAdapters().get(type) || null;
+}
+
+/**
+ * List the registered source types.
+ * @returns {string[]} Source types
+ */
+function listAdapterTypes() {
+  return Array.from(loadAdapters().keys());
+}
+
+/**
+ * Check a value against a single schema field definition.
+ * @param {*} value - Config value
+ * @param {Object} field - { type, required }
+ * @returns {boolean} True if value matches the declared type
+ */
+function matchesType(value, field) {
+  if (field.type === 'array') return Array.isArray(value);
+  if (field.type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === field.type;
+}
+
+/**
+ * Validate a source config against its adapter's schema and fill in defaults.
+ * @param {Object} source - Source configuration from config.js
+ * @returns {Object} Resolved source (copy with defaults applied)
+ * @throws {Error} If the type is unknown or the config does not match the schema
+ */
+function resolveSource(source) {
+  const adapter = getAdapter(source.type);
+  if (!adapter) {
+    throw new Error(`Unknown source type "${source.type}" for ${source.name || 'unnamed source'} (known: ${listAdapterTypes().join(', ')})`);
+  }
+
+  const schema = { ...BASE_SCHEMA, ...(adapter.schema || {}) };
+  const resolved = { ...source };
+
+  for (const [key, field] of Object.entries(schema)) {
+    if (resolved[key] === undefined) {
+      if (field.required) {
+        throw new Error(`Source ${source.name || source.type}: missing required field "${key}"`);
+      }
+      if (field.default !== undefined) {
+        resolved[key] = field.default;
+      }
+      continue;
+    }
+    if (!matchesType(resolved[key], field)) {
+      throw new Error(`Source ${source.name}: field "${key}" must be of type ${field.type}`);
+    }
+  }
+
+  if (!resolved.category) {
+    resolved.category = adapter.defaultCategory || 'events';
+  }
+
+  return resolved;
+}
+
+/**
+ * Fetch and normalize items from a single source, keeping the error.
+ * After the adapter, every item goes through the same enrichment: missing
+ * event periods, JPY prices and sales rules (sales.js) are extracted from the
+ * text, then dates are normalized to JST ISO-8601; invalid or missing dates
+ * are logged.
+ * Errors are logged and result in an empty list so one broken source
+ * never stops the rest of the run.
+ * @param {Object} source - Source configuration from config.js
+ * @returns {Promise<{items: Array, error: string|null}>} Normalized items and error message
+ */
+async function runSource(source) {
+  let resolved;
+  try {
+    resolved = resolveSource(source);
+  } catch (err) {
+    console.error(`  [ERROR] ${err.message}`);
+    return { items: [], error: err.message };
+  }
+
+  const adapter = getAdapter(resolved.type);
+  console.log(`  Fetching: ${resolved.name} (${resolved.type})`);
+
+  try {
+    const records = await adapter.fetch(resolved);
+    const items = [];
+    for (const record of records) {
+      const item = adapter.normalize(record, resolved);
+      if (!item) continue;
+
+      const enriched = fillSalesDetails(fillPrices(fillEventPeriod(item)));
+      const { item: dated, issues } = normalizeItemDates(enriched);
+      for (const issue of issues) {
+        console.warn(`    [DATE] ${resolved.name}: ${issue.field} ${issue.reason} (${JSON.stringify(issue.value)}) in "${item.title}"`);
+      }
+      items.push(dated);
+    }
+    console.log(`    Found ${items.length} items from ${resolved.name}`);
+    return { items, error: null };
+  } catch (err) {
+    console.error(`  [ERROR] ${resolved.name}: ${err.message}`);
+    return { items: [], error: err.message };
+  }
+}
+
+/**
+ * Fetch and normalize items from a single source (see runSource()).
+ * @param {Object} source - Source configuration from config.js
+ * @returns {Promise<Array>} Normalized items
+ */
+async function fetchSource(source) {
+  return (await runSource(source)).items;
+}
+
+/**
+ * Fetch a list of sources and report how each one went.
+ * Up to HTTP.sourceConcurrency sources run in parallel; results keep the
+ * order of the source list.
+ * @param {Array} sources - Source configurations
+ * @returns {Promise<Array<{name: string, type: string, items: Array, error: string|null,
+ *   ms: number, requests: Array}>>} One result per source; requests come from http.trackRequests()
+ */
+async function fetchSourcesWithStatus(sources) {
+  return mapWithConcurrency(sources, HTTP.sourceConcurrency, async (source) => {
+    const started = Date.now();
+    const { result, requests } = await trackRequests(() => runSource(source));
+    return {
+      name: source.name,
+      type: source.type,
+      items: result.items,
+      error: result.error,
+      ms: Date.now() - started,
+      requests,
+    };
+  });
+}
+
+/**
+ * Fetch and normalize items from a list of sources.
+ * @param {Array} sources - Source configurations
+ * @returns {Promise<Array>} Normalized items from all sources, in source order
+ */
+async function fetchSources(sources) {
+  const results = await fetchSourcesWithStatus(sources);
+  return results.flatMap((result) => result.items);
+}
+
+module.exports = {
+  getAdapter, listAdapterTypes, resolveSource, fetchSource, fetchSources, fetchSourcesWithStatus,
+};
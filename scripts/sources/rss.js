@@ -0,0 +1,89 @@
+/**
+ * Source adapter: RSS feeds (nijimen).
+ * Only items whose categories match source.filterTags are kept.
+ */
+
+const RSSParser = require('rss-parser');
+const http = require('../http');
+const {
+  generateId, stripHtml, truncate, normalizeImageUrl, extractImage, matchesFilterTags,
+} = require('../fetch-rss');
+
+/**
+ * Fetch and parse an RSS feed, applying the category filter.
+ * The feed is downloaded through the shared HTTP client and parsed locally.
+ * @param {Object} source - Resolved source configuration
+ * @returns {Promise<Array>} Parsed RSS items that passed the tag filter
+ */
+async function fetchRSS(source) {
+  const parser = new RSSParser({
+    customFields: {
+      item: [
+        ['media:content', 'media:content'],
+        ['media:thumbnail', 'media:thumbnail'],
+        ['content:encoded', 'content:encoded'],
+      ],
+    },
+  });
+
+  const res = await http.get(source.url, {
+    responseType: 'text',
+    headers: { 'Accept': 'application/rss+xml, application/xml, text/xml' },
+  });
+  const feed = await parser.parseString(res.data);
+  let feedItems = feed.items || [];
+
+  // Apply category filter if filterTags are configured
+  if (source.filterTags.length > 0) {
+    const before = feedItems.length;
+    feedItems = feedItems.filter((item) => matchesFilterTags(item, source.filterTags));
+    console.log(`    Tag filter: ${before} -> ${feedItems.length} items (tags: ${source.filterTags.join(', ')})`);
+  }
+
+  return feedItems;
+}
+
+/**
+ * Normalize a parsed RSS item into a news item.
+ * @param {Object} item - Parsed RSS item
+ * @param {Object} source - Resolved source configuration
+ * @returns {Object} Normalized item
+ */
+function normalizeRSS(item, source) {
+  const link = item.link || item.guid || '';
+  const contentEncoded = item['content:encoded'] || '';
+  const rawContent = item.contentSnippet || item.content || item.description || '';
+  const summarySource = contentEncoded || rawContent;
+  const summary = truncate(stripHtml(summarySource), 200);
+  const title = stripHtml(item.title || '');
+  const pubDate = item.isoDate || item.pubDate || null;
+
+  const rawImage = extractImage(item);
+  const image = normalizeImageUrl(rawImage);
+
+  return {
+    id: generateId(link),
+    title,
+    summary,
+    link,
+    image,
+    source: source.name,
+    storeTag: source.storeTag || null,
+    publishedAt: pubDate,
+    language: source.language,
+    category: source.category,
+    translated: false,
+    content: stripHtml(summarySource),
+  };
+}
+
+module.exports = {
+  type: 'rss',
+  defaultCategory: 'events',
+  schema: {
+    url: { type: 'string', required: true },
+    filterTags: { type: 'array', default: [] },
+  },
+  fetch: fetchRSS,
+  normalize: normalizeRSS,
+};
@@ -0,0 +1,188 @@
+/**
+ * Per-run health report, written next to news.json as status.json.
+ *
+ * Every run (except dry runs) records, per source:
+ *   - fetched:    items the adapter returned
+ *   - kept:       items left after filter.js
+ *   - translated: items translated in this run, and by which provider
+ *   - errors:     the adapter error and every failed HTTP request
+ *   - http:       request count, failures, cache hits and timings
+ *   - zeroRuns:   consecutive runs (including this one) with nothing fetched
+ *
+ * The file keeps the last STATUS.historySize runs, newest first. A source
+ * with zeroRuns >= STATUS.zeroRunsWarning gets a warning, because a source
+ * that silently returns nothing usually means the site changed.
+ * files/tools/collector-status.html renders the file.
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./output');
+
+/**
+ * Count items per source name.
+ * @param {Array} items - News items
+ * @returns {Map<string, number>} Counts
+ */
+function countBySource(items) {
+  const counts = new Map();
+  for (const item of items) counts.set(item.source, (counts.get(item.source) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Summarize a source's HTTP requests.
+ * @param {Array} requests - Entries from http.trackRequests()
+ * @returns {Object} { requests, failed, cached, totalMs, maxMs, slowest }
+ */
+function summarizeRequests(requests) {
+  const slowest = requests.reduce((max, request) => (!max || request.ms > max.ms ? request : max), null);
+  return {
+    requests: requests.length,
+    failed: requests.filter((request) => !request.ok).length,
+    cached: requests.filter((request) => request.fromCache).length,
+    totalMs: requests.reduce((sum, request) => sum + request.ms, 0),
+    maxMs: slowest ? slowest.ms : 0,
+    slowest: slowest ? slowest.url : null,
+  };
+}
+
+/**
+ * Start the status record for a run from the fetch results.
+ * @param {Object} options
+ * @param {Date} options.runAt - Run time
+ * @param {string} options.mode - 'live', 'record' or 'replay'
+ * @param {Array} options.fetchResults - Output of sources.fetchSourcesWithStatus()
+ * @returns {Object} Run status (filled in by the record*() and finishRun() calls)
+ */
+function createRunStatus({ runAt, mode, fetchResults }) {
+  return {
+    runAt: runAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    mode,
+    outcome: null,
+    itemCount: null,
+    error: null,
+    warnings: [],
+    sources: fetchResults.map((result) => ({
+      name: result.name,
+      type: result.type,
+      fetched: result.items.length,
+      kept: 0,
+      translated: 0,
+      translatedBy: {},
+      errors: [
+        ...(result.error ? [result.error] : []),
+        ...result.requests
+          .filter((request) => !request.ok)
+          .map((request) => `${request.method} ${request.url} failed (${request.status})`),
+      ],
+      ms: result.ms,
+      http: summarizeRequests(result.requests),
+      zeroRuns: 0,
+    })),
+  };
+}
+
+/**
+ * Record how many items of each source survived filtering.
+ * @param {Object} run - Run status
+ * @param {Array} items - Items after filter.js
+ */
+function recordKept(run, items) {
+  const counts = countBySource(items);
+  for (const source of run.sources) source.kept = counts.get(source.name) || 0;
+}
+
+/**
+ * Record how many items of each source were translated, by provider.
+ * @param {Object} run - Run status
+ * @param {Array} items - Items after translation
+ */
+function recordTranslations(run, items) {
+  for (const source of run.sources) {
+    const translated = items.filter((item) => item.source === source.name && item.translated);
+    source.translated = translated.length;
+    source.translatedBy = {};
+    for (const item of translated) {
+      const provider = item.translatedBy || 'unknown';
+      source.translatedBy[provider] = (source.translatedBy[provider] || 0) + 1;
+    }
+  }
+}
+
+/**
+ * Close the run record.
+ * @param {Object} run - Run status
+ * @param {Object} result
+ * @param {string} result.outcome - 'written', 'blocked' or 'failed'
+ * @param {number|null} [result.itemCount] - Items in news.json
+ * @param {string|null} [result.error] - Fatal error message
+ * @param {Date} [finishedAt] - Finish time (defaults to now)
+ */
+function finishRun(run, { outcome, itemCount = null, error = null }, finishedAt = new Date()) {
+  run.outcome = outcome;
+  run.itemCount = itemCount;
+  run.error = error;
+  run.finishedAt = finishedAt.toISOString();
+  run.durationMs = finishedAt.getTime() - new Date(run.runAt).getTime();
+}
+
+/**
+ * Count consecutive runs, newest first, in which a source fetched nothing.
+ * Runs that did not include the source are skipped.
+ * @param {Array} runs - Run statuses, newest first
+ * @param {string} name - Source name
+ * @returns {number} Consecutive empty runs
+ */
+function zeroRunStreak(runs, name) {
+  let streak = 0;
+  for (const run of runs) {
+    const source = run.sources.find((entry) => entry.name === name);
+    if (!source) continue;
+    if (source.fetched > 0) break;
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Read status.json, if any.
+ * @param {string} file - status.json path
+ * @returns {Object} { generatedAt, runs }
+ */
+function loadStatus(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return { generatedAt: null, runs: [] };
+  }
+}
+
+/**
+ * Add a finished run to status.json, work out its warnings and write the file.
+ * @param {string} file - status.json path
+ * @param {Object} run - Finished run status (warnings and zeroRuns are filled in)
+ * @param {Object} settings - config.STATUS: { historySize, zeroRunsWarning }
+ * @returns {string[]} Warnings for this run
+ */
+function writeStatus(file, run, settings) {
+  const runs = [run, ...(loadStatus(file).runs || [])].slice(0, settings.historySize);
+
+  run.warnings = [];
+  for (const source of run.sources) {
+    source.zeroRuns = zeroRunStreak(runs, source.name);
+    if (source.zeroRuns >= settings.zeroRunsWarning) {
+      run.warnings.push(`${source.name} returned no items for ${source.zeroRuns} consecutive runs`);
+    }
+  }
+  if (run.outcome === 'blocked') run.warnings.push('news.json was not updated: validation failed');
+  if (run.outcome === 'failed') run.warnings.push(`Run failed: ${run.error}`);
+
+  writeFileAtomic(file, JSON.stringify({ generatedAt: run.finishedAt, runs }, null, 2));
+  return run.warnings;
+}
+
+module.exports = {
+  createRunStatus, recordKept, recordTranslations, finishRun, writeStatus, zeroRunStreak,
+};
@@ -1,92 +1,227 @@
 /**
- * Translation module using Google Translate (unofficial endpoint).
- * Translates Japanese text fields (title, summary) to English.
- * No API key required.
+ * Translation module.
+ * Translates Japanese text fields (title, full summary) to English through a
+ * configurable chain of providers (scripts/translators/): DeepL, the
+ * unofficial Google Translate endpoint, and an offline dictionary. If a
+ * provider fails or is rate-limited, the next one in the chain takes over.
+ *
+ * Translations are cached on disk, keyed by a hash of the source text and
+ * the language pair, so unchanged items are never translated again.
+ * Cache misses are sent in batches sized for each provider; request spacing
+ * is left to the shared HTTP client (http.js).
+ *
+ * Translated items keep the Japanese as originalTitle / originalSummary, so
+ * news.json can carry both languages (bilingual.js).
  */
 
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 
-const GOOGLE_TRANSLATE_URL = 'https://translate.googleapis.com/translate_a/single';
+const { TRANSLATION_CACHE, TRANSLATION_PROVIDERS } = require('./config');
+const { buildChain } = require('./translators');
 
 /**
- * Translate a single text from Japanese to English using Google Translate.
- * This uses the same endpoint as the Google Translate website.
- * @param {string} text - Japanese text
- * @returns {Promise<string>} English translation
+ * Build the cache key for a text and language pair.
+ * @param {string} text - Source text
+ * @param {string} from - Source language
+ * @param {string} to - Target language
+ * @returns {string} Hex hash
  */
-async function translateText(text) {
-  if (!text || text.trim().length === 0) return text;
+function cacheKey(text, from, to) {
+  return crypto.createHash('sha256').update(`${from}|${to}|${text}`).digest('hex').slice(0, 24);
+}
 
+/**
+ * Load the translation cache from disk.
+ * A missing or unreadable file yields an empty cache.
+ * Entries written before providers were tracked are plain strings and
+ * came from Google.
+ * @param {string} file - Cache file path
+ * @returns {Object} Map of cache key -> { text, provider }
+ */
+function loadCache(file) {
+  let raw;
   try {
-    const res = await axios.get(GOOGLE_TRANSLATE_URL, {
-      params: {
-        client: 'gtx',
-        sl: 'ja',
-        tl: 'en',
-        dt: 't',
-        q: text,
-      },
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-      },
-    });
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (_) {
+    return {};
+  }
+  const cache = {};
+  for (const [key, value] of Object.entries(raw)) {
+    cache[key] = typeof value === 'string' ? { text: value, provider: 'google' } : value;
+  }
+  return cache;
+}
+
+/**
+ * Write the translation cache to disk.
+ * @param {string} file - Cache file path
+ * @param {Object} cache - Map of cache key -> { text, provider }
+ */
+function saveCache(file, cache) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(cache, null, 2), 'utf-8');
+}
 
-    // Response format: [[["translated text","original text",null,null,10]],null,"ja",...]
-    if (res.data && Array.isArray(res.data[0])) {
-      return res.data[0].map(segment => segment[0]).join('');
+/**
+ * Split texts into batches that fit a provider's limits.
+ * @param {string[]} texts - Texts to batch
+ * @param {Object} provider - Provider with maxBatchSize/maxBatchChars
+ * @returns {string[][]} Batches
+ */
+function chunkTexts(texts, provider) {
+  const batches = [];
+  let current = [];
+  let length = 0;
+
+  for (const text of texts) {
+    if (current.length > 0 && (current.length >= provider.maxBatchSize
+      || length + text.length + 1 > provider.maxBatchChars)) {
+      batches.push(current);
+      current = [];
+      length = 0;
     }
-    return text;
-  } catch (err) {
-    console.error(`  Translation failed: ${err.message}`);
-    return text;
+    current.push(text);
+    length += text.length + 1;
   }
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+}
+
+/**
+ * Translate texts through the provider chain.
+ * Each provider gets whatever the previous ones could not translate.
+ * A rate-limited provider is dropped for the rest of the batch list.
+ * @param {string[]} texts - Source texts
+ * @param {Object[]} chain - Providers in fallback order
+ * @param {Object} stats - Run statistics (mutated)
+ * @returns {Promise<Map<string, {text: string, provider: string}>>} Translations by source text
+ */
+async function translateWithChain(texts, chain, stats) {
+  const translations = new Map();
+  let remaining = texts;
+
+  for (const provider of chain) {
+    if (remaining.length === 0) break;
+
+    const batches = chunkTexts(remaining, provider);
+    for (const batch of batches) {
+      try {
+        stats.requests[provider.name] = (stats.requests[provider.name] || 0) + 1;
+        const results = await provider.translateBatch(batch, { from: 'ja', to: 'en' });
+        batch.forEach((text, j) => {
+          if (results[j]) translations.set(text, { text: results[j], provider: provider.name });
+        });
+      } catch (err) {
+        console.error(`  [${provider.name}] Translation failed: ${err.message}`);
+        if (err.rateLimited) {
+          console.warn(`  [${provider.name}] Rate-limited; falling back to the next provider`);
+          break;
+        }
+      }
+    }
+
+    remaining = remaining.filter(text => !translations.has(text));
+  }
+
+  stats.failed += remaining.length;
+  return translations;
 }
 
 /**
  * Translate an array of news items (title + summary) from Japanese to English.
- * Only translates items where language === 'ja'.
- * Rate-limited to avoid blocking.
+ * Only translates items where language === 'ja'. Cached translations are
+ * reused; the rest go through the provider chain in batches. Each translated
+ * item records the provider in `translatedBy` and keeps its source language
+ * in `language`. When no provider is available (e.g. no API keys) only
+ * cached translations are applied and the other items stay untranslated.
  * @param {Array} items - Array of news items
- * @returns {Promise<Array>} Items with translated title/summary
+ * @param {Object} [options]
+ * @param {string} [options.cacheFile] - Cache file path (defaults to config)
+ * @param {string[]} [options.providers] - Provider chain (defaults to config)
+ * @returns {Promise<Array>} Items with translated title/summary and the
+ *   Japanese in originalTitle/originalSummary
  */
-async function translateTexts(items) {
+async function translateTexts(items, options = {}) {
+  const cacheFile = options.cacheFile || TRANSLATION_CACHE.file;
+  const names = options.providers || TRANSLATION_PROVIDERS;
+  const chain = buildChain(names);
+  const cache = loadCache(cacheFile);
+  const stats = { hits: 0, misses: 0, requests: {}, failed: 0 };
+  if (chain.length > 0) {
+    console.log(`  Providers: ${chain.map(p => p.name).join(' -> ')}`);
+  } else {
+    console.warn(`  [WARN] No translation provider available in chain: ${names.join(' -> ')}; only cached translations are used`);
+  }
+
+  // Collect the unique strings that need a translation
+  const sourceTexts = new Set();
+  for (const item of items) {
+    if (item.language !== 'ja') continue;
+    if (item.title) sourceTexts.add(item.title);
+    if (item.summary) sourceTexts.add(item.summary);
+  }
+
+  const translations = new Map();
+  const pending = [];
+  for (const text of sourceTexts) {
+    const cached = cache[cacheKey(text, 'ja', 'en')];
+    if (cached) {
+      translations.set(text, cached);
+      stats.hits++;
+    } else {
+      pending.push(text);
+      stats.misses++;
+    }
+  }
+
+  // Translate cache misses; only cache output from cacheable providers
+  const fresh = await translateWithChain(pending, chain, stats);
+  let cacheChanged = false;
+  for (const [text, result] of fresh) {
+    translations.set(text, result);
+    if (chain.find(p => p.name === result.provider).cacheable) {
+      cache[cacheKey(text, 'ja', 'en')] = result;
+      cacheChanged = true;
+    }
+  }
+
+  if (cacheChanged) {
+    saveCache(cacheFile, cache);
+  }
+
   const results = [];
   let translated = 0;
 
   for (const item of items) {
-    if (item.language !== 'ja') {
+    // Keep the original when the title could not be translated
+    if (item.language !== 'ja' || !translations.has(item.title)) {
       results.push(item);
       continue;
     }
 
-    try {
-      const translatedTitle = await translateText(item.title);
-      // Small delay between requests
-      await new Promise(r => setTimeout(r, 300));
-
-      // Only translate first 100 chars of summary to keep it brief
-      const shortSummary = (item.summary || '').slice(0, 100);
-      const translatedSummary = shortSummary ? await translateText(shortSummary) : '';
-      await new Promise(r => setTimeout(r, 300));
-
-      results.push({
-        ...item,
-        title: translatedTitle,
-        summary: translatedSummary,
-        originalTitle: item.title,
-        language: 'en',
-        translated: true,
-      });
-      translated++;
-    } catch (err) {
-      // On error, keep original
-      results.push(item);
-    }
+    // A summary that could not be translated is left empty; the Japanese
+    // text stays in originalSummary
+    const title = translations.get(item.title);
+    const summary = translations.get(item.summary);
+    results.push({
+      ...item,
+      title: title.text,
+      summary: summary ? summary.text : '',
+      originalTitle: item.title,
+      originalSummary: item.summary || '',
+      translated: true,
+      translatedBy: title.provider,
+    });
+    translated++;
   }
 
+  const requests = Object.entries(stats.requests).map(([name, n]) => `${name}: ${n}`).join(', ') || 'none';
   console.log(`  Translated ${translated} items`);
+  console.log(`  Cache: ${stats.hits} hits, ${stats.misses} misses | Requests: ${requests} | ${stats.failed} failed`);
   return results;
 }
 
-module.exports = { translateTexts };
+module.exports = { translateTexts, translateWithChain, chunkTexts, cacheKey };
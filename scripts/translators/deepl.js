@@ -0,0 +1,69 @@
+/**
+ * Translation provider: DeepL API.
+ * Requires DEEPL_API_KEY (see .env.example). Free-plan keys end in ":fx"
+ * and use the api-free host.
+ */
+
+const http = require('../http');
+
+/**
+ * Get the DeepL API endpoint for the configured key.
+ * @param {string} key - DeepL auth key
+ * @returns {string} Translate endpoint URL
+ */
+function endpointFor(key) {
+  return key.endsWith(':fx')
+    ? 'https://api-free.deepl.com/v2/translate'
+    : 'https://api.deepl.com/v2/translate';
+}
+
+/**
+ * Map a plain language code to DeepL's target language code.
+ * @param {string} lang - Language code (e.g. 'en', 'ja')
+ * @returns {string} DeepL code (e.g. 'EN-US', 'JA')
+ */
+function targetLang(lang) {
+  return lang === 'en' ? 'EN-US' : lang.toUpperCase();
+}
+
+/**
+ * Translate a batch of texts in one DeepL request.
+ * @param {string[]} texts - Source texts
+ * @param {Object} langs - { from, to }
+ * @returns {Promise<string[]>} Translations, in input order
+ * @throws {Error} On request failure; 429/456 (quota) errors are flagged rateLimited
+ */
+async function translateBatch(texts, { from, to }) {
+  const key = process.env.DEEPL_API_KEY;
+  try {
+    const res = await http.post(endpointFor(key), {
+      text: texts,
+      source_lang: from.toUpperCase(),
+      target_lang: targetLang(to),
+    }, {
+      timeout: 15000,
+      headers: { Authorization: `DeepL-Auth-Key ${key}` },
+    });
+
+    const translations = res.data?.translations || [];
+    if (translations.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} translations, got ${translations.length}`);
+    }
+    return translations.map(t => t.text);
+  } catch (err) {
+    const status = err.response && err.response.status;
+    if (status === 429 || status === 456) {
+      err.rateLimited = true;
+    }
+    throw err;
+  }
+}
+
+module.exports = {
+  name: 'deepl',
+  cacheable: true,
+  maxBatchSize: 50,
+  maxBatchChars: 20000,
+  isAvailable: () => Boolean(process.env.DEEPL_API_KEY),
+  translateBatch,
+};
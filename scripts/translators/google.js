@@ -0,0 +1,88 @@
+/**
+ * Translation provider: Google Translate (unofficial endpoint).
+ * Uses the same endpoint as the Google Translate website. No API key required.
+ *
+ * Several strings are sent in one request joined by newlines and split back
+ * apart; if the line count does not match, each string is retried on its own.
+ */
+
+const http = require('../http');
+
+const GOOGLE_TRANSLATE_URL = 'https://translate.googleapis.com/translate_a/single';
+
+/**
+ * Translate a single text using Google Translate.
+ * @param {string} text - Source text (may contain newlines)
+ * @param {string} from - Source language
+ * @param {string} to - Target language
+ * @returns {Promise<string>} Translation
+ * @throws {Error} If the request fails or the response is not recognized
+ */
+async function translateText(text, from, to) {
+  try {
+    const res = await http.get(GOOGLE_TRANSLATE_URL, {
+      cache: false,
+      params: {
+        client: 'gtx',
+        sl: from,
+        tl: to,
+        dt: 't',
+        q: text,
+      },
+      timeout: 10000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      },
+    });
+
+    // Response format: [[["translated text","original text",null,null,10]],null,"ja",...]
+    if (res.data && Array.isArray(res.data[0])) {
+      return res.data[0].map(segment => segment[0]).join('');
+    }
+    throw new Error('Unexpected response format');
+  } catch (err) {
+    if (err.response && err.response.status === 429) {
+      err.rateLimited = true;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Translate several single-line texts, batching them into one request.
+ * @param {string[]} texts - Source texts without newlines
+ * @param {Object} langs - { from, to }
+ * @returns {Promise<Array<string|null>>} Translations (null where a retry failed)
+ */
+async function translateBatch(texts, { from, to }) {
+  if (texts.length > 1) {
+    const lines = (await translateText(texts.join('\n'), from, to)).split('\n');
+    if (lines.length === texts.length) {
+      return lines.map(line => line.trim());
+    }
+    console.warn(`  Batch of ${texts.length} came back as ${lines.length} lines; retrying one by one`);
+  }
+
+  const results = [];
+  for (const text of texts) {
+    try {
+      results.push(await translateText(text, from, to));
+    } catch (err) {
+      if (err.rateLimited) throw err;
+      console.error(`  Translation failed: ${err.message}`);
+      results.push(null);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  name: 'google',
+  cacheable: true,
+  maxBatchSize: 50,
+  // Keep the GET query string comfortably short once URL-encoded
+  // (each Japanese character becomes ~9 bytes)
+  maxBatchChars: 800,
+  isAvailable: () => true,
+  translateBatch,
+};
@@ -0,0 +1,83 @@
+/**
+ * Translation provider registry.
+ *
+ * Every other file in this directory is an interchangeable translation
+ * provider. A provider module exports:
+ *
+ *   {
+ *     name: 'google',
+ *     cacheable: true,              // false for providers whose output should not be cached
+ *     maxBatchSize: 50,             // max strings per request
+ *     maxBatchChars: 800,           // max total source characters per request
+ *     isAvailable: () => boolean,   // e.g. false when an API key is missing
+ *     translateBatch: async (texts, { from, to }) => Array<string|null>,
+ *   }
+ *
+ * translateBatch returns one entry per input (null where that string failed)
+ * and throws when the whole request fails. Errors with `rateLimited: true`
+ * take the provider out of the chain for the rest of the run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let providers = null;
+
+/**
+ * Load all provider modules in this directory (once).
+ * @returns {Map<string, Object>} Providers keyed by name
+ */
+function loadProviders() {
+  if (providers) return providers;
+  providers = new Map();
+
+  const files = fs.readdirSync(__dirname)
+    .filter((file) => file.endsWith('.js') && file !== 'index.js')
+    .sort();
+
+  for (const file of files) {
+    const provider = require(path.join(__dirname, file));
+    if (!provider.name || typeof provider.translateBatch !== 'function') {
+      throw new Error(`Invalid translation provider ${file}: must export name and translateBatch`);
+    }
+    providers.set(provider.name, provider);
+  }
+
+  return providers;
+}
+
+/**
+ * Look up a provider by name.
+ * @param {string} name - Provider name (e.g. 'deepl', 'google', 'offline')
+ * @returns {Object|null} Provider module or null if unknown
+ */
+function getProvider(name) {
+  return loadProviders().get(name) || null;
+}
+
+/**
+ * Resolve a list of provider names into the usable chain, in order.
+ * Unknown names are an error; unavailable providers (e.g. DeepL without
+ * a key) are skipped with a note. The chain may end up empty, in which
+ * case items are left untranslated.
+ * @param {string[]} names - Provider names in fallback order
+ * @returns {Object[]} Available providers
+ * @throws {Error} If a name is unknown
+ */
+function buildChain(names) {
+  const chain = [];
+  for (const name of names) {
+    const provider = getProvider(name);
+    if (!provider) {
+      throw new Error(`Unknown translation provider "${name}" (known: ${Array.from(loadProviders().keys()).join(', ')})`);
+    }
+    if (provider.isAvailable && !provider.isAvailable()) {
+      console.log(`  Translation provider ${name} unavailable, skipping`);
+      continue;
+    }
+    chain.push(provider);
+  }
+  return chain;
+}
+
+module.exports = { getProvider, buildChain };
@@ -0,0 +1,61 @@
+/**
+ * Translation provider: offline dictionary.
+ * Makes no network requests. Replaces known event/store terms with their
+ * English equivalents and leaves the rest of the text as-is, so it doubles
+ * as a no-op provider for tests and dry runs. Output is never cached.
+ */
+
+// Longest terms first so compound words win over their parts
+const DICTIONARY = [
+  ['コラボカフェ', 'Collab Cafe'],
+  ['ポップアップストア', 'Pop-up Store'],
+  ['ポップアップショップ', 'Pop-up Shop'],
+  ['オンリーショップ', 'Only Shop'],
+  ['アニメイトカフェ', 'Animate Cafe'],
+  ['アニメイト', 'Animate'],
+  ['ポケモンセンター', 'Pokemon Center'],
+  ['ジャンプショップ', 'Jump Shop'],
+  ['一番くじ', 'Ichiban Kuji'],
+  ['購入特典', 'Purchase Bonus'],
+  ['限定グッズ', 'Limited Goods'],
+  ['描き下ろし', 'Newly Drawn'],
+  ['開催決定', 'Confirmed'],
+  ['グッズ', 'Goods'],
+  ['コラボ', 'Collab'],
+  ['カフェ', 'Cafe'],
+  ['イベント', 'Event'],
+  ['限定', 'Limited'],
+  ['特典', 'Bonus'],
+  ['開催', 'Held'],
+].sort((a, b) => b[0].length - a[0].length);
+
+/**
+ * Replace dictionary terms in a text.
+ * @param {string} text - Source text
+ * @returns {string} Text with known terms replaced
+ */
+function translateText(text) {
+  let result = text;
+  for (const [ja, en] of DICTIONARY) {
+    result = result.split(ja).join(` ${en} `);
+  }
+  return result.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Translate a batch of texts using the dictionary.
+ * @param {string[]} texts - Source texts
+ * @returns {Promise<string[]>} Translations
+ */
+async function translateBatch(texts) {
+  return texts.map(translateText);
+}
+
+module.exports = {
+  name: 'offline',
+  cacheable: false,
+  maxBatchSize: Infinity,
+  maxBatchChars: Infinity,
+  isAvailable: () => true,
+  translateBatch,
+};
@@ -0,0 +1,206 @@
+/**
+ * Venue gazetteer: which stores and areas an item takes place in.
+ *
+ * data/venues.json lists:
+ *   - areas:  neighbourhoods and cities with aliases, ward/city, region and
+ *             coordinates ("akihabara", "osaka", ...)
+ *   - venues: individual stores with aliases, their area and coordinates,
+ *             plus chain-level entries ("pokemon-center") with no area for
+ *             posts that only name the chain
+ *   - routeAreas: the areas on our Friday shopping route
+ *
+ * Every alias found in an item's text becomes a venue; a match inside a
+ * longer one is ignored ("秋葉原" inside "アニメイト秋葉原"), an area already
+ * covered by a matched store is not repeated, and a chain entry is dropped
+ * when one of its branches matched. Venues are listed in the order they are
+ * first mentioned.
+ *
+ * Items get:
+ *   - venues:   [{ id, name, area, ward, city, region, lat, lng, onRoute }]
+ *   - region:   region of the first venue with a known area (e.g. "Kansai")
+ *   - offRoute: true when every located venue is outside routeAreas, i.e.
+ *               the item cannot be bought on a normal run
+ *   - storeTag: the first on-route venue (or the first venue) when any
+ *               were found; otherwise the source's own storeTag
+ *
+ * Alias matching mirrors franchises.js: Latin aliases are whole words
+ * (case-insensitive), Japanese aliases match anywhere.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { itemTexts } = require('./bilingual');
+
+const GAZETTEER_FILE = path.join(__dirname, 'data', 'venues.json');
+
+let cached = null;
+
+/**
+ * Compile an alias into a global regex that finds every occurrence.
+ * @param {string} alias - Alias text
+ * @returns {RegExp} Matcher
+ */
+function aliasPattern(alias) {
+  const normalized = alias.normalize('NFKC');
+  const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return /^[\x20-\x7e]+$/.test(normalized)
+    ? new RegExp(`\\b${escaped}\\b`, 'gi')
+    : new RegExp(escaped, 'gi');
+}
+
+/**
+ * Load the gazetteer and pre-compile its aliases.
+ * @param {string} [file] - Gazetteer path (defaults to data/venues.json)
+ * @returns {{entries: Array, routeAreas: string[]}} One entry per area and venue:
+ *   { id, kind: 'area'|'venue', name, chain, area, ward, city, region, lat, lng, patterns }
+ * @throws {Error} If a venue names an unknown area
+ */
+function loadGazetteer(file = GAZETTEER_FILE) {
+  if (file === GAZETTEER_FILE && cached) return cached;
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const areas = data.areas || {};
+
+  const entries = [];
+  for (const [id, area] of Object.entries(areas)) {
+    entries.push({
+      id,
+      kind: 'area',
+      name: area.name,
+      chain: null,
+      area: id,
+      ward: area.ward || null,
+      city: area.city || null,
+      region: area.region || null,
+      lat: area.lat ?? null,
+      lng: area.lng ?? null,
+      patterns: area.aliases.map(aliasPattern),
+    });
+  }
+  for (const [id, venue] of Object.entries(data.venues || {})) {
+    const area = venue.area ? areas[venue.area] : null;
+    if (venue.area && !area) throw new Error(`${path.basename(file)}: venue "${id}" has unknown area "${venue.area}"`);
+    entries.push({
+      id,
+      kind: 'venue',
+      name: venue.name,
+      chain: venue.chain || null,
+      area: venue.area || null,
+      ward: area ? area.ward || null : null,
+      city: area ? area.city || null : null,
+      region: area ? area.region || null : null,
+      lat: venue.lat ?? (area ? area.lat ?? null : null),
+      lng: venue.lng ?? (area ? area.lng ?? null : null),
+      patterns: venue.aliases.map(aliasPattern),
+    });
+  }
+
+  const gazetteer = { entries, routeAreas: data.routeAreas || [] };
+  if (file === GAZETTEER_FILE) cached = gazetteer;
+  return gazetteer;
+}
+
+/**
+ * Find the venues mentioned in a text.
+ * @param {string} text - Item text
+ * @param {Object} [gazetteer] - Output of loadGazetteer()
+ * @returns {Array<Object>} Venues in order of first mention:
+ *   { id, name, area, ward, city, region, lat, lng, onRoute }
+ */
+function detectVenues(text, gazetteer = loadGazetteer()) {
+  const normalized = String(text || '').normalize('NFKC');
+
+  const hits = [];
+  for (const entry of gazetteer.entries) {
+    for (const pattern of entry.patterns) {
+      pattern.lastIndex = 0;
+      let found;
+      while ((found = pattern.exec(normalized)) !== null) {
+        hits.push({ entry, start: found.index, end: found.index + found[0].length });
+      }
+    }
+  }
+
+  // Drop hits inside a longer hit, then keep the first mention of each entry
+  const outer = hits.filter((hit) => !hits.some((other) => other !== hit
+    && other.start <= hit.start && other.end >= hit.end
+    && other.end - other.start > hit.end - hit.start));
+  outer.sort((a, b) => a.start - b.start);
+  const entries = [...new Set(outer.map((hit) => hit.entry))];
+
+  const stores = entries.filter((entry) => entry.kind === 'venue');
+  const kept = entries.filter((entry) => {
+    if (entry.kind === 'area') return !stores.some((store) => store.area === entry.id);
+    if (!entry.area) return !stores.some((store) => store.area && store.chain === entry.chain);
+    return true;
+  });
+
+  return kept.map((entry) => ({
+    id: entry.id,
+    name: entry.name,
+    area: entry.area,
+    ward: entry.ward,
+    city: entry.city,
+    region: entry.region,
+    lat: entry.lat,
+    lng: entry.lng,
+    onRoute: gazetteer.routeAreas.includes(entry.area),
+  }));
+}
+
+/**
+ * Store tag for a venue, as shown on the site ("Animate Akihabara",
+ * "Osaka Area").
+ * @param {Object} venue - Output of detectVenues()
+ * @returns {string} Store tag
+ */
+function venueTag(venue) {
+  return venue.id === venue.area ? `${venue.name} Area` : venue.name;
+}
+
+/**
+ * Work out venues, region, route flag and store tag for an item.
+ * @param {Object} item - News item
+ * @param {Object} [gazetteer] - Output of loadGazetteer()
+ * @returns {{venues: Array, region: string|null, offRoute: boolean, storeTag: string|null}}
+ */
+function placeItem(item, gazetteer = loadGazetteer()) {
+  const text = [...itemTexts(item), item.content].filter(Boolean).join(' ');
+  const venues = detectVenues(text, gazetteer);
+  const located = venues.filter((venue) => venue.area);
+  const onRoute = venues.filter((venue) => venue.onRoute);
+
+  return {
+    venues,
+    region: located.length > 0 ? located[0].region : null,
+    offRoute: located.length > 0 && onRoute.length === 0,
+    storeTag: venues.length > 0 ? venueTag(onRoute[0] || venues[0]) : item.storeTag || null,
+  };
+}
+
+/**
+ * Place every item and log the ones outside the Friday route.
+ * @param {Array} items - News items
+ * @param {Object} [gazetteer] - Output of loadGazetteer()
+ * @returns {Array} Items with venues, region, offRoute and storeTag set
+ */
+function tagVenues(items, gazetteer = loadGazetteer()) {
+  let placed = 0;
+  let offRoute = 0;
+
+  const tagged = items.map((item) => {
+    const place = placeItem(item, gazetteer);
+    if (place.venues.length > 0) placed++;
+    if (place.offRoute) {
+      offRoute++;
+      console.log(`    [OFF ROUTE] ${item.originalTitle || item.title} (${place.venues.map((venue) => venue.name).join(', ')})`);
+    }
+    return { ...item, ...place };
+  });
+
+  console.log(`  Venues: ${placed} of ${items.length} items placed, ${offRoute} outside the Friday route`);
+  return tagged;
+}
+
+module.exports = {
+  loadGazetteer, detectVenues, placeItem, tagVenues, venueTag,
+};
@@ -0,0 +1,267 @@
+/**
+ * Customer watchlists: which collected items each subscriber wants to hear
+ * about ("anything Gojo at Animate Ikebukuro").
+ *
+ * The watchlist file (config.WATCHLISTS.file, set through WATCHLISTS_FILE
+ * and kept outside the repository; data/watchlists.example.json shows the
+ * format) lists subscribers and their subscriptions:
+ *
+ *   "sample-customer": {
+ *     "name": "Sample customer",
+ *     "subscriptions": [
+ *       { "id": "gojo-animate-ikebukuro", "keywords": ["Gojo", "五条悟"], "stores": ["animate-ikebukuro"] },
+ *       { "id": "jujutsu-kaisen-events", "franchises": ["jujutsu-kaisen"], "categories": ["events"] }
+ *     ]
+ *   }
+ *
+ * A subscription matches an item when every criterion it sets matches at
+ * least one of its values:
+ *   - keywords:   aliases found in the translated and the original Japanese
+ *                 text (title, original title, summary, full content);
+ *                 matching mirrors franchises.js
+ *   - stores:     venue, chain or area ids from data/venues.json
+ *                 ("animate-ikebukuro", "pokemon-center", "akihabara")
+ *   - categories: source categories from config.SOURCES ("cafe", "events")
+ *   - franchises: franchise ids from data/franchises.json
+ *
+ * After a run, items that have not ended are matched and every match is
+ * kept in <reports>/watchlists/<subscriber>.json; a match (subscription +
+ * item) already in that file is never reported again. Matches are dropped
+ * from the file once their event has ended.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { itemTexts } = require('./bilingual');
+const { aliasMatcher, loadFranchises } = require('./franchises');
+const { loadGazetteer } = require('./venues');
+const { writeFileAtomic } = require('./output');
+const { WATCHLISTS } = require('./config');
+
+/**
+ * Compile a subscription's store ids into a venue predicate.
+ * @param {string[]} stores - Venue, chain or area ids
+ * @param {Object} gazetteer - Output of venues.loadGazetteer()
+ * @param {string} where - Subscription name for error messages
+ * @returns {Function} (venue) => boolean
+ * @throws {Error} If an id is not in the gazetteer
+ */
+function storeMatcher(stores, gazetteer, where) {
+  const venueIds = new Set();
+  const areaIds = new Set();
+  for (const store of stores) {
+    const entry = gazetteer.entries.find((candidate) => candidate.id === store);
+    const branches = gazetteer.entries.filter((candidate) => candidate.chain === store);
+    if (entry && entry.kind === 'area') {
+      areaIds.add(store);
+    } else if (entry || branches.length > 0) {
+      venueIds.add(store);
+      branches.forEach((branch) => venueIds.add(branch.id));
+    } else {
+      throw new Error(`${where}: unknown store "${store}" (not a venue, chain or area in venues.json)`);
+    }
+  }
+  return (venue) => venueIds.has(venue.id) || areaIds.has(venue.area);
+}
+
+/**
+ * Load the watchlists and pre-compile their matchers.
+ * @param {string} file - Watchlist path
+ * @param {Object} [options]
+ * @param {Object} [options.gazetteer] - Output of venues.loadGazetteer()
+ * @param {Array} [options.franchises] - Output of franchises.loadFranchises()
+ * @returns {Array<{id: string, name: string, subscriptions: Array}>} Subscribers
+ * @throws {Error} On unknown stores or franchises, or subscriptions without an id or criteria
+ */
+function loadWatchlists(file, {
+  gazetteer = loadGazetteer(),
+  franchises = loadFranchises(),
+} = {}) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const franchiseIds = new Set(franchises.map((franchise) => franchise.id));
+  const name = path.basename(file);
+
+  return Object.entries(data.subscribers || {}).map(([id, subscriber]) => {
+    const seen = new Set();
+    const subscriptions = (subscriber.subscriptions || []).map((subscription, i) => {
+      const where = `${name}: ${id}/${subscription.id || `#${i + 1}`}`;
+      if (!subscription.id) throw new Error(`${where}: subscription has no id`);
+      if (seen.has(subscription.id)) throw new Error(`${where}: duplicate subscription id`);
+      seen.add(subscription.id);
+
+      const keywords = subscription.keywords || [];
+      const stores = subscription.stores || [];
+      const categories = subscription.categories || [];
+      const wanted = subscription.franchises || [];
+      if (keywords.length + stores.length + categories.length + wanted.length === 0) {
+        throw new Error(`${where}: subscription has no keywords, stores, categories or franchises`);
+      }
+      wanted.forEach((franchise) => {
+        if (!franchiseIds.has(franchise)) throw new Error(`${where}: unknown franchise "${franchise}"`);
+      });
+
+      return {
+        id: subscription.id,
+        keywords: keywords.map((keyword) => ({ keyword, match: aliasMatcher(keyword) })),
+        stores,
+        matchesStore: storeMatcher(stores, gazetteer, where),
+        categories,
+        franchises: wanted,
+      };
+    });
+    return { id, name: subscriber.name || id, subscriptions };
+  });
+}
+
+/**
+ * Check one item against one subscription.
+ * @param {Object} item - Pipeline item (tagged with franchises and venues)
+ * @param {Object} subscription - Compiled subscription from loadWatchlists()
+ * @returns {Object|null} What matched ({ keywords, stores, categories,
+ *   franchises }, only the criteria the subscription sets), or null
+ */
+function matchSubscription(item, subscription) {
+  const matchedOn = {};
+
+  if (subscription.keywords.length > 0) {
+    const text = [...itemTexts(item), item.content]
+      .filter(Boolean)
+      .join(' ')
+      .normalize('NFKC');
+    const keywords = subscription.keywords.filter(({ match }) => match(text)).map(({ keyword }) => keyword);
+    if (keywords.length === 0) return null;
+    matchedOn.keywords = keywords;
+  }
+
+  if (subscription.stores.length > 0) {
+    const venues = (item.venues || []).filter(subscription.matchesStore).map((venue) => venue.id);
+    if (venues.length === 0) return null;
+    matchedOn.stores = venues;
+  }
+
+  if (subscription.categories.length > 0) {
+    if (!subscription.categories.includes(item.category)) return null;
+    matchedOn.categories = [item.category];
+  }
+
+  if (subscription.franchises.length > 0) {
+    const franchises = (item.franchises || []).filter((id) => subscription.franchises.includes(id));
+    if (franchises.length === 0) return null;
+    matchedOn.franchises = franchises;
+  }
+
+  return matchedOn;
+}
+
+/**
+ * Match items against every subscription.
+ * Items whose event has already ended are skipped.
+ * @param {Array} items - Pipeline items of this run
+ * @param {Array} subscribers - Output of loadWatchlists()
+ * @param {Date} now - Run time
+ * @returns {Map<string, Array>} Subscriber id -> matches
+ *   ({ subscription, itemId, title, originalTitle, link, storeTag, eventStart, eventEnd, matchedOn })
+ */
+function matchItems(items, subscribers, now) {
+  const current = items.filter((item) => !item.eventEnd || new Date(item.eventEnd) >= now);
+  const result = new Map();
+
+  for (const subscriber of subscribers) {
+    const matches = [];
+    for (const subscription of subscriber.subscriptions) {
+      for (const item of current) {
+        const matchedOn = matchSubscription(item, subscription);
+        if (!matchedOn) continue;
+        matches.push({
+          subscription: subscription.id,
+          itemId: item.id,
+          title: item.title,
+          originalTitle: item.originalTitle || null,
+          link: item.link,
+          storeTag: item.storeTag || null,
+          eventStart: item.eventStart || null,
+          eventEnd: item.eventEnd || null,
+          matchedOn,
+        });
+      }
+    }
+    result.set(subscriber.id, matches);
+  }
+
+  return result;
+}
+
+/**
+ * Keep this run's matches in one file per subscriber and work out which
+ * ones are new. Each file holds every match whose event has not ended,
+ * including the new ones of the latest run:
+ *   { subscriber, name, updatedAt, newMatches: [...], matches: [...] }
+ * @param {Map<string, Array>} matchesBySubscriber - Output of matchItems()
+ * @param {Array} subscribers - Output of loadWatchlists()
+ * @param {string} dir - Directory for the per-subscriber files
+ * @param {string} runAt - ISO run time
+ * @returns {Object<string, Array>} New matches per subscriber id
+ */
+function recordMatches(matchesBySubscriber, subscribers, dir, runAt) {
+  const fresh = {};
+
+  for (const subscriber of subscribers) {
+    const file = path.join(dir, `${subscriber.id}.json`);
+    let kept = [];
+    try {
+      kept = JSON.parse(fs.readFileSync(file, 'utf-8')).matches || [];
+    } catch (_) {
+      // First run for this subscriber
+    }
+
+    // Ended items are never matched again, so their matches can go
+    kept = kept.filter((match) => !match.eventEnd || new Date(match.eventEnd) >= new Date(runAt));
+    const known = new Set(kept.map((match) => `${match.subscription}/${match.itemId}`));
+    const newMatches = (matchesBySubscriber.get(subscriber.id) || [])
+      .filter((match) => !known.has(`${match.subscription}/${match.itemId}`))
+      .map((match) => ({ ...match, matchedAt: runAt }));
+
+    fresh[subscriber.id] = newMatches;
+    writeFileAtomic(file, JSON.stringify({
+      subscriber: subscriber.id,
+      name: subscriber.name,
+      updatedAt: runAt,
+      newMatches,
+      matches: [...kept, ...newMatches],
+    }, null, 2));
+  }
+
+  return fresh;
+}
+
+/**
+ * Match a run's items against the watchlists, keep the matches and log the
+ * new ones.
+ * @param {Array} items - Pipeline items of this run
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the per-subscriber files
+ * @param {Date} options.now - Run time
+ * @param {string|null} [options.file] - Watchlist path (defaults to config.WATCHLISTS.file)
+ * @returns {Object<string, Array>} New matches per subscriber id
+ */
+function runWatchlists(items, { dir, now, file = WATCHLISTS.file }) {
+  if (!file) {
+    console.log('  No watchlist file configured (WATCHLISTS_FILE); skipped');
+    return {};
+  }
+  const subscribers = loadWatchlists(file);
+  const fresh = recordMatches(matchItems(items, subscribers, now), subscribers, dir, now.toISOString());
+
+  for (const subscriber of subscribers) {
+    for (const match of fresh[subscriber.id]) {
+      console.log(`    [WATCHLIST] ${subscriber.id}/${match.subscription}: ${match.originalTitle || match.title}`);
+    }
+  }
+  const total = Object.values(fresh).reduce((sum, matches) => sum + matches.length, 0);
+  console.log(`  Watchlists: ${total} new matches for ${subscribers.length} subscribers (kept in ${dir})`);
+  return fresh;
+}
+
+module.exports = {
+  loadWatchlists, matchSubscription, matchItems, recordMatches, runWatchlists,
+};
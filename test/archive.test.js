@@ -0,0 +1,43 @@
+/**
+ * Persistent item archive.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeIntoArchive } = require('../scripts/archive');
+
+const item = (fields = {}) => ({
+  id: '0123456789abcdef',
+  title: { ja: '呪術廻戦 カフェ', en: 'Jujutsu Kaisen Cafe' },
+  summary: { ja: '', en: '' },
+  link: 'https://example.com/events/1',
+  image: null,
+  storeTag: 'Shibuya Area',
+  eventStart: null,
+  eventEnd: null,
+  ...fields,
+});
+
+test('updatedAt only moves when a tracked field changes', () => {
+  const archive = new Map();
+  mergeIntoArchive(archive, [item()], '2026-10-01T00:00:00.000Z');
+  mergeIntoArchive(archive, [item({ translatedBy: 'deepl' })], '2026-10-02T00:00:00.000Z');
+
+  let archived = archive.get('0123456789abcdef');
+  assert.equal(archived.firstSeenAt, '2026-10-01T00:00:00.000Z');
+  assert.equal(archived.lastSeenAt, '2026-10-02T00:00:00.000Z');
+  assert.equal(archived.updatedAt, '2026-10-01T00:00:00.000Z');
+
+  mergeIntoArchive(archive, [item({ eventStart: '2026-10-20T00:00:00+09:00' })], '2026-10-03T00:00:00.000Z');
+  archived = archive.get('0123456789abcdef');
+  assert.equal(archived.updatedAt, '2026-10-03T00:00:00.000Z');
+});
+
+test('archived items from before updatedAt fall back to firstSeenAt', () => {
+  const archive = new Map([['0123456789abcdef', {
+    ...item(), firstSeenAt: '2026-09-01T00:00:00.000Z', lastSeenAt: '2026-09-30T00:00:00.000Z',
+  }]]);
+  mergeIntoArchive(archive, [item()], '2026-10-01T00:00:00.000Z');
+  assert.equal(archive.get('0123456789abcdef').updatedAt, '2026-09-01T00:00:00.000Z');
+});
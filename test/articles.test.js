@@ -0,0 +1,91 @@
+/**
+ * Article page rendering.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  renderArticle, renderIndex, writeArticles, fillTemplate,
+} = require('../scripts/articles');
+
+const TEMPLATES = path.join(__dirname, '..', 'scripts', 'templates');
+const BASE_URL = 'https://japanculture.com/article/';
+
+const item = (fields) => ({
+  id: '0123456789abcdef',
+  title: 'Jujutsu Kaisen Cafe <Shibuya>',
+  originalTitle: '呪術廻戦 コラボカフェ 渋谷',
+  summary: 'Limited menu & goods',
+  link: 'https://example.com/events/1?a=1&b=2',
+  image: 'https://example.com/jjk.jpg',
+  source: 'Collab Cafes & Events',
+  storeTag: 'Shibuya Area',
+  publishedAt: '2026-10-12T10:30:00+09:00',
+  category: 'events',
+  eventStart: '2026-10-20T00:00:00+09:00',
+  eventEnd: '2026-11-24T23:59:59+09:00',
+  ...fields,
+});
+
+test('fillTemplate escapes values except ...Html placeholders', () => {
+  assert.equal(fillTemplate('{{a}} {{bHtml}}', { a: '<a>', bHtml: '<b>' }), '&lt;a&gt; <b>');
+  assert.throws(() => fillTemplate('{{missing}}', {}), /\{\{missing\}\} has no value/);
+});
+
+test('article page shows titles, period, store, image and a prefilled request button', () => {
+  const template = fs.readFileSync(path.join(TEMPLATES, 'article.html'), 'utf-8');
+  const html = renderArticle(item(), template, BASE_URL);
+
+  assert.match(html, /<h1>Jujutsu Kaisen Cafe &lt;Shibuya&gt;<\/h1>/);
+  assert.match(html, /<p class="original-title" lang="ja">呪術廻戦 コラボカフェ 渋谷<\/p>/);
+  assert.match(html, /📅 Oct 20 – Nov 24/);
+  assert.match(html, /📍 Shibuya Area/);
+  assert.match(html, /<img src="https:\/\/example.com\/jjk.jpg"/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/japanculture.com\/article\/0123456789abcdef.html">/);
+  assert.match(html, /data-item-name="Jujutsu Kaisen Cafe &lt;Shibuya&gt; \(呪術廻戦 コラボカフェ 渋谷\)"/);
+  assert.match(html, /data-item-url="https:\/\/example.com\/events\/1\?a=1&amp;b=2"/);
+  assert.match(html, /onclick="openRequestForm\('event', this.dataset.itemName, this.dataset.itemUrl\)"/);
+  assert.doesNotMatch(html, /\{\{/);
+});
+
+test('mirrored images are resolved from the site root', () => {
+  const template = fs.readFileSync(path.join(TEMPLATES, 'article.html'), 'utf-8');
+  const html = renderArticle(item({ image: 'images/news/0123456789abcdef.webp' }), template, BASE_URL);
+
+  assert.match(html, /<img src="\.\.\/images\/news\/0123456789abcdef\.webp"/);
+  assert.match(html, /og:image" content="https:\/\/japanculture.com\/images\/news\/0123456789abcdef\.webp"/);
+});
+
+test('untranslated items without a period skip the optional parts', () => {
+  const template = fs.readFileSync(path.join(TEMPLATES, 'article.html'), 'utf-8');
+  const html = renderArticle(item({
+    originalTitle: undefined, eventStart: null, eventEnd: null, image: null,
+  }), template, BASE_URL);
+
+  assert.doesNotMatch(html, /original-title"/);
+  assert.doesNotMatch(html, /📅/);
+  assert.doesNotMatch(html, /og:image/);
+  assert.match(html, /placeholder.svg/);
+});
+
+test('writeArticles writes pages and an index, and prunes only generated pages', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'articles-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'sample-item.html'), 'hand-written');
+    fs.writeFileSync(path.join(dir, 'fedcba9876543210.html'), 'stale');
+
+    const result = writeArticles([item()], dir, BASE_URL);
+    assert.deepEqual(result, { written: 1, removed: 1 });
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['0123456789abcdef.html', 'index.html', 'sample-item.html']);
+
+    const index = fs.readFileSync(path.join(dir, 'index.html'), 'utf-8');
+    assert.match(index, /<a class="item-card" href="0123456789abcdef.html">/);
+    assert.equal(index, renderIndex([item()], fs.readFileSync(path.join(TEMPLATES, 'article-index.html'), 'utf-8'), BASE_URL));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
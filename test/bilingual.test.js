@@ -0,0 +1,92 @@
+/**
+ * Bilingual title/summary of news.json items.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  toBilingual, textIn, allTexts, itemTexts, localizeItem, upgradeItem,
+} = require('../scripts/bilingual');
+
+const translated = {
+  title: 'Jujutsu Kaisen Cafe',
+  summary: 'Held in Shibuya with limited goods.',
+  originalTitle: '呪術廻戦 カフェ',
+  originalSummary: '渋谷で開催、限定グッズも登場。',
+  language: 'ja',
+  translated: true,
+};
+
+test('translated, untranslated and English pipeline items', () => {
+  assert.deepEqual(toBilingual(translated), {
+    title: { ja: '呪術廻戦 カフェ', en: 'Jujutsu Kaisen Cafe' },
+    summary: { ja: '渋谷で開催、限定グッズも登場。', en: 'Held in Shibuya with limited goods.' },
+  });
+  assert.deepEqual(toBilingual({ title: '呪術廻戦 カフェ', summary: '', language: 'ja' }), {
+    title: { ja: '呪術廻戦 カフェ', en: null },
+    summary: { ja: '', en: null },
+  });
+  assert.deepEqual(toBilingual({ title: 'Pokemon Center news', summary: 'New goods', language: 'en' }), {
+    title: { ja: null, en: 'Pokemon Center news' },
+    summary: { ja: null, en: 'New goods' },
+  });
+});
+
+test('a summary whose translation failed has no English', () => {
+  const titleOnly = { ...translated, summary: '' };
+  assert.deepEqual(toBilingual(titleOnly).summary, { ja: '渋谷で開催、限定グッズも登場。', en: null });
+  assert.equal(localizeItem({ ...toBilingual(titleOnly) }, 'en').summary, '渋谷で開催、限定グッズも登場。');
+  assert.deepEqual(toBilingual({ ...translated, summary: '', originalSummary: '' }).summary, { ja: '', en: '' });
+});
+
+test('textIn falls back to the other language; allTexts lists both', () => {
+  assert.equal(textIn({ ja: 'カフェ', en: 'Cafe' }, 'ja'), 'カフェ');
+  assert.equal(textIn({ ja: 'カフェ', en: null }, 'en'), 'カフェ');
+  assert.equal(textIn('Cafe', 'ja'), 'Cafe');
+  assert.equal(textIn(null), '');
+  assert.deepEqual(allTexts({ ja: 'カフェ', en: 'Cafe' }), ['カフェ', 'Cafe']);
+  assert.deepEqual(allTexts({ ja: '', en: null }), []);
+});
+
+test('itemTexts reads pipeline and output items alike', () => {
+  const texts = ['Jujutsu Kaisen Cafe', '呪術廻戦 カフェ', 'Held in Shibuya with limited goods.', '渋谷で開催、限定グッズも登場。'];
+  assert.deepEqual(itemTexts(translated), texts);
+  assert.deepEqual([...itemTexts(toBilingual(translated))].sort(), [...texts].sort());
+  assert.deepEqual(itemTexts({ title: '呪術廻戦 カフェ', summary: '' }), ['呪術廻戦 カフェ']);
+});
+
+test('localizeItem gives English pages the Japanese title as originalTitle', () => {
+  const item = { id: 'a', ...toBilingual(translated) };
+  assert.deepEqual(localizeItem(item, 'en'), {
+    id: 'a',
+    title: 'Jujutsu Kaisen Cafe',
+    summary: 'Held in Shibuya with limited goods.',
+    originalTitle: '呪術廻戦 カフェ',
+  });
+  assert.equal(localizeItem(item, 'ja').title, '呪術廻戦 カフェ');
+  assert.equal(localizeItem(item, 'ja').originalTitle, undefined);
+});
+
+test('items in the single-language format are upgraded', () => {
+  assert.deepEqual(upgradeItem({
+    id: 'a',
+    title: 'Jujutsu Kaisen Cafe',
+    summary: 'Held in Shibuya',
+    originalTitle: '呪術廻戦 カフェ',
+    language: 'en',
+    translated: true,
+  }), {
+    id: 'a',
+    title: { ja: '呪術廻戦 カフェ', en: 'Jujutsu Kaisen Cafe' },
+    summary: { ja: null, en: 'Held in Shibuya' },
+    language: 'ja',
+    translated: true,
+  });
+  assert.deepEqual(upgradeItem({
+    id: 'b', title: '呪術廻戦 カフェ', summary: '渋谷で開催', language: 'ja', translated: false,
+  }).title, { ja: '呪術廻戦 カフェ', en: null });
+
+  const current = { id: 'c', title: { ja: 'カフェ', en: 'Cafe' }, summary: { ja: '', en: '' } };
+  assert.equal(upgradeItem(current), current);
+});
@@ -0,0 +1,81 @@
+/**
+ * Run-to-run diff: NEW / UPDATED markers and the changes.json lists.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { markChanges, compareItems } = require('../scripts/changes');
+const { validateOutput } = require('../scripts/output');
+
+const item = (id, fields = {}) => ({
+  id: id.repeat(16),
+  title: { ja: `Item ${id}`, en: null },
+  summary: { ja: '', en: null },
+  link: `https://example.com/${id}`,
+  image: null,
+  source: 'nijimen',
+  publishedAt: '2026-10-10T09:00:00+09:00',
+  category: 'Event',
+  language: 'ja',
+  translated: false,
+  storeTag: 'Tokyo Events',
+  eventStart: null,
+  eventEnd: null,
+  ...fields,
+});
+
+const previous = {
+  lastUpdated: '2026-10-11T00:00:00.000Z',
+  items: [
+    item('a'),
+    item('b', { eventStart: '2026-10-01T00:00:00+09:00', eventEnd: '2026-10-31T23:59:59+09:00' }),
+    item('c'),
+  ],
+};
+
+test('new, updated and removed items are marked and listed', () => {
+  const { items, changes } = markChanges([
+    item('a'),
+    item('b', {
+      eventStart: '2026-10-01T00:00:00+09:00',
+      eventEnd: '2026-11-15T23:59:59+09:00',
+      image: '/images/news/b.webp',
+      imageSource: 'https://example.com/b.jpg',
+    }),
+    item('d'),
+  ], previous);
+
+  assert.deepEqual(items.map((entry) => [entry.isNew, entry.updatedFields]), [
+    [false, []],
+    [false, ['period', 'image']],
+    [true, []],
+  ]);
+  assert.equal(changes.previousUpdated, '2026-10-11T00:00:00.000Z');
+  assert.deepEqual(changes.added.map((entry) => entry.id), ['dddddddddddddddd']);
+  assert.deepEqual(changes.removed.map((entry) => entry.id), ['cccccccccccccccc']);
+  assert.deepEqual(changes.updated[0].fields, {
+    period: {
+      change: 'changed',
+      from: { start: '2026-10-01T00:00:00+09:00', end: '2026-10-31T23:59:59+09:00' },
+      to: { start: '2026-10-01T00:00:00+09:00', end: '2026-11-15T23:59:59+09:00' },
+    },
+    image: { change: 'added', from: null, to: 'https://example.com/b.jpg' },
+  });
+  assert.deepEqual(validateOutput({ lastUpdated: '2026-10-13T00:00:00.000Z', count: items.length, items }), []);
+});
+
+test('a new translation of the same title is not an update', () => {
+  const before = item('a', { title: { ja: 'カフェ', en: 'Cafe' }, translatedBy: 'google' });
+  const after = item('a', { title: { ja: 'カフェ', en: 'The cafe' }, translatedBy: 'deepl' });
+  assert.deepEqual(compareItems(before, after), {});
+  assert.deepEqual(Object.keys(compareItems(before, { ...after, title: { ja: 'カフェ 第2弾', en: 'The cafe' } })), ['title']);
+});
+
+test('without a previous news.json nothing is marked', () => {
+  const { items, changes } = markChanges([item('a')], null);
+  assert.deepEqual([items[0].isNew, items[0].updatedFields], [false, []]);
+  assert.deepEqual(changes, {
+    previousUpdated: null, added: [], updated: [], removed: [],
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * fetch-news.js option parsing.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { SOURCES } = require('../scripts/config');
+const { parseCliArgs } = require('../scripts/cli');
+
+test('defaults to every source, translation on, table format', () => {
+  const options = parseCliArgs([], SOURCES);
+  assert.equal(options.sources, SOURCES);
+  assert.equal(options.translate, true);
+  assert.equal(options.notify, true);
+  assert.equal(options.format, 'table');
+  assert.equal(options.limit, null);
+  assert.equal(options.since, null);
+});
+
+test('parses every option', () => {
+  const options = parseCliArgs([
+    '--source', 'nijimen', '--source', 'ANIMATE CAFE',
+    '--since', '2026-10-01', '--limit', '20', '--no-translate', '--no-notify',
+    '--output', 'out/news.json', '--dry-run', '--format', 'ndjson',
+  ], SOURCES);
+  assert.deepEqual(options.sources.map((s) => s.name), ['Animate Cafe', 'nijimen']);
+  assert.equal(options.since, '2026-10-01T00:00:00+09:00');
+  assert.equal(options.limit, 20);
+  assert.equal(options.translate, false);
+  assert.equal(options.notify, false);
+  assert.equal(options.output, path.resolve('out/news.json'));
+  assert.equal(options.format, 'ndjson');
+});
+
+test('rejects invalid values', () => {
+  assert.throws(() => parseCliArgs(['--source', 'nope'], SOURCES), /unknown source "nope"/);
+  assert.throws(() => parseCliArgs(['--since', 'someday'], SOURCES), /--since/);
+  assert.throws(() => parseCliArgs(['--limit', '2.5'], SOURCES), /positive integer/);
+  assert.throws(() => parseCliArgs(['--dry-run', '--format', 'xml'], SOURCES), /--format must be one of/);
+  assert.throws(() => parseCliArgs(['--format', 'json'], SOURCES), /only applies to --dry-run/);
+  assert.throws(() => parseCliArgs(['--record', 'a', '--replay', 'b'], SOURCES), /cannot be combined/);
+  assert.throws(() => parseCliArgs(['--bogus'], SOURCES), /Unknown option/);
+});
@@ -0,0 +1,98 @@
+/**
+ * Cross-source near-duplicate clustering.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { clusterItems } = require('../scripts/cluster');
+
+const item = (fields) => ({
+  summary: '',
+  link: `https://example.com/${fields.source}`,
+  image: null,
+  publishedAt: '2026-02-01T09:00:00+09:00',
+  eventStart: null,
+  eventEnd: null,
+  ...fields,
+});
+
+test('the same event from a venue-specific and a source-default store tag is merged', () => {
+  const merged = clusterItems([
+    item({
+      source: 'Collab Cafes & Events',
+      title: '呪術廻戦 コラボカフェ in アニメイト池袋',
+      storeTag: 'Animate Ikebukuro',
+      eventStart: '2026-03-01T00:00:00+09:00',
+    }),
+    item({
+      source: 'Animate Cafe',
+      title: '呪術廻戦 コラボカフェ in アニメイト池袋',
+      storeTag: 'Animate Cafe',
+      eventStart: '2026-03-01T10:00:00+09:00',
+    }),
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].sources.map((source) => source.name), ['Collab Cafes & Events', 'Animate Cafe']);
+});
+
+test('an undated, unplaced item does not chain two different events together', () => {
+  const merged = clusterItems([
+    item({
+      source: 'Collab Cafes & Events',
+      title: '呪術廻戦 コラボカフェ in アニメイト池袋',
+      storeTag: 'Animate Ikebukuro',
+      eventStart: '2026-03-01T00:00:00+09:00',
+    }),
+    item({
+      source: 'Animate Cafe',
+      title: '呪術廻戦 コラボカフェ in アニメイト渋谷',
+      storeTag: 'Shibuya Area',
+      eventStart: '2026-05-01T00:00:00+09:00',
+    }),
+    item({
+      source: 'nijimen',
+      title: '呪術廻戦 アニメイト コラボカフェ',
+      storeTag: 'Various',
+    }),
+  ]);
+
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged.map((entry) => entry.eventStart), ['2026-03-01T00:00:00+09:00', '2026-05-01T00:00:00+09:00']);
+  assert.equal(merged[0].sources.length + merged[1].sources.length, 3);
+});
+
+test('items placed in different areas are kept apart', () => {
+  const merged = clusterItems([
+    item({ source: 'Collab Cafes & Events', title: 'ハイキュー!! ポップアップストア 池袋' }),
+    item({ source: 'nijimen', title: 'ハイキュー!! ポップアップストア 大阪' }),
+  ]);
+  assert.equal(merged.length, 2);
+});
+
+test('a cluster keeps its archived id when a better-ranked member joins later', () => {
+  const cafe = item({
+    id: 'aaaaaaaaaaaaaaaa',
+    source: 'Collab Cafes & Events',
+    title: '呪術廻戦 コラボカフェ in アニメイト池袋',
+    publishedAt: '2026-02-05T09:00:00+09:00',
+  });
+  const [first] = clusterItems([cafe]);
+  assert.equal(first.id, 'aaaaaaaaaaaaaaaa');
+
+  // Next run: a source with structured dates reports the same event
+  const dated = item({
+    id: 'bbbbbbbbbbbbbbbb',
+    source: 'Animate Cafe',
+    title: '呪術廻戦 コラボカフェ in アニメイト池袋',
+    eventStart: '2026-03-01T00:00:00+09:00',
+    eventConfidence: 'source',
+  });
+  const [again] = clusterItems([cafe, dated], { knownIds: new Set([first.id]) });
+  assert.equal(again.id, 'aaaaaaaaaaaaaaaa');
+  assert.equal(again.link, dated.link);
+
+  // Without history the best-ranked member provides the id
+  assert.equal(clusterItems([cafe, dated])[0].id, 'bbbbbbbbbbbbbbbb');
+});
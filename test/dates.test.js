@@ -0,0 +1,70 @@
+/**
+ * Source date normalization to JST.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSourceDate, toJstIso, normalizeItemDates } = require('../scripts/dates');
+
+test('naive source dates are read as Japan local time', () => {
+  assert.equal(toJstIso('2026-02-28 00:00:00'), '2026-02-28T00:00:00+09:00');
+  assert.equal(toJstIso('2026/3/1 18:30'), '2026-03-01T18:30:00+09:00');
+  assert.equal(toJstIso('2026-02-28T12:00:00.000'), '2026-02-28T12:00:00+09:00');
+  assert.equal(toJstIso('20260301'), '2026-03-01T00:00:00+09:00');
+});
+
+test('date-only values can mean the end of the day', () => {
+  assert.equal(toJstIso('2026-03-15', { endOfDay: true }), '2026-03-15T23:59:59+09:00');
+  // An explicit time is kept as given
+  assert.equal(toJstIso('2026-03-15 10:00', { endOfDay: true }), '2026-03-15T10:00:00+09:00');
+});
+
+test('dates with an offset are converted to JST', () => {
+  assert.equal(toJstIso('Fri, 27 Feb 2026 16:00:00 GMT'), '2026-02-28T01:00:00+09:00');
+  assert.equal(toJstIso('2026-02-27T23:30:00-05:00'), '2026-02-28T13:30:00+09:00');
+  assert.equal(toJstIso('2026-02-28T00:00:00+09:00'), '2026-02-28T00:00:00+09:00');
+});
+
+test('missing, impossible and unparseable dates give a reason', () => {
+  assert.deepEqual(parseSourceDate(''), { iso: null, reason: 'missing' });
+  assert.deepEqual(parseSourceDate(null), { iso: null, reason: 'missing' });
+  assert.deepEqual(parseSourceDate('2026-02-30'), { iso: null, reason: 'invalid' });
+  assert.deepEqual(parseSourceDate('2026-02-28 25:00'), { iso: null, reason: 'invalid' });
+  assert.deepEqual(parseSourceDate('来月上旬'), { iso: null, reason: 'unparseable' });
+});
+
+test('item dates are normalized and problems reported', () => {
+  const { item, issues } = normalizeItemDates({
+    title: 'Collab cafe',
+    publishedAt: '2026-02-20 09:00:00',
+    eventStart: '2026-03-01',
+    eventEnd: '2026-03-15',
+  });
+  assert.equal(item.title, 'Collab cafe');
+  assert.equal(item.publishedAt, '2026-02-20T09:00:00+09:00');
+  assert.equal(item.eventStart, '2026-03-01T00:00:00+09:00');
+  assert.equal(item.eventEnd, '2026-03-15T23:59:59+09:00');
+  assert.deepEqual(issues, []);
+});
+
+test('a missing publish date is an issue, a missing event date is not', () => {
+  const { item, issues } = normalizeItemDates({ publishedAt: null, eventStart: null, eventEnd: 'TBA' });
+  assert.equal(item.publishedAt, null);
+  assert.equal(item.eventEnd, null);
+  assert.deepEqual(issues, [
+    { field: 'publishedAt', value: null, reason: 'missing' },
+    { field: 'eventEnd', value: 'TBA', reason: 'unparseable' },
+  ]);
+});
+
+test('an event that ends before it starts loses its end date', () => {
+  const { item, issues } = normalizeItemDates({
+    publishedAt: '2026-02-20',
+    eventStart: '2026-03-10',
+    eventEnd: '2026-03-01',
+  });
+  assert.equal(item.eventStart, '2026-03-10T00:00:00+09:00');
+  assert.equal(item.eventEnd, null);
+  assert.deepEqual(issues, [{ field: 'eventEnd', value: '2026-03-01', reason: 'before eventStart' }]);
+});
@@ -0,0 +1,59 @@
+/**
+ * Event period extraction from Japanese text.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractEventPeriod, fillEventPeriod } = require('../scripts/event-period');
+
+const PUBLISHED = '2026-02-10T12:00:00+09:00';
+const period = (text, publishedAt = PUBLISHED) => extractEventPeriod({ title: text }, publishedAt);
+
+test('ranges with years, weekdays and full-width digits', () => {
+  assert.deepEqual(period('開催期間：2026年3月5日(木)～4月1日(水)'), {
+    eventStart: '2026-03-05', eventEnd: '2026-04-01', confidence: 'high',
+  });
+  assert.deepEqual(period('期間：２０２６／３／５（木・祝）～２０２６／４／１'), {
+    eventStart: '2026-03-05', eventEnd: '2026-04-01', confidence: 'high',
+  });
+  assert.deepEqual(period('会期：令和8年3月5日～10日'), {
+    eventStart: '2026-03-05', eventEnd: '2026-03-10', confidence: 'high',
+  });
+});
+
+test('open-ended ranges and lone dates', () => {
+  assert.deepEqual(period('期間：3/5～'), {
+    eventStart: '2026-03-05', eventEnd: null, confidence: 'medium',
+  });
+  // A date without a label or a range is a news date, not a period
+  assert.equal(period('3月5日に新商品を発表'), null);
+});
+
+test('a same-day time range ends on the start day', () => {
+  assert.deepEqual(period('期間：2026年3月5日(木)10:00～18:00'), {
+    eventStart: '2026-03-05', eventEnd: '2026-03-05', confidence: 'high',
+  });
+  assert.deepEqual(period('日時：3月5日(木)10:00～18:00'), {
+    eventStart: '2026-03-05', eventEnd: '2026-03-05', confidence: 'high',
+  });
+});
+
+test('missing years are inferred from the publish date in Japan time', () => {
+  // 2026-07-31T16:00Z is already August 1 in Japan, so January is next year
+  assert.equal(period('期間：1月5日～1月10日', '2026-07-31T16:00:00Z').eventStart, '2027-01-05');
+  // A range that crosses the new year
+  assert.deepEqual(period('期間：12月20日～1月5日', '2026-12-01T12:00:00+09:00'), {
+    eventStart: '2026-12-20', eventEnd: '2027-01-05', confidence: 'high',
+  });
+});
+
+test('fillEventPeriod keeps structured source dates', () => {
+  const item = { title: '期間：3月5日～3月10日', eventStart: '2026-04-01T00:00:00+09:00', publishedAt: PUBLISHED };
+  assert.equal(fillEventPeriod(item).eventConfidence, 'source');
+  assert.equal(fillEventPeriod(item).eventStart, '2026-04-01T00:00:00+09:00');
+
+  const filled = fillEventPeriod({ title: '期間：3月5日～3月10日', publishedAt: PUBLISHED });
+  assert.equal(filled.eventStart, '2026-03-05');
+  assert.equal(filled.eventEnd, '2026-03-10');
+});
@@ -0,0 +1,115 @@
+/**
+ * iCalendar, Atom and JSON Feed builders.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { FEEDS } = require('../scripts/config');
+const {
+  buildCalendar, buildAtomFeed, buildJsonFeed, foldIcsLine,
+} = require('../scripts/feeds');
+
+const NOW = new Date('2026-10-13T00:00:00Z');
+
+const item = (fields) => ({
+  id: '0123456789abcdef',
+  title: 'Chainsaw Man Cafe; Shibuya, Tokyo',
+  summary: 'Limited menu & goods',
+  link: 'https://example.com/events/1',
+  image: null,
+  source: 'Example',
+  storeTag: 'Shibuya Area',
+  publishedAt: '2026-10-10T12:00:00+09:00',
+  category: 'cafe',
+  franchises: ['chainsaw-man'],
+  eventStart: null,
+  eventEnd: null,
+  ...fields,
+});
+
+/**
+ * Unfold the calendar and return the lines of its VEVENTs.
+ * @param {string} ics
+ * @returns {string[][]} Lines per event
+ */
+function events(ics) {
+  const lines = ics.replace(/\r\n /g, '').split('\r\n');
+  const result = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') current = [];
+    else if (line === 'END:VEVENT') result.push(current);
+    else if (current) current.push(line);
+  }
+  return result;
+}
+
+test('calendar: date-only periods become all-day events with exclusive DTEND', () => {
+  const { ics, count } = buildCalendar([
+    item({ eventStart: '2026-10-20T00:00:00+09:00', eventEnd: '2026-11-24T23:59:59+09:00' }),
+    item({ id: 'fedcba9876543210', eventStart: '2026-11-01T00:00:00+09:00' }),
+    item({ id: '1111111111111111' }),
+  ], FEEDS, NOW);
+
+  assert.equal(count, 2);
+  const [period, openEnded] = events(ics);
+  assert.ok(period.includes('DTSTART;VALUE=DATE:20261020'));
+  assert.ok(period.includes('DTEND;VALUE=DATE:20261125'));
+  assert.ok(openEnded.includes('DTSTART;VALUE=DATE:20261101'));
+  assert.ok(openEnded.includes('DTEND;VALUE=DATE:20261102'));
+  assert.ok(period.includes('SUMMARY:Chainsaw Man Cafe\\; Shibuya\\, Tokyo'));
+  assert.ok(period.includes('UID:0123456789abcdef@japanculture.com'));
+  assert.ok(period.includes('DTSTAMP:20261013T000000Z'));
+});
+
+test('calendar: events with times are timed events in Asia/Tokyo', () => {
+  const { ics } = buildCalendar([
+    item({ eventStart: '2026-10-18T02:00:00Z', eventEnd: '2026-11-16T20:00:00+09:00' }),
+  ], FEEDS, NOW);
+
+  assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:Asia\/Tokyo/);
+  const [event] = events(ics);
+  assert.ok(event.includes('DTSTART;TZID=Asia/Tokyo:20261018T110000'));
+  assert.ok(event.includes('DTEND;TZID=Asia/Tokyo:20261116T200000'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('calendar: long lines fold at 75 octets without splitting characters', () => {
+  const line = `SUMMARY:${'呪術廻戦'.repeat(20)}`;
+  const folded = foldIcsLine(line);
+  for (const part of folded.split('\r\n')) {
+    assert.ok(Buffer.byteLength(part) <= 75);
+  }
+  assert.equal(folded.replace(/\r\n /g, ''), line);
+});
+
+test('atom feed: escapes text and links every item', () => {
+  const xml = buildAtomFeed([item({ image: 'https://example.com/a.jpg?x=1&y=2' })], FEEDS, '2026-10-13T00:00:00.000Z');
+  assert.match(xml, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+  assert.match(xml, /<link rel="self" href="https:\/\/japanculture.com\/data\/feed.atom"\/>/);
+  assert.match(xml, /<summary>Limited menu &amp; goods<\/summary>/);
+  assert.match(xml, /<link rel="enclosure" href="https:\/\/example.com\/a.jpg\?x=1&amp;y=2"\/>/);
+  assert.match(xml, /<category term="chainsaw-man"\/>/);
+});
+
+test('json feed: version 1.1 with event fields in the extension', () => {
+  const feed = buildJsonFeed([item({ eventStart: '2026-10-20T00:00:00+09:00' })], FEEDS);
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(feed.feed_url, 'https://japanculture.com/data/feed.json');
+  assert.equal(feed.items[0].url, 'https://example.com/events/1');
+  assert.equal(feed.items[0].date_published, '2026-10-10T12:00:00+09:00');
+  assert.deepEqual(feed.items[0].tags, ['cafe', 'chainsaw-man']);
+  assert.equal(feed.items[0]._japanculture.eventStart, '2026-10-20T00:00:00+09:00');
+});
+
+test('feeds: modified time is the last content change, not the last run', () => {
+  const archived = item({
+    firstSeenAt: '2026-10-01T00:00:00.000Z',
+    lastSeenAt: '2026-10-13T00:00:00.000Z',
+    updatedAt: '2026-10-05T00:00:00.000Z',
+  });
+  const xml = buildAtomFeed([archived], FEEDS, '2026-10-13T00:00:00.000Z');
+  assert.match(xml, /<updated>2026-10-05T00:00:00.000Z<\/updated>/);
+  assert.equal(buildJsonFeed([archived], FEEDS).items[0].date_modified, '2026-10-05T00:00:00.000Z');
+});
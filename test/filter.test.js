@@ -0,0 +1,121 @@
+/**
+ * filterAnimeGoods tests on items replayed from fixtures/recording/.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const http = require('../scripts/http');
+const { SOURCES } = require('../scripts/config');
+const { fetchSources } = require('../scripts/sources');
+const {
+  filterAnimeGoods, loadFilterRules, explainItem, isChainCollab,
+} = require('../scripts/filter');
+
+const RECORDING = path.join(__dirname, 'fixtures', 'recording');
+
+let items = [];
+
+before(async () => {
+  http.configure({ replayDir: RECORDING });
+  items = await fetchSources(SOURCES);
+});
+after(() => http.configure());
+
+test('removes chain-store collabs and repeated titles from recorded items', () => {
+  assert.equal(items.length, 10);
+  const filtered = filterAnimeGoods(items).items;
+  const links = filtered.map((item) => item.link);
+
+  assert.equal(filtered.length, 8);
+  // Nationwide Lawson campaign
+  assert.ok(!links.includes('https://collabo-cafe.com/events/collabo/chiikawa-lawson-campaign2026/'));
+  // Same title as the collabo-cafe post, which came first
+  assert.ok(!links.includes('https://www.animate.co.jp/onlyshop/jujutsu-kaisen-cafe-shibuya/'));
+  assert.ok(links.includes('https://collabo-cafe.com/events/collabo/jujutsu-kaisen-cafe-shibuya2026/'));
+});
+
+test('records the rule, field and text behind every exclusion', () => {
+  const { excluded } = filterAnimeGoods(items);
+  const lawson = excluded.find((entry) => entry.reason === 'exclude');
+  assert.equal(lawson.link, 'https://collabo-cafe.com/events/collabo/chiikawa-lawson-campaign2026/');
+  assert.equal(lawson.rule, 'lawson');
+  assert.equal(lawson.group, 'Convenience stores');
+  assert.equal(lawson.field, 'title');
+  assert.equal(lawson.match, 'ローソン');
+
+  const duplicate = excluded.find((entry) => entry.reason === 'duplicate');
+  assert.equal(duplicate.duplicateOf, 'https://collabo-cafe.com/events/collabo/jujutsu-kaisen-cafe-shibuya2026/');
+});
+
+test('drops items without a title or link', () => {
+  const { items: filtered, excluded } = filterAnimeGoods([
+    { title: '  ', link: 'https://example.com/a' },
+    { title: 'No link', link: '' },
+    { title: 'Kept', link: 'https://example.com/b' },
+  ]);
+  assert.deepEqual(filtered.map((item) => item.title), ['Kept']);
+  assert.deepEqual(excluded.map((entry) => [entry.reason, entry.field]), [['invalid', 'title'], ['invalid', 'link']]);
+});
+
+test('chain matching keeps ichiban kuji and respects word boundaries', () => {
+  assert.equal(isChainCollab('ローソン 一番くじ 呪術廻戦', '', ''), false);
+  assert.equal(isChainCollab('Now available at Animate', '', ''), false);
+  assert.equal(isChainCollab('Chiikawa x Lawson campaign', '', ''), true);
+  assert.equal(isChainCollab('Haikyu!! Cafe', '', 'ハイキュー!! × ファミリーマート'), true);
+});
+
+/**
+ * Load rules from a temporary rules file.
+ * @param {Object} raw - Rules file contents
+ * @returns {Object} Output of loadFilterRules()
+ */
+function rulesFrom(raw) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filter-rules-'));
+  try {
+    const file = path.join(dir, 'filter-rules.json');
+    fs.writeFileSync(file, JSON.stringify(raw));
+    return loadFilterRules(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('keep rules, regex mode, include lists and per-source overrides', () => {
+  const rules = rulesFrom({
+    exclude: [
+      { id: 'lawson', patterns: ['lawson'] },
+      { id: 'lottery', mode: 'regex', patterns: ['くじ(引き)?キャンペーン'], fields: ['originalTitle'] },
+    ],
+    keep: [{ id: 'kuji', patterns: ['ichiban kuji'] }],
+    sources: {
+      Shop: { disable: ['lawson'], include: [{ id: 'cafe', mode: 'substring', patterns: ['cafe'] }] },
+    },
+  });
+
+  const lottery = explainItem({ title: 'Lottery', originalTitle: 'ちいかわ くじ引きキャンペーン' }, rules);
+  assert.equal(lottery.excluded, true);
+  assert.deepEqual(lottery.matched, {
+    rule: 'lottery', group: null, field: 'originalTitle', pattern: 'くじ(引き)?キャンペーン', match: 'くじ引きキャンペーン',
+  });
+
+  const kept = explainItem({ title: 'Lawson Ichiban Kuji' }, rules);
+  assert.equal(kept.excluded, false);
+  assert.equal(kept.matched.rule, 'lawson');
+  assert.equal(kept.keptBy.rule, 'kuji');
+
+  assert.equal(explainItem({ title: 'Lawson Cafe', source: 'Shop' }, rules).excluded, false);
+  const notIncluded = explainItem({ title: 'Lawson goods', source: 'Shop' }, rules);
+  assert.equal(notIncluded.excluded, true);
+  assert.equal(notIncluded.reason, 'not-included');
+  assert.equal(explainItem({ title: 'Lawson goods', source: 'Other' }, rules).reason, 'exclude');
+});
+
+test('invalid rules fail with the rule location', () => {
+  assert.throws(() => rulesFrom({ exclude: [{ id: 'x', mode: 'fuzzy', patterns: ['a'] }] }), /exclude\[0\] \(x\): unknown mode "fuzzy"/);
+  assert.throws(() => rulesFrom({ sources: { A: { keep: [{ id: 'y', mode: 'regex', patterns: ['('] }] } } }), /sources\.A\.keep\[0\] \(y\): invalid pattern/);
+  assert.throws(() => rulesFrom({ include: [{ patterns: ['a'] }] }), /include\[0\]: rule has no "id"/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Franchise tagging from the alias dictionary.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadFranchises, detectFranchises, tagFranchises } = require('../scripts/franchises');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'franchises-'));
+const dictionaryFile = path.join(dir, 'franchises.json');
+fs.writeFileSync(dictionaryFile, JSON.stringify({
+  'jujutsu-kaisen': {
+    name: 'Jujutsu Kaisen',
+    titles: ['呪術廻戦', 'Jujutsu Kaisen'],
+    abbreviations: ['呪術', 'JJK'],
+    characters: ['五条悟', 'Gojo'],
+  },
+  'attack-on-titan': {
+    name: 'Attack on Titan',
+    titles: ['進撃の巨人', 'Attack on Titan'],
+    abbreviations: ['AoT'],
+    characters: ['Levi'],
+  },
+}));
+const franchises = loadFranchises(dictionaryFile);
+
+test('Japanese aliases match anywhere in the text', () => {
+  assert.deepEqual(detectFranchises({ title: 'TVアニメ『呪術廻戦』POP UP SHOP' }, franchises), ['jujutsu-kaisen']);
+  assert.deepEqual(detectFranchises({ title: 'Collab cafe', content: '五条悟の描き下ろしイラスト' }, franchises), ['jujutsu-kaisen']);
+});
+
+test('Latin aliases match whole words, ignoring case and width', () => {
+  assert.deepEqual(detectFranchises({ title: 'jjk pop-up store' }, franchises), ['jujutsu-kaisen']);
+  assert.deepEqual(detectFranchises({ title: 'ＡｏＴ Final Season cafe' }, franchises), ['attack-on-titan']);
+  assert.deepEqual(detectFranchises({ title: 'Levis denim collaboration' }, franchises), []);
+  assert.deepEqual(detectFranchises({ title: 'Chocolate goods sale' }, franchises), []);
+});
+
+test('the original title counts and several franchises come in dictionary order', () => {
+  const item = { title: 'Crossover cafe', originalTitle: '進撃の巨人×呪術廻戦 コラボカフェ' };
+  assert.deepEqual(detectFranchises(item, franchises), ['jujutsu-kaisen', 'attack-on-titan']);
+});
+
+test('every item is tagged and unmatched items are reported', () => {
+  const { items, untagged } = tagFranchises([
+    { id: 'a', title: 'Gojo birthday cafe', source: 'nijimen' },
+    { id: 'b', title: 'Original goods fair', originalTitle: 'オリジナルグッズフェア', source: 'Animate Cafe' },
+  ], franchises);
+
+  assert.deepEqual(items.map((item) => item.franchises), [['jujutsu-kaisen'], []]);
+  assert.deepEqual(untagged, [
+    { id: 'b', title: 'Original goods fair', originalTitle: 'オリジナルグッズフェア', source: 'Animate Cafe' },
+  ]);
+});
+
+test('the bundled dictionary loads and every franchise has aliases', () => {
+  const bundled = loadFranchises();
+  assert.ok(bundled.length > 0);
+  for (const franchise of bundled) {
+    assert.ok(franchise.name, franchise.id);
+    assert.ok(franchise.matchers.length > 0, franchise.id);
+  }
+});
@@ -0,0 +1,160 @@
+/**
+ * Shared HTTP client against a mock server: retries with backoff,
+ * conditional GETs and per-host politeness.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('http');
+
+const { HTTP } = require('../scripts/config');
+const { get, post, mapWithConcurrency } = require('../scripts/http');
+
+// Keep the suite fast and off the real cache
+HTTP.backoffMs = 20;
+HTTP.hostDelayMs = 0;
+HTTP.cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-'));
+
+/**
+ * Start a mock server on a free port.
+ * @param {Function} handler - (req, res) => void
+ * @returns {Promise<{url: string, close: Function}>} Base URL and a close function
+ */
+async function serve(handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => { server.close(resolve); }),
+  };
+}
+
+test('5xx responses are retried with growing backoff', async () => {
+  const seen = [];
+  const server = await serve((req, res) => {
+    seen.push(Date.now());
+    if (seen.length < 3) {
+      res.writeHead(503).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+  });
+
+  try {
+    const res = await get(`${server.url}/feed`, { cache: false });
+    assert.deepEqual(res.data, { ok: true });
+    assert.equal(seen.length, 3);
+    // First retry waits at least backoffMs, the second at least twice that
+    assert.ok(seen[1] - seen[0] >= HTTP.backoffMs);
+    assert.ok(seen[2] - seen[1] >= HTTP.backoffMs * 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('client errors are not retried and retries run out', async () => {
+  let requests = 0;
+  const server = await serve((req, res) => {
+    requests++;
+    res.writeHead(req.url === '/missing' ? 404 : 500).end();
+  });
+
+  try {
+    await assert.rejects(get(`${server.url}/missing`, { cache: false }), (err) => err.response.status === 404);
+    assert.equal(requests, 1);
+
+    requests = 0;
+    await assert.rejects(get(`${server.url}/broken`, { cache: false, retries: 2 }), (err) => err.response.status === 500);
+    assert.equal(requests, 3);
+  } finally {
+    await server.close();
+  }
+});
+
+test('an unchanged resource comes back from the cache on 304', async () => {
+  const conditional = [];
+  const server = await serve((req, res) => {
+    conditional.push(req.headers['if-none-match'] || null);
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' }).end('{"items":[1,2]}');
+  });
+
+  try {
+    const first = await get(`${server.url}/wp-json/posts`, { params: { per_page: 20 } });
+    assert.equal(first.fromCache, false);
+
+    const second = await get(`${server.url}/wp-json/posts`, { params: { per_page: 20 } });
+    assert.equal(second.status, 304);
+    assert.equal(second.fromCache, true);
+    assert.deepEqual(second.data, { items: [1, 2] });
+
+    // Different parameters are a different cache entry
+    await get(`${server.url}/wp-json/posts`, { params: { per_page: 50 } });
+    assert.deepEqual(conditional, [null, '"v1"', null]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('POST requests are never conditional', async () => {
+  const conditional = [];
+  const server = await serve((req, res) => {
+    conditional.push(req.headers['if-none-match'] || null);
+    res.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' }).end('{}');
+  });
+
+  try {
+    await post(`${server.url}/translate`, { text: ['a'] });
+    await post(`${server.url}/translate`, { text: ['a'] });
+    assert.deepEqual(conditional, [null, null]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requests to one host run one at a time, hostDelayMs apart', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const starts = [];
+  const server = await serve((req, res) => {
+    starts.push(Date.now());
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    setTimeout(() => {
+      inFlight--;
+      res.writeHead(200).end('ok');
+    }, 10);
+  });
+
+  HTTP.hostDelayMs = 50;
+  try {
+    await Promise.all([1, 2, 3].map((n) => get(`${server.url}/${n}`, { cache: false })));
+    assert.equal(maxInFlight, 1);
+    assert.ok(starts[1] - starts[0] >= 45);
+    assert.ok(starts[2] - starts[1] >= 45);
+  } finally {
+    HTTP.hostDelayMs = 0;
+    await server.close();
+  }
+});
+
+test('mapWithConcurrency bounds calls in flight and keeps the order', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((r) => setTimeout(r, ms));
+    inFlight--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(maxInFlight, 2);
+});
@@ -0,0 +1,131 @@
+/**
+ * Image mirroring: size rules, perceptual hashes and the mirror directory,
+ * using the image recordings in fixtures/recording/.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const http = require('../scripts/http');
+const { IMAGES } = require('../scripts/config');
+const {
+  mirrorImages, pruneImages, differenceHash, hammingDistance, classifyImage,
+} = require('../scripts/images');
+
+const RECORDING = path.join(__dirname, 'fixtures', 'recording');
+
+const JJK = 'https://collabo-cafe.com/wp-content/uploads/jjk-cafe-main.jpg';
+const HAIKYU = 'https://www.animate.co.jp/wp-content/uploads/haikyu-onlyshop.jpg';
+const KIMETSU = 'https://nijimen.kusuguru.co.jp/wp-content/uploads/kimetsu-cafe-150x150.jpg';
+const ONE_PIECE = 'https://nijimen.kusuguru.co.jp/wp-content/uploads/onepiece-popup.jpg';
+
+/**
+ * Mirror items from the recording into a fresh temporary directory.
+ * @param {Array} items - Items with source image URLs
+ * @param {Function} fn - (mirrored, dir) => void
+ */
+async function withMirror(items, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+  http.configure({ replayDir: RECORDING });
+  try {
+    await fn(await mirrorImages(items, { dir, publicPath: IMAGES.publicPath, rules: IMAGES }), dir);
+  } finally {
+    http.configure();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('classifyImage rejects tiny images and banners', () => {
+  assert.equal(classifyImage({ width: 640, height: 360, bytes: 10000 }, IMAGES), null);
+  assert.equal(classifyImage({ width: 150, height: 150, bytes: 10000 }, IMAGES), 'tiny');
+  assert.equal(classifyImage({ width: 640, height: 360, bytes: 500 }, IMAGES), 'tiny');
+  assert.equal(classifyImage({ width: 960, height: 200, bytes: 10000 }, IMAGES), 'banner');
+});
+
+test('differenceHash is stable under resizing and tells pictures apart', async () => {
+  const recorded = (url) => {
+    const file = http.recordingFile(RECORDING, 'GET', url);
+    return Buffer.from(JSON.parse(fs.readFileSync(file, 'utf-8')).data, 'base64');
+  };
+  const jjk = recorded(JJK);
+  const smaller = await sharp(jjk).resize({ width: 320 }).jpeg({ quality: 60 }).toBuffer();
+
+  const hash = await differenceHash(jjk);
+  assert.match(hash, /^[0-9a-f]{16}$/);
+  assert.ok(hammingDistance(hash, await differenceHash(smaller)) <= IMAGES.hashDistance);
+  assert.ok(hammingDistance(hash, await differenceHash(recorded(HAIKYU))) > IMAGES.hashDistance);
+  assert.equal(hammingDistance('00000000000000ff', '000000000000000f'), 4);
+});
+
+test('mirrorImages writes webp files and rewrites image fields', async () => {
+  const items = [
+    { id: 'a', image: JJK },
+    { id: 'b', image: KIMETSU },
+    { id: 'c', image: ONE_PIECE },
+    { id: 'd', image: 'https://example.com/missing.jpg' },
+    { id: 'e', image: null },
+  ];
+  await withMirror(items, (mirrored, dir) => {
+    const [jjk, kimetsu, onePiece, missing, none] = mirrored;
+    assert.match(jjk.image, /^images\/news\/[0-9a-f]{16}\.webp$/);
+    assert.equal(jjk.thumbnail, jjk.image.replace('.webp', '-thumb.webp'));
+    assert.equal(jjk.imageSource, JJK);
+    assert.ok(fs.existsSync(path.join(dir, path.basename(jjk.image))));
+    assert.ok(fs.existsSync(path.join(dir, path.basename(jjk.thumbnail))));
+
+    for (const rejected of [kimetsu, onePiece, missing]) {
+      assert.equal(rejected.image, null);
+      assert.equal(rejected.thumbnail, null);
+    }
+    assert.equal(missing.imageSource, 'https://example.com/missing.jpg');
+    assert.deepEqual(none, { id: 'e', image: null });
+
+    // Broken downloads are retried next run; everything else is remembered
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'));
+    assert.deepEqual(Object.keys(index).sort(), [JJK, KIMETSU, ONE_PIECE].sort());
+    assert.equal(index[KIMETSU].status, 'tiny');
+    assert.equal(index[ONE_PIECE].status, 'banner');
+  });
+});
+
+test('relative image URLs are resolved against the item link', async () => {
+  const items = [
+    { id: 'a', image: '/wp-content/uploads/jjk-cafe-main.jpg', link: 'https://collabo-cafe.com/events/jjk/' },
+    { id: 'b', image: '//www.animate.co.jp/wp-content/uploads/haikyu-onlyshop.jpg', link: 'https://www.animate.co.jp/onlyshop/1/' },
+    { id: 'c', image: 'data:image/gif;base64,R0lGODlhAQABAAAAACw=', link: 'https://example.com/' },
+    { id: 'd', image: 'uploads/x.jpg' },
+  ];
+  await withMirror(items, (mirrored) => {
+    const [jjk, haikyu, inline, unresolved] = mirrored;
+    assert.equal(jjk.imageSource, JJK);
+    assert.equal(haikyu.imageSource, HAIKYU);
+    for (const rejected of [inline, unresolved]) {
+      assert.equal(rejected.image, null);
+      assert.equal(rejected.imageSource, undefined);
+    }
+  });
+});
+
+test('a picture shared by many items is rejected as a duplicate', async () => {
+  const items = Array.from({ length: IMAGES.maxSharedUses }, (_, i) => ({ id: `x${i}`, image: JJK }));
+  await withMirror([...items, { id: 'h', image: HAIKYU }], (mirrored) => {
+    assert.ok(mirrored.slice(0, -1).every((item) => item.image === null && item.imageSource === JJK));
+    assert.match(mirrored[mirrored.length - 1].image, /\.webp$/);
+  });
+});
+
+test('pruneImages removes files and index entries no item uses', async () => {
+  await withMirror([{ id: 'a', image: JJK }, { id: 'h', image: HAIKYU }], (mirrored, dir) => {
+    const [jjk] = mirrored;
+    assert.equal(pruneImages(dir, [jjk], IMAGES.publicPath), 2);
+    assert.deepEqual(
+      fs.readdirSync(dir).sort(),
+      [path.basename(jjk.thumbnail), path.basename(jjk.image), 'index.json'].sort(),
+    );
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'))), [JJK]);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Digest notifications: payload formats, file and mock-HTTP targets, and
+ * never notifying twice.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('http');
+
+const { FEEDS, ARTICLES } = require('../scripts/config');
+const { buildDigest, notifyNewItems, loadNotifyState } = require('../scripts/notify');
+const { redact } = require('../scripts/notifiers/discord');
+
+const RUN_AT = '2026-10-13T00:00:00.000Z';
+
+const item = (n, fields = {}) => ({
+  id: n.toString(16).padStart(16, '0'),
+  title: `Collab cafe ${n}`,
+  summary: 'Limited menu & <bonus> coasters',
+  link: `https://example.com/${n}`,
+  image: '/images/news/cafe.webp',
+  thumbnail: '/images/news/cafe-thumb.webp',
+  source: 'nijimen',
+  storeTag: 'Animate Ikebukuro',
+  publishedAt: '2026-10-12T10:00:00+09:00',
+  eventStart: '2026-10-20T00:00:00+09:00',
+  eventEnd: '2026-11-10T23:59:59+09:00',
+  ...fields,
+});
+
+/**
+ * Run fn with environment variables set, restoring them afterwards.
+ * @param {Object} vars - Variables to set
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((key) => [key, process.env[key]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('the digest has plain-text, HTML and Discord formats', () => {
+  const digest = buildDigest([item(1), item(2, { image: null, eventStart: null, eventEnd: null })], {
+    runAt: RUN_AT, meta: FEEDS, articleBaseUrl: ARTICLES.baseUrl,
+  });
+
+  assert.equal(digest.subject, '2 new store-exclusive events in Japan');
+  assert.deepEqual(digest.itemIds, ['0000000000000001', '0000000000000002']);
+  assert.match(digest.text, /1\. Collab cafe 1\n {3}Where: Animate Ikebukuro\n {3}When: .+\n {3}https:\/\/japanculture\.com\/article\/0000000000000001\.html/);
+  assert.match(digest.html, /Limited menu &amp; &lt;bonus&gt; coasters/);
+  assert.match(digest.html, /src="https:\/\/japanculture\.com\/images\/news\/cafe-thumb\.webp"/);
+
+  const [first, second] = digest.discord.embeds;
+  assert.equal(digest.discord.content, '**2 new store-exclusive events in Japan**');
+  assert.equal(first.url, 'https://japanculture.com/article/0000000000000001.html');
+  assert.deepEqual(first.fields.map((field) => field.name), ['Where', 'When']);
+  assert.deepEqual(first.thumbnail, { url: 'https://japanculture.com/images/news/cafe-thumb.webp' });
+  assert.equal(first.timestamp, '2026-10-12T01:00:00.000Z');
+  assert.ok(!('thumbnail' in second));
+  assert.deepEqual(second.fields.map((field) => field.name), ['Where']);
+});
+
+test('file target: first run is a baseline, then each item is sent once', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+  const outDir = path.join(dir, 'out');
+  const settings = {
+    targets: ['file'], stateFile: path.join(dir, 'notified.json'), maxItems: 20, retentionDays: 180,
+  };
+  const run = (items, runAt) => notifyNewItems(items, {
+    runAt, settings, meta: FEEDS, articleBaseUrl: ARTICLES.baseUrl,
+  });
+
+  try {
+    await withEnv({ NOTIFY_FILE_DIR: outDir }, async () => {
+      assert.deepEqual(await run([item(1), item(2)], RUN_AT), { file: 0 });
+      assert.ok(!fs.existsSync(outDir), 'the baseline run sends nothing');
+
+      assert.deepEqual(await run([item(3), item(1), item(2)], '2026-10-14T00:00:00.000Z'), { file: 1 });
+      // Rerunning with the same items sends nothing again
+      assert.deepEqual(await run([item(3), item(1), item(2)], '2026-10-15T00:00:00.000Z'), { file: 0 });
+    });
+
+    const digests = fs.readdirSync(outDir).filter((file) => file.endsWith('.json'));
+    assert.equal(digests.length, 1);
+    const digest = JSON.parse(fs.readFileSync(path.join(outDir, digests[0]), 'utf-8'));
+    assert.deepEqual(digest.itemIds, ['0000000000000003']);
+    assert.ok(fs.existsSync(path.join(outDir, digests[0].replace('.json', '.html'))));
+
+    const state = loadNotifyState(settings.stateFile);
+    assert.equal(state.targets.file.since, RUN_AT);
+    assert.equal(state.targets.file.sent['0000000000000003'], '2026-10-14T00:00:00.000Z');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('Discord target against a mock server: batches of 10, failed sends are retried', async () => {
+  const received = [];
+  let failNext = false;
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (failNext) {
+        failNext = false;
+        res.writeHead(400).end('{"message":"Invalid Form Body"}');
+        return;
+      }
+      received.push({ url: req.url, payload: JSON.parse(body) });
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"id":"1"}');
+    });
+  });
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve); });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+  const settings = {
+    targets: ['discord'], stateFile: path.join(dir, 'notified.json'), maxItems: 20, retentionDays: 180,
+  };
+  const run = (items, runAt) => notifyNewItems(items, {
+    runAt, settings, meta: FEEDS, articleBaseUrl: ARTICLES.baseUrl,
+  });
+  const newItems = Array.from({ length: 12 }, (_, i) => item(i + 10));
+
+  try {
+    const webhook = `http://127.0.0.1:${server.address().port}/api/webhooks/123/secret-token`;
+    await withEnv({ DISCORD_WEBHOOK_URL: webhook }, async () => {
+      await run([item(1)], RUN_AT);
+
+      failNext = true;
+      assert.deepEqual(await run([...newItems, item(1)], '2026-10-14T00:00:00.000Z'), { discord: 0 });
+      assert.equal(received.length, 0);
+
+      assert.deepEqual(await run([...newItems, item(1)], '2026-10-15T00:00:00.000Z'), { discord: 12 });
+      assert.deepEqual(await run([...newItems, item(1)], '2026-10-16T00:00:00.000Z'), { discord: 0 });
+    });
+
+    assert.deepEqual(received.map((message) => message.payload.embeds.length), [10, 2]);
+    assert.equal(received[0].url, '/api/webhooks/123/secret-token?wait=true');
+    assert.deepEqual(received[0].payload.allowed_mentions, { parse: [] });
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('webhook tokens are hidden in logs; unknown targets are rejected', async () => {
+  assert.equal(redact('https://discord.com/api/webhooks/123/abc-DEF?wait=true'), 'https://discord.com/api/webhooks/123/***?wait=true');
+  await assert.rejects(notifyNewItems([], {
+    runAt: RUN_AT, settings: { targets: ['pager'] }, meta: FEEDS, articleBaseUrl: ARTICLES.baseUrl,
+  }), /Unknown notification target "pager"/);
+});
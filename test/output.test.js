@@ -0,0 +1,82 @@
+/**
+ * news.json schema validation, regression guard and atomic writes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OUTPUT_GUARD } = require('../scripts/config');
+const { validateOutput, checkRegression, writeFileAtomic } = require('../scripts/output');
+
+const item = (n, fields = {}) => ({
+  id: n.toString(16).padStart(16, '0'),
+  title: { ja: `コラボカフェ ${n}`, en: `Collab cafe ${n}` },
+  summary: { ja: '限定メニューとコースター', en: 'Limited menu and coasters' },
+  link: `https://example.com/${n}`,
+  image: `https://example.com/${n}.jpg`,
+  source: 'nijimen',
+  storeTag: 'Animate Ikebukuro',
+  publishedAt: '2026-10-12T10:00:00+09:00',
+  category: 'event',
+  language: 'ja',
+  translated: true,
+  ...fields,
+});
+
+const output = (items) => ({ lastUpdated: '2026-10-13T00:00:00.000Z', count: items.length, items });
+
+test('a well-formed output passes the schema', () => {
+  assert.deepEqual(validateOutput(output([item(1), item(2, { image: null, publishedAt: null })])), []);
+});
+
+test('schema violations are reported with their path', () => {
+  const errors = validateOutput(output([
+    item(1, { id: 'not-an-id' }),
+    item(2, { link: 'javascript:alert(1)', publishedAt: '2026-10-12' }),
+  ]));
+  assert.ok(errors.some((error) => error.startsWith('/items/0/id ')), errors.join('\n'));
+  assert.ok(errors.some((error) => error.startsWith('/items/1/link ')), errors.join('\n'));
+  assert.ok(errors.some((error) => error.startsWith('/items/1/publishedAt ')), errors.join('\n'));
+
+  const untitled = item(3);
+  delete untitled.title;
+  assert.ok(validateOutput(output([untitled])).some((error) => error.includes("'title'")));
+  // A title needs at least one language
+  assert.notDeepEqual(validateOutput(output([item(4, { title: { ja: '', en: null } })])), []);
+});
+
+test('a count that does not match the items is reported', () => {
+  const errors = validateOutput({ ...output([item(1)]), count: 2 });
+  assert.deepEqual(errors, ['/count is 2 but there are 1 items']);
+});
+
+test('a healthy run or a first run is not a regression', () => {
+  const previous = output([item(1), item(2), item(3), item(4)]);
+  assert.deepEqual(checkRegression(previous, output([item(1), item(2), item(5)]), OUTPUT_GUARD), []);
+  assert.deepEqual(checkRegression(null, output([]), OUTPUT_GUARD), []);
+});
+
+test('a sharp drop in items is a regression', () => {
+  const previous = output([item(1), item(2), item(3), item(4), item(5)]);
+  assert.deepEqual(checkRegression(previous, output([item(1)]), OUTPUT_GUARD), ['item count dropped from 5 to 1']);
+});
+
+test('a field that mostly disappeared is a regression', () => {
+  const previous = output([item(1), item(2), item(3), item(4)]);
+  const next = output([item(1), item(2, { image: null }), item(3, { image: null }), item(4, { image: null })]);
+  assert.deepEqual(checkRegression(previous, next, OUTPUT_GUARD), ['"image" present on 25% of items (was 100%)']);
+});
+
+test('files are replaced atomically without leaving temp files behind', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-'));
+  const file = path.join(dir, 'data', 'news.json');
+
+  writeFileAtomic(file, '{"count":0}');
+  writeFileAtomic(file, '{"count":1}');
+
+  assert.equal(fs.readFileSync(file, 'utf-8'), '{"count":1}');
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['news.json']);
+});
@@ -0,0 +1,69 @@
+/**
+ * JPY price extraction.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractPrices, fillPrices } = require('../scripts/prices');
+
+const price = (text) => extractPrices({ title: text });
+
+test('tax-inclusive, tax-exclusive and unspecified prices', () => {
+  assert.deepEqual(price('缶バッジ 各550円(税込)'), {
+    currency: 'JPY', min: 550, max: 550, taxIncluded: true,
+  });
+  assert.deepEqual(price('税込価格：1,650円'), {
+    currency: 'JPY', min: 1650, max: 1650, taxIncluded: true,
+  });
+  assert.deepEqual(price('本体価格1,200円'), {
+    currency: 'JPY', min: 1200, max: 1200, taxIncluded: false,
+  });
+  assert.deepEqual(price('1万2,000円(税抜)'), {
+    currency: 'JPY', min: 12000, max: 12000, taxIncluded: false,
+  });
+  assert.deepEqual(price('ドリンク ¥990'), {
+    currency: 'JPY', min: 990, max: 990, taxIncluded: null,
+  });
+});
+
+test('full-width digits, ranges and several goods', () => {
+  assert.deepEqual(price('アクリルスタンド 各１，６５０円（税込）／缶バッジ 各５５０円（税込）'), {
+    currency: 'JPY', min: 550, max: 1650, taxIncluded: true,
+  });
+  assert.deepEqual(price('価格：500～1,000円'), {
+    currency: 'JPY', min: 500, max: 1000, taxIncluded: null,
+  });
+  assert.deepEqual(price('￥１，１００'), {
+    currency: 'JPY', min: 1100, max: 1100, taxIncluded: null,
+  });
+});
+
+test('the tax-inclusive amount wins when both are given', () => {
+  assert.deepEqual(price('1,500円+税（税込1,650円）'), {
+    currency: 'JPY', min: 1650, max: 1650, taxIncluded: true,
+  });
+});
+
+test('thresholds, shipping and dates are not prices', () => {
+  assert.equal(price('3,000円以上お買い上げで特典をプレゼント'), null);
+  assert.equal(price('1,000円(税込)ごとに1枚'), null);
+  assert.equal(price('税込2,000円お買い上げ毎に1枚'), null);
+  assert.equal(price('1,100円お買い上げで特典'), null);
+  assert.equal(price('送料は全国一律800円'), null);
+  assert.equal(price('2026年10月20日(火)～11月3日(火)'), null);
+
+  // The threshold is skipped, the goods price is kept
+  assert.deepEqual(extractPrices({
+    title: 'ハイキュー!! オンリーショップ',
+    content: 'グッズを3,000円(税込)以上お買い上げでブロマイドをプレゼント。トレーディング缶バッジ 各440円(税込)',
+  }), {
+    currency: 'JPY', min: 440, max: 440, taxIncluded: true,
+  });
+});
+
+test('fillPrices keeps prices from the source and sets null otherwise', () => {
+  const fromSource = { title: '550円', prices: { currency: 'JPY', min: 600, max: 600, taxIncluded: true } };
+  assert.equal(fillPrices(fromSource), fromSource);
+  assert.equal(fillPrices({ title: 'No price here' }).prices, null);
+});
@@ -0,0 +1,66 @@
+/**
+ * Sales-method, bonus-threshold and purchase-limit extraction.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractSalesDetails, fillSalesDetails } = require('../scripts/sales');
+
+const sales = (text) => extractSalesDetails({ title: text });
+
+test('sales methods in order of mention', () => {
+  assert.deepEqual(sales('グッズは先着順での販売となります').salesMethod, ['first-come']);
+  assert.deepEqual(sales('初日は抽選、2日目以降は先着販売').salesMethod, ['lottery', 'first-come']);
+  assert.deepEqual(sales('当日は整理券を配布いたします').salesMethod, ['numbered-ticket']);
+  assert.deepEqual(sales('受注生産のため、お届けは3月頃').salesMethod, ['pre-order']);
+  assert.deepEqual(sales('Lottery entry opens May 1').salesMethod, ['lottery']);
+  assert.deepEqual(sales('描き下ろしイラストのグッズが登場').salesMethod, []);
+});
+
+test('purchase thresholds for bonuses', () => {
+  assert.equal(sales('税込3,000円ごとに1枚プレゼント').bonusThresholdJpy, 3000);
+  assert.equal(sales('関連商品を1,100円(税込)お買い上げ毎に特典を1枚').bonusThresholdJpy, 1100);
+  assert.equal(sales('5,000円（税込）以上お買い上げで限定ショッパー').bonusThresholdJpy, 5000);
+  assert.equal(sales('１万円以上ご購入でポスター').bonusThresholdJpy, 10000);
+  // Several tiers: the entry threshold
+  assert.equal(sales('3,000円ごとにカード1枚、5,000円以上でポスター').bonusThresholdJpy, 3000);
+  // A plain price is not a threshold
+  assert.equal(sales('アクリルスタンド 1,650円(税込)').bonusThresholdJpy, null);
+});
+
+test('per-person limits', () => {
+  assert.equal(sales('お一人様各2点まで').perPersonLimit, 2);
+  assert.equal(sales('おひとり様一回限り').perPersonLimit, 1);
+  assert.equal(sales('１人につき３個まで').perPersonLimit, 3);
+  assert.equal(sales('1会計あたり5点まで、お一人様3点まで').perPersonLimit, 3);
+  assert.equal(sales('Limit 2 items per person').perPersonLimit, 2);
+  assert.equal(sales('グッズ全10種').perPersonLimit, null);
+});
+
+test('reservation requirement', () => {
+  assert.equal(sales('完全予約制のコラボカフェ').requiresReservation, true);
+  assert.equal(sales('ご来店には要予約').requiresReservation, true);
+  assert.equal(sales('予約不要、どなたでもご入店いただけます').requiresReservation, false);
+  // A pre-order bonus is not a reservation requirement
+  assert.equal(sales('予約特典つき').requiresReservation, null);
+});
+
+test('fields are read from title, summary and content', () => {
+  assert.deepEqual(extractSalesDetails({
+    title: 'コラボカフェ開催',
+    summary: '入店は事前予約制',
+    content: '特典：税込2,000円ごとにコースター1枚。グッズはお一人様各1点まで、先着順。',
+  }), {
+    salesMethod: ['first-come'],
+    bonusThresholdJpy: 2000,
+    perPersonLimit: 1,
+    requiresReservation: true,
+  });
+});
+
+test('fillSalesDetails keeps details set by the source', () => {
+  const item = { title: '抽選販売', salesMethod: ['first-come'] };
+  assert.equal(fillSalesDetails(item), item);
+  assert.deepEqual(fillSalesDetails({ title: '抽選販売' }).salesMethod, ['lottery']);
+});
@@ -0,0 +1,80 @@
+/**
+ * Relevance scoring and live-view ranking.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCORING } = require('../scripts/config');
+const { scoreItem, rankItems } = require('../scripts/score');
+const { selectLiveItems } = require('../scripts/archive');
+
+const NOW = new Date('2026-10-13T00:00:00.000Z');
+
+const item = (fields) => ({
+  id: '0000000000000000',
+  title: 'Untitled',
+  summary: '',
+  image: null,
+  storeTag: 'Tokyo Events',
+  publishedAt: '2026-10-13T09:00:00+09:00',
+  eventStart: null,
+  eventEnd: null,
+  lastSeenAt: NOW.toISOString(),
+  ...fields,
+});
+
+test('keyword, store and image signals add their weights', () => {
+  const { score, scoreFactors } = scoreItem(item({
+    title: 'ポケモンセンター 限定グッズ 先着特典',
+    summary: '抽選販売あり',
+    venues: [{ id: 'pokemon-center-mega-tokyo', area: 'ikebukuro', onRoute: true }],
+    image: '/images/news/abc.webp',
+  }), { now: NOW, scoring: SCORING });
+
+  assert.deepEqual(scoreFactors, {
+    limited: 3, bonus: 2, firstCome: 2, lottery: 1, routeStore: 3, image: 1, recency: 2,
+  });
+  assert.equal(score, 14);
+});
+
+test('urgency grows as the end date approaches; ended and far-off events get none', () => {
+  const score = (eventEnd) => scoreItem(item({
+    eventStart: '2026-10-01T00:00:00+09:00', eventEnd, publishedAt: null,
+  }), { now: NOW, scoring: SCORING }).scoreFactors;
+
+  assert.deepEqual(score('2026-10-14T09:00:00+09:00'), { endingSoon: 3.43, running: 1 });
+  assert.deepEqual(score('2026-10-18T09:00:00+09:00'), { endingSoon: 1.14, running: 1 });
+  assert.deepEqual(score('2026-11-30T00:00:00+09:00'), { running: 1 });
+  assert.deepEqual(score('2026-10-10T00:00:00+09:00'), {});
+});
+
+test('weights are configurable and zero weights drop the signal', () => {
+  const scoring = { ...SCORING, weights: { ...SCORING.weights, limited: 10, recency: 0 } };
+  const { score, scoreFactors } = scoreItem(item({ title: '限定カフェ' }), { now: NOW, scoring });
+  assert.deepEqual(scoreFactors, { limited: 10 });
+  assert.equal(score, 10);
+});
+
+test('a running store exclusive outranks a fresh generic article', () => {
+  const exclusive = item({
+    id: 'aaaaaaaaaaaaaaaa',
+    title: 'ポケモンセンター 限定グッズ',
+    venues: [{ id: 'pokemon-center-mega-tokyo', area: 'ikebukuro', onRoute: true }],
+    publishedAt: '2026-09-20T10:00:00+09:00',
+    eventStart: '2026-09-25T00:00:00+09:00',
+    eventEnd: '2026-10-31T23:59:59+09:00',
+  });
+  const generic = item({ id: 'bbbbbbbbbbbbbbbb', title: 'アニメ新作情報' });
+
+  const ranked = rankItems([generic, exclusive], { now: NOW, scoring: SCORING });
+  assert.deepEqual(ranked.map((entry) => entry.id), [exclusive.id, generic.id]);
+
+  const archive = new Map([generic, exclusive].map((entry) => [entry.id, entry]));
+  const live = selectLiveItems(archive, {
+    now: NOW, staleDays: 14, maxItems: 1, scoring: SCORING,
+  });
+  assert.deepEqual(live.map((entry) => entry.id), [exclusive.id]);
+  assert.ok(live[0].score > 0);
+  assert.ok(!('score' in exclusive), 'archive items are not modified');
+});
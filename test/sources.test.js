@@ -0,0 +1,126 @@
+/**
+ * Adapter normalization tests, replayed from the recording in
+ * fixtures/recording/ (no network access).
+ *
+ * To refresh the fixtures, record a real run and copy the response files:
+ *   node scripts/fetch-news.js --record /tmp/recording --dry-run
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const http = require('../scripts/http');
+const { SOURCES, RSS_SOURCES } = require('../scripts/config');
+const { fetchSource } = require('../scripts/sources');
+const { fetchRSSFeeds, generateId } = require('../scripts/fetch-rss');
+
+const RECORDING = path.join(__dirname, 'fixtures', 'recording');
+
+/**
+ * Look up a configured source by name.
+ * @param {string} name - Source name
+ * @returns {Object} Source configuration
+ */
+function sourceNamed(name) {
+  return SOURCES.find((source) => source.name === name);
+}
+
+before(() => http.configure({ replayDir: RECORDING }));
+after(() => http.configure());
+
+test('fetchCollaboCafe: reads every page and normalizes events', async () => {
+  const items = await fetchSource(sourceNamed('Collab Cafes & Events'));
+  assert.equal(items.length, 4);
+
+  const [jjk, , spy, pokemon] = items;
+  const link = 'https://collabo-cafe.com/events/collabo/jujutsu-kaisen-cafe-shibuya2026/';
+  assert.equal(jjk.id, generateId(link));
+  assert.equal(jjk.link, link);
+  assert.equal(jjk.title, '呪術廻戦 × アニメイトカフェ渋谷 コラボカフェ”第2弾”');
+  assert.equal(jjk.image, 'https://collabo-cafe.com/wp-content/uploads/jjk-cafe-main.jpg');
+  assert.equal(jjk.storeTag, 'Shibuya Area');
+  assert.equal(jjk.source, 'Collab Cafes & Events');
+  assert.equal(jjk.category, 'events');
+  assert.equal(jjk.language, 'ja');
+  assert.equal(jjk.translated, false);
+  assert.equal(jjk.publishedAt, '2026-10-12T10:30:00+09:00');
+  assert.equal(jjk.eventStart, '2026-10-20T00:00:00+09:00');
+  assert.equal(jjk.eventEnd, '2026-11-24T23:59:59+09:00');
+  assert.equal(jjk.eventConfidence, 'source');
+  assert.match(jjk.summary, /^Oct 20 – Nov 24 \| 渋谷で呪術廻戦のコラボカフェが開催/);
+
+  // Banner images are dropped; excerpt falls back to content
+  assert.equal(spy.image, null);
+  assert.match(spy.summary, /池袋でSPY×FAMILYのポップアップストアを開催/);
+  assert.equal(spy.eventEnd, null);
+
+  // Second page
+  assert.equal(pokemon.link, 'https://collabo-cafe.com/events/collabo/pokemon-cafe-osaka-autumn/');
+  assert.equal(pokemon.image, null);
+  // Placed by the venue gazetteer instead of the old 'Tokyo Events' default
+  assert.equal(pokemon.storeTag, 'Osaka Area');
+});
+
+test('fetchAnimateWP: normalizes OnlyShop and Gratte posts', async () => {
+  const onlyshop = await fetchSource(sourceNamed('Animate OnlyShop'));
+  assert.equal(onlyshop.length, 2);
+
+  const [haikyu, jjk] = onlyshop;
+  assert.equal(haikyu.title, 'ハイキュー!! オンリーショップ 2026');
+  assert.equal(haikyu.image, 'https://www.animate.co.jp/wp-content/uploads/haikyu-onlyshop.jpg');
+  assert.equal(haikyu.storeTag, 'Animate');
+  assert.equal(haikyu.category, 'popup-shop');
+  assert.equal(haikyu.publishedAt, '2026-10-08T11:00:00+09:00');
+  assert.equal(haikyu.summary, 'アニメイト池袋本店にてハイキュー!!のオンリーショップを開催します。');
+  assert.equal(jjk.image, 'https://www.animate.co.jp/wp-content/uploads/jjk-onlyshop.jpg');
+
+  const gratte = await fetchSource(sourceNamed('Animate Gratte'));
+  assert.equal(gratte.length, 1);
+  assert.equal(gratte[0].title, 'チェンソーマン グラッテ & 限定ノベルティ');
+  assert.equal(gratte[0].image, null);
+  assert.equal(gratte[0].category, 'store-exclusive');
+  assert.equal(gratte[0].summary, '対象店舗でチェンソーマンのグラッテを販売。');
+});
+
+test('fetchAnimateCafe: keeps published events with a title and slug', async () => {
+  const items = await fetchSource(sourceNamed('Animate Cafe'));
+  assert.equal(items.length, 1);
+
+  const [mha] = items;
+  assert.equal(mha.title, '僕のヒーローアカデミア カフェ');
+  assert.equal(mha.link, 'https://animatecafe.jp/events/mha-cafe-2026');
+  assert.equal(mha.image, 'https://animatecafe.jp/images/mha-cafe.jpg');
+  assert.equal(mha.storeTag, 'Animate Cafe');
+  assert.equal(mha.eventStart, '2026-10-18T11:00:00+09:00');
+  assert.equal(mha.eventEnd, '2026-11-16T20:00:00+09:00');
+  assert.equal(mha.publishedAt, mha.eventStart);
+  assert.match(mha.summary, / \| アニメイトカフェ新宿にて開催！$/);
+});
+
+test('fetchRSSFeeds: applies the tag filter and normalizes feed items', async () => {
+  const items = await fetchRSSFeeds(RSS_SOURCES);
+  assert.deepEqual(items.map((item) => item.link), [
+    'https://nijimen.kusuguru.co.jp/news/kimetsu-cafe-harajuku',
+    'https://nijimen.kusuguru.co.jp/news/onepiece-popup',
+  ]);
+
+  const [kimetsu, onepiece] = items;
+  assert.equal(kimetsu.title, '「鬼滅の刃」コラボカフェが原宿で開催決定');
+  assert.equal(kimetsu.publishedAt, '2026-10-12T12:00:00+09:00');
+  assert.equal(kimetsu.image, 'https://nijimen.kusuguru.co.jp/wp-content/uploads/kimetsu-cafe-150x150.jpg');
+  assert.equal(kimetsu.storeTag, 'Various');
+  // Period extracted from the article text
+  assert.equal(kimetsu.eventStart, '2026-11-01T00:00:00+09:00');
+  assert.equal(kimetsu.eventEnd, '2026-11-30T23:59:59+09:00');
+
+  assert.equal(onepiece.image, 'https://nijimen.kusuguru.co.jp/wp-content/uploads/onepiece-popup.jpg');
+  assert.equal(onepiece.summary, 'ワンピースのポップアップショップ。');
+});
+
+test('replay fails loudly for requests that were not recorded', async () => {
+  await assert.rejects(
+    http.get('https://example.com/not-recorded'),
+    (err) => err.code === 'ENORECORDING',
+  );
+});
@@ -0,0 +1,117 @@
+/**
+ * Run health report: per-source counts, empty-run warnings and history.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createRunStatus, recordKept, recordTranslations, finishRun, writeStatus,
+} = require('../scripts/status');
+
+const SETTINGS = { historySize: 3, zeroRunsWarning: 2 };
+
+/**
+ * Build a finished run where each source fetched the given number of items.
+ * @param {Object<string, number>} fetched - Source name -> item count
+ * @param {string} runAt - Run time
+ * @returns {Object} Run status
+ */
+function makeRun(fetched, runAt = '2026-10-13T00:00:00.000Z') {
+  const run = createRunStatus({
+    runAt: new Date(runAt),
+    mode: 'live',
+    fetchResults: Object.entries(fetched).map(([name, count]) => ({
+      name,
+      type: 'rss',
+      items: Array.from({ length: count }, () => ({ source: name })),
+      error: null,
+      ms: 10,
+      requests: [],
+    })),
+  });
+  finishRun(run, { outcome: 'written', itemCount: 1 }, new Date(new Date(runAt).getTime() + 5000));
+  return run;
+}
+
+test('per-source counts, translation providers, errors and HTTP timings', () => {
+  const run = createRunStatus({
+    runAt: new Date('2026-10-13T00:00:00.000Z'),
+    mode: 'replay',
+    fetchResults: [{
+      name: 'nijimen',
+      type: 'rss',
+      items: [{ source: 'nijimen' }, { source: 'nijimen' }, { source: 'nijimen' }],
+      error: null,
+      ms: 420,
+      requests: [
+        { method: 'GET', url: 'https://a.example/feed', status: 200, ms: 300, fromCache: false, ok: true },
+        { method: 'GET', url: 'https://a.example/img', status: 404, ms: 100, fromCache: false, ok: false },
+        { method: 'GET', url: 'https://a.example/old', status: 304, ms: 20, fromCache: true, ok: true },
+      ],
+    }],
+  });
+  recordKept(run, [{ source: 'nijimen' }, { source: 'nijimen' }, { source: 'other' }]);
+  recordTranslations(run, [
+    { source: 'nijimen', translated: true, translatedBy: 'deepl' },
+    { source: 'nijimen', translated: true, translatedBy: 'google' },
+    { source: 'nijimen', translated: false },
+  ]);
+  finishRun(run, { outcome: 'written', itemCount: 2 }, new Date('2026-10-13T00:00:07.000Z'));
+
+  const [source] = run.sources;
+  assert.equal(source.fetched, 3);
+  assert.equal(source.kept, 2);
+  assert.equal(source.translated, 2);
+  assert.deepEqual(source.translatedBy, { deepl: 1, google: 1 });
+  assert.deepEqual(source.errors, ['GET https://a.example/img failed (404)']);
+  assert.deepEqual(source.http, {
+    requests: 3, failed: 1, cached: 1, totalMs: 420, maxMs: 300, slowest: 'https://a.example/feed',
+  });
+  assert.equal(run.durationMs, 7000);
+});
+
+test('a source empty for consecutive runs is warned about', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-'));
+  try {
+    const file = path.join(dir, 'status.json');
+    const settings = { ...SETTINGS, historySize: 10 };
+
+    assert.deepEqual(writeStatus(file, makeRun({ a: 2, b: 0 }), settings), []);
+    assert.deepEqual(writeStatus(file, makeRun({ a: 0, b: 0 }), settings), [
+      'b returned no items for 2 consecutive runs',
+    ]);
+
+    // A run without the source does not break its streak
+    writeStatus(file, makeRun({ a: 1 }), settings);
+    const run = makeRun({ a: 0, b: 0 });
+    assert.deepEqual(writeStatus(file, run, settings), ['b returned no items for 3 consecutive runs']);
+    assert.equal(run.sources.find((source) => source.name === 'a').zeroRuns, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('history keeps the newest runs and records blocked and failed runs', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-'));
+  try {
+    const file = path.join(dir, 'status.json');
+    ['2026-10-10', '2026-10-11', '2026-10-12'].forEach((day) => {
+      writeStatus(file, makeRun({ a: 1 }, `${day}T00:00:00.000Z`), SETTINGS);
+    });
+
+    const failed = makeRun({ a: 1 }, '2026-10-13T00:00:00.000Z');
+    finishRun(failed, { outcome: 'failed', error: 'boom' }, new Date('2026-10-13T00:00:01.000Z'));
+    assert.deepEqual(writeStatus(file, failed, SETTINGS), ['Run failed: boom']);
+
+    const status = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.equal(status.generatedAt, '2026-10-13T00:00:01.000Z');
+    assert.deepEqual(status.runs.map((run) => run.runAt.slice(0, 10)), ['2026-10-13', '2026-10-12', '2026-10-11']);
+    assert.equal(status.runs[0].itemCount, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
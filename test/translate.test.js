@@ -0,0 +1,62 @@
+/**
+ * Translation cache and batching.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { translateTexts, chunkTexts, cacheKey } = require('../scripts/translate');
+
+test('cached translations are applied without rewriting the cache', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translate-'));
+  const cacheFile = path.join(dir, 'translations.json');
+  const cached = JSON.stringify({
+    [cacheKey('呪術廻戦 コラボカフェ', 'ja', 'en')]: 'Jujutsu Kaisen Collab Cafe',
+    [cacheKey('期間限定で開催', 'ja', 'en')]: 'Held for a limited time',
+  });
+  fs.writeFileSync(cacheFile, cached);
+
+  const english = { title: 'Spy x Family Pop-up', summary: '', language: 'en' };
+  const [translated, untouched] = await translateTexts([
+    { title: '呪術廻戦 コラボカフェ', summary: '期間限定で開催', language: 'ja' },
+    english,
+  ], { cacheFile });
+
+  assert.equal(translated.title, 'Jujutsu Kaisen Collab Cafe');
+  assert.equal(translated.summary, 'Held for a limited time');
+  assert.equal(translated.originalTitle, '呪術廻戦 コラボカフェ');
+  assert.equal(translated.translated, true);
+  // Entries cached before providers were tracked came from Google
+  assert.equal(translated.translatedBy, 'google');
+  assert.equal(untouched, english);
+  // Nothing was missing, so nothing was written back
+  assert.equal(fs.readFileSync(cacheFile, 'utf-8'), cached);
+});
+
+test('cache keys depend on the language pair', () => {
+  assert.equal(cacheKey('カフェ', 'ja', 'en'), cacheKey('カフェ', 'ja', 'en'));
+  assert.notEqual(cacheKey('カフェ', 'ja', 'en'), cacheKey('カフェ', 'ja', 'fr'));
+});
+
+test('cache misses are batched in order and within the provider limits', () => {
+  const texts = Array.from({ length: 30 }, (_, i) => String(i).padEnd(60, 'あ'));
+  const batches = chunkTexts(texts, { maxBatchSize: 50, maxBatchChars: 800 });
+
+  assert.ok(batches.length > 1);
+  assert.deepEqual(batches.flat(), texts);
+  for (const batch of batches) {
+    assert.ok(batch.join('\n').length <= 800);
+  }
+
+  const counted = chunkTexts(texts, { maxBatchSize: 4, maxBatchChars: Infinity });
+  assert.deepEqual(counted.map(batch => batch.length), [4, 4, 4, 4, 4, 4, 4, 2]);
+});
+
+test('a text longer than the limit gets a batch of its own', () => {
+  const long = 'あ'.repeat(900);
+  const batches = chunkTexts(['short', long, 'next'], { maxBatchSize: 50, maxBatchChars: 800 });
+  assert.deepEqual(batches, [['short'], [long], ['next']]);
+});
@@ -0,0 +1,105 @@
+/**
+ * Translation provider chain: resolving providers and falling back.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildChain } = require('../scripts/translators');
+const { translateTexts, translateWithChain, cacheKey } = require('../scripts/translate');
+
+// DeepL is only available with an API key
+delete process.env.DEEPL_API_KEY;
+
+/**
+ * Build a fake provider for the chain.
+ * @param {string} name - Provider name
+ * @param {Function} translate - async (texts) => Array<string|null>
+ * @returns {Object} Provider
+ */
+const provider = (name, translate) => ({
+  name,
+  cacheable: true,
+  maxBatchSize: 50,
+  maxBatchChars: 800,
+  translateBatch: translate,
+});
+
+test('unavailable providers are skipped and the order is kept', () => {
+  const chain = buildChain(['deepl', 'offline', 'google']);
+  assert.deepEqual(chain.map(p => p.name), ['offline', 'google']);
+});
+
+test('an unknown provider name is an error', () => {
+  assert.throws(() => buildChain(['google', 'babelfish']), /Unknown translation provider "babelfish"/);
+});
+
+test('an empty chain leaves items untranslated instead of failing', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translators-'));
+  const cacheFile = path.join(dir, 'translations.json');
+  fs.writeFileSync(cacheFile, JSON.stringify({
+    [cacheKey('コラボカフェ', 'ja', 'en')]: { text: 'Collab Cafe', provider: 'deepl' },
+  }));
+
+  assert.deepEqual(buildChain(['deepl']), []);
+  const [cached, missing] = await translateTexts([
+    { title: 'コラボカフェ', summary: '', language: 'ja' },
+    { title: 'ポップアップストア', summary: '', language: 'ja' },
+  ], { cacheFile, providers: ['deepl'] });
+
+  assert.equal(cached.title, 'Collab Cafe');
+  assert.equal(cached.translatedBy, 'deepl');
+  assert.equal(missing.title, 'ポップアップストア');
+  assert.equal(missing.translated, undefined);
+});
+
+test('a rate-limited provider hands the rest to the next one', async () => {
+  const calls = [];
+  const limited = provider('limited', async (texts) => {
+    calls.push(texts);
+    const err = new Error('429');
+    err.rateLimited = true;
+    throw err;
+  });
+  const fallback = provider('fallback', async (texts) => texts.map(text => `en:${text}`));
+  const stats = { requests: {}, failed: 0 };
+
+  const translations = await translateWithChain(['a', 'b'], [limited, fallback], stats);
+
+  assert.equal(calls.length, 1);
+  assert.deepEqual(translations.get('a'), { text: 'en:a', provider: 'fallback' });
+  assert.deepEqual(translations.get('b'), { text: 'en:b', provider: 'fallback' });
+  assert.deepEqual(stats.requests, { limited: 1, fallback: 1 });
+  assert.equal(stats.failed, 0);
+});
+
+test('strings a provider could not translate go to the next one', async () => {
+  const partial = provider('partial', async (texts) => texts.map(text => (text === 'b' ? null : `p:${text}`)));
+  const failing = provider('failing', async () => {
+    throw new Error('network down');
+  });
+  const stats = { requests: {}, failed: 0 };
+
+  const translations = await translateWithChain(['a', 'b'], [partial, failing], stats);
+
+  assert.equal(translations.get('a').provider, 'partial');
+  assert.equal(translations.has('b'), false);
+  assert.deepEqual(stats.requests, { partial: 1, failing: 1 });
+  assert.equal(stats.failed, 1);
+});
+
+test('offline translations are not cached', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translators-'));
+  const cacheFile = path.join(dir, 'translations.json');
+
+  const [item] = await translateTexts([
+    { title: 'コラボカフェ 開催決定', summary: '', language: 'ja' },
+  ], { cacheFile, providers: ['offline'] });
+
+  assert.equal(item.title, 'Collab Cafe Confirmed');
+  assert.equal(item.translatedBy, 'offline');
+  assert.equal(fs.existsSync(cacheFile), false);
+});
@@ -0,0 +1,95 @@
+/**
+ * Venue gazetteer: store/area detection, region and route flags.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadGazetteer, detectVenues, placeItem, tagVenues,
+} = require('../scripts/venues');
+const { detectStoreTag } = require('../scripts/fetch-products');
+
+const ids = (text) => detectVenues(text).map((venue) => venue.id);
+
+test('stores win over the areas and chains they contain', () => {
+  assert.deepEqual(ids('アニメイト秋葉原にて開催'), ['animate-akihabara']);
+  assert.deepEqual(ids('ポケモンセンター渋谷とポケモンセンターオーサカで発売'), ['pokemon-center-shibuya', 'pokemon-center-osaka']);
+  assert.deepEqual(ids('全国のポケモンセンターで発売'), ['pokemon-center']);
+  assert.deepEqual(ids('まんだらけ中野店'), ['mandarake-nakano']);
+});
+
+test('several venues are listed in order of first mention', () => {
+  const venues = detectVenues('名古屋、大阪、池袋の3会場で開催。池袋会場は先行販売');
+  assert.deepEqual(venues.map((venue) => venue.id), ['nagoya', 'osaka', 'ikebukuro']);
+  assert.deepEqual(venues[2], {
+    id: 'ikebukuro',
+    name: 'Ikebukuro',
+    area: 'ikebukuro',
+    ward: 'Toshima',
+    city: 'Tokyo',
+    region: 'Kanto',
+    lat: 35.7295,
+    lng: 139.7109,
+    onRoute: true,
+  });
+});
+
+test('Latin aliases match whole words only', () => {
+  assert.deepEqual(ids('Pop-up store in Akihabara'), ['akihabara']);
+  assert.deepEqual(ids('Kobe beef'), ['kobe']);
+  assert.deepEqual(ids('Kobelco'), []);
+});
+
+test('items outside the Friday route are flagged with their region', () => {
+  const osaka = placeItem({ title: 'ポケモンカフェ 大阪 秋の限定メニュー', storeTag: 'Tokyo Events' });
+  assert.equal(osaka.storeTag, 'Osaka Area');
+  assert.equal(osaka.region, 'Kansai');
+  assert.equal(osaka.offRoute, true);
+
+  // On route as long as one venue is
+  const tour = placeItem({ title: '大阪・秋葉原で開催' });
+  assert.equal(tour.offRoute, false);
+  assert.equal(tour.storeTag, 'Akihabara Area');
+  assert.equal(tour.region, 'Kansai');
+
+  // A chain alone or no venue at all says nothing about the route
+  const chain = placeItem({ title: 'ジャンプショップ限定グッズ' });
+  assert.deepEqual([chain.storeTag, chain.region, chain.offRoute], ['Jump Shop', null, false]);
+  const unknown = placeItem({ title: 'オンライン限定', storeTag: 'Various' });
+  assert.deepEqual([unknown.storeTag, unknown.venues, unknown.offRoute], ['Various', [], false]);
+});
+
+test('translated items are placed from their Japanese summary too', () => {
+  const place = placeItem({
+    title: 'Pokemon Cafe autumn menu',
+    summary: '',
+    originalTitle: 'ポケモンカフェ 秋の限定メニュー',
+    originalSummary: '大阪で開催',
+    translated: true,
+  });
+  assert.equal(place.storeTag, 'Osaka Area');
+});
+
+test('tagVenues and detectStoreTag use the gazetteer', () => {
+  const [item] = tagVenues([{ title: 'Cafe', content: 'アニメイト池袋本店にて開催' }]);
+  assert.equal(item.storeTag, 'Animate Ikebukuro');
+  assert.equal(item.venues[0].onRoute, true);
+
+  assert.equal(detectStoreTag('呪術廻戦 コラボカフェ', '渋谷で開催', ''), 'Shibuya Area');
+  assert.equal(detectStoreTag('コラボカフェ', '', ''), 'Tokyo Events');
+});
+
+test('a venue with an unknown area is rejected', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'venues-'));
+  try {
+    const file = path.join(dir, 'venues.json');
+    fs.writeFileSync(file, JSON.stringify({ areas: {}, venues: { x: { name: 'X', aliases: ['X'], area: 'nowhere' } } }));
+    assert.throws(() => loadGazetteer(file), /venue "x" has unknown area "nowhere"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,148 @@
+/**
+ * Customer watchlists: matching and reporting each match once.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  loadWatchlists, matchSubscription, matchItems, recordMatches,
+} = require('../scripts/watchlists');
+const { placeItem } = require('../scripts/venues');
+
+const NOW = new Date('2026-10-13T00:00:00.000Z');
+
+/**
+ * Write a watchlist file to a temp directory and load it.
+ * @param {Object} subscribers - "subscribers" object of watchlists.json
+ * @returns {{subscribers: Array, dir: string}} Loaded watchlists and the temp directory
+ */
+function load(subscribers) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+  const file = path.join(dir, 'watchlists.json');
+  fs.writeFileSync(file, JSON.stringify({ subscribers }));
+  try {
+    return { subscribers: loadWatchlists(file), dir };
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+const item = (id, fields) => {
+  const base = {
+    id: id.repeat(16), title: '', summary: '', link: `https://example.com/${id}`, category: 'events', franchises: [], ...fields,
+  };
+  return { ...base, venues: placeItem(base).venues };
+};
+
+const gojoAtIkebukuro = item('a', {
+  title: 'Jujutsu Kaisen goods fair',
+  originalTitle: '呪術廻戦 グッズフェア アニメイト池袋本店',
+  content: '五条悟の描き下ろしイラストを使用したグッズが登場',
+  franchises: ['jujutsu-kaisen'],
+});
+const gojoInOsaka = item('b', {
+  title: 'Gojo birthday cafe',
+  originalTitle: '五条悟 誕生日カフェ 大阪',
+  franchises: ['jujutsu-kaisen'],
+  category: 'cafe',
+});
+const pokemonShibuya = item('c', { title: 'ポケモンセンター渋谷 限定グッズ', franchises: ['pokemon'] });
+
+test('keywords match the original Japanese text and the translation', () => {
+  const { subscribers, dir } = load({
+    alice: { subscriptions: [{ id: 'gojo', keywords: ['Gojo', '五条悟'] }] },
+  });
+  try {
+    const [gojo] = subscribers[0].subscriptions;
+    assert.deepEqual(matchSubscription(gojoAtIkebukuro, gojo), { keywords: ['五条悟'] });
+    assert.deepEqual(matchSubscription(gojoInOsaka, gojo), { keywords: ['Gojo', '五条悟'] });
+    assert.equal(matchSubscription(pokemonShibuya, gojo), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('every criterion must match; stores can be venues, chains or areas', () => {
+  const { subscribers, dir } = load({
+    alice: {
+      subscriptions: [
+        { id: 'gojo-ikebukuro', keywords: ['五条悟'], stores: ['animate-ikebukuro'] },
+        { id: 'pokemon-center', stores: ['pokemon-center'] },
+        { id: 'shibuya', stores: ['shibuya'] },
+        { id: 'jjk-cafes', franchises: ['jujutsu-kaisen'], categories: ['cafe'] },
+      ],
+    },
+  });
+  try {
+    const matches = matchItems([gojoAtIkebukuro, gojoInOsaka, pokemonShibuya], subscribers, NOW).get('alice');
+    assert.deepEqual(matches.map((match) => `${match.subscription}:${match.itemId[0]}`), [
+      'gojo-ikebukuro:a', 'pokemon-center:c', 'shibuya:c', 'jjk-cafes:b',
+    ]);
+    assert.deepEqual(matches[0].matchedOn, { keywords: ['五条悟'], stores: ['animate-ikebukuro'] });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('each match is reported once and kept; ended items are skipped', () => {
+  const { subscribers, dir } = load({
+    alice: { name: 'Alice', subscriptions: [{ id: 'jjk', franchises: ['jujutsu-kaisen'] }] },
+  });
+  try {
+    const out = path.join(dir, 'matches');
+    const ended = { ...gojoInOsaka, eventEnd: '2026-10-01T23:59:59+09:00' };
+
+    const first = recordMatches(matchItems([gojoAtIkebukuro, ended], subscribers, NOW), subscribers, out, NOW.toISOString());
+    assert.deepEqual(first.alice.map((match) => match.itemId), [gojoAtIkebukuro.id]);
+
+    const later = '2026-10-14T00:00:00.000Z';
+    const second = recordMatches(matchItems([gojoAtIkebukuro, gojoInOsaka], subscribers, NOW), subscribers, out, later);
+    assert.deepEqual(second.alice.map((match) => match.itemId), [gojoInOsaka.id]);
+
+    const file = JSON.parse(fs.readFileSync(path.join(out, 'alice.json'), 'utf-8'));
+    assert.equal(file.name, 'Alice');
+    assert.deepEqual(file.newMatches.map((match) => match.itemId), [gojoInOsaka.id]);
+    assert.deepEqual(file.matches.map((match) => [match.itemId, match.matchedAt]), [
+      [gojoAtIkebukuro.id, NOW.toISOString()],
+      [gojoInOsaka.id, later],
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('matches are dropped once their event has ended', () => {
+  const { subscribers, dir } = load({
+    alice: { name: 'Alice', subscriptions: [{ id: 'jjk', franchises: ['jujutsu-kaisen'] }] },
+  });
+  try {
+    const out = path.join(dir, 'matches');
+    const cafe = { ...gojoInOsaka, eventEnd: '2026-10-20T23:59:59+09:00' };
+    recordMatches(matchItems([gojoAtIkebukuro, cafe], subscribers, NOW), subscribers, out, NOW.toISOString());
+
+    const afterCafe = new Date('2026-10-25T00:00:00.000Z');
+    const fresh = recordMatches(matchItems([gojoAtIkebukuro], subscribers, afterCafe), subscribers, out, afterCafe.toISOString());
+    assert.deepEqual(fresh.alice, []);
+
+    const file = JSON.parse(fs.readFileSync(path.join(out, 'alice.json'), 'utf-8'));
+    assert.deepEqual(file.matches.map((match) => match.itemId), [gojoAtIkebukuro.id]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the example watchlist file is valid', () => {
+  const subscribers = loadWatchlists(path.join(__dirname, '..', 'scripts', 'data', 'watchlists.example.json'));
+  assert.ok(subscribers.length > 0);
+});
+
+test('unknown stores and franchises are rejected', () => {
+  assert.throws(() => load({ alice: { subscriptions: [{ id: 'x', stores: ['nowhere'] }] } }), /alice\/x: unknown store "nowhere"/);
+  assert.throws(() => load({ alice: { subscriptions: [{ id: 'x', franchises: ['bleach-2'] }] } }), /unknown franchise "bleach-2"/);
+  assert.throws(() => load({ alice: { subscriptions: [{ id: 'x' }] } }), /has no keywords, stores, categories or franchises/);
+});